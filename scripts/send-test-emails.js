@@ -0,0 +1,132 @@
+/**
+ * Send Test Emails
+ * Sends a few messages through mailSender with the file transport from
+ * mail-sender.js, then reads the .eml files back and checks that the sender,
+ * subject and bodies survive the round trip, accents and all.
+ *
+ * USAGE:
+ *    node scripts/send-test-emails.js [directory]
+ *
+ * The files are written to `directory` (default: a new folder in the system
+ * temp directory) and left there so they can be opened in a mail client.
+ * Exits with status 1 if a check fails.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mailSender, createFileTransport } = require('../src/js/mail-sender.js');
+
+const directory = process.argv[2] || fs.mkdtempSync(path.join(os.tmpdir(), 'carclub-mail-'));
+
+const messages = [
+    {
+        to: 'walt@example.org',
+        subject: 'Plain text test',
+        text: 'Hello Walt,\n\nThis message has no HTML part.'
+    },
+    {
+        from: 'Zoë Müller <zoe@example.org>',
+        to: '"Parker, Walt" <walt@example.org>',
+        subject: 'Café run to Zürich – RSVPs open for the Ford Model A spring tour 🚗',
+        text: 'Grüße from the club!\nSee you at the café.',
+        html: '<p>Grüße from the club!</p><p>See you at the <strong>café</strong>.</p>'
+    }
+];
+
+// ===== READING THE FILES BACK =====
+
+/**
+ * Split a raw message into its unfolded headers and body
+ * @param {string} raw
+ * @returns {{headers: Object, body: string}}
+ */
+function parseMessage(raw) {
+    const [head, ...rest] = raw.split('\r\n\r\n');
+    const headers = {};
+
+    head.replace(/\r\n[ \t]/g, ' ').split('\r\n').forEach(line => {
+        const colon = line.indexOf(':');
+        headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+    });
+
+    return { headers: headers, body: rest.join('\r\n\r\n') };
+}
+
+/**
+ * Decode RFC 2047 encoded words in a header
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeHeader(value) {
+    return value
+        .replace(/\?=\s+=\?/g, '?==?')
+        .replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (word, data) => Buffer.from(data, 'base64').toString('utf8'));
+}
+
+/**
+ * The decoded body of each text part, keyed by content type
+ * @param {Object} message - From parseMessage
+ * @returns {Object} - e.g. { 'text/plain': '...', 'text/html': '...' }
+ */
+function readBodies(message) {
+    const boundary = (message.headers['content-type'].match(/boundary="([^"]+)"/) || [])[1];
+    const parts = boundary
+        ? message.body.split(`--${boundary}`).slice(1, -1).map(part => parseMessage(part.replace(/^\r\n/, '')))
+        : [message];
+    const bodies = {};
+
+    parts.forEach(part => {
+        assert.strictEqual(part.headers['content-transfer-encoding'], 'base64');
+        bodies[part.headers['content-type'].split(';')[0]] = Buffer.from(part.body.replace(/\s+/g, ''), 'base64')
+            .toString('utf8')
+            .replace(/\r\n/g, '\n');
+    });
+
+    return bodies;
+}
+
+// ===== RUN =====
+
+/**
+ * .eml files in the output directory, oldest first
+ * @returns {Array<string>}
+ */
+function listFiles() {
+    return fs.existsSync(directory) ? fs.readdirSync(directory).filter(name => name.endsWith('.eml')).sort() : [];
+}
+
+async function main() {
+    const earlier = listFiles();
+    mailSender.setTransport(createFileTransport(directory), { from: 'My Car Club <club@example.org>' });
+
+    for (const message of messages) {
+        await mailSender.send(message);
+    }
+
+    const files = listFiles().filter(name => !earlier.includes(name));
+    assert.strictEqual(files.length, messages.length, `expected ${messages.length} .eml files in ${directory}`);
+
+    files.forEach((file, index) => {
+        const sent = messages[index];
+        const raw = fs.readFileSync(path.join(directory, file), 'utf8');
+        const message = parseMessage(raw);
+        const bodies = readBodies(message);
+
+        assert.ok(/^[\x00-\x7f]*$/.test(raw), `${file} has characters outside ASCII`);
+        assert.ok(raw.split('\r\n').every(line => line.length <= 998), `${file} has a line longer than 998 characters`);
+        assert.strictEqual(decodeHeader(message.headers.from), sent.from || 'My Car Club <club@example.org>');
+        assert.strictEqual(decodeHeader(message.headers.to), sent.to);
+        assert.strictEqual(decodeHeader(message.headers.subject), sent.subject);
+        assert.strictEqual(bodies['text/plain'], sent.text);
+        assert.strictEqual(bodies['text/html'], sent.html);
+
+        console.log(`OK  ${path.join(directory, file)}`);
+    });
+}
+
+main().catch(error => {
+    console.error(`FAILED: ${error.message}`);
+    process.exit(1);
+});
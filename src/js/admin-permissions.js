@@ -0,0 +1,203 @@
+/**
+ * Admin Role Permissions
+ * Capability model that decides what each admin role may see and do
+ *
+ * USAGE:
+ * 1. Include this script after admin-session.js on each admin page
+ * 2. Guard actions with `if (!requirePermission('news.edit')) return;`
+ * 3. Render optional buttons with `${hasPermission('members.approve') ? '...' : ''}`
+ * 4. Mark static controls with `data-permission="data.export"` and call applyPermissionVisibility()
+ * 5. Call checkPageAccess() after the authentication check to block pages the role cannot use
+ *
+ * The role comes from the logged-in user stored by AdminSessionManager.
+ * Database row-level security should mirror these rules; this module only
+ * controls what the admin panel offers.
+ */
+
+/**
+ * Human-readable description of every capability
+ * Also used to list a role's permissions on the admin users page
+ */
+const CAPABILITIES = {
+    'events.view': 'View events and RSVP rosters',
+    'events.edit': 'Create and edit events, manage RSVPs',
+    'events.delete': 'Delete events',
+    'members.view': 'View member records',
+    'members.approve': 'Review membership applications and get new-application notifications',
+    'members.manage': 'Deactivate and update members',
+    'members.import': 'Import members and merge duplicate records',
+    'news.view': 'View news articles',
+    'news.edit': 'Create, edit and feature news articles',
+    'news.delete': 'Delete news articles',
+    'photos.manage': 'Manage the photo gallery',
+    'suppliers.view': 'View the parts supplier directory',
+    'suppliers.edit': 'Add, edit, import and nominate parts suppliers',
+    'suppliers.delete': 'Delete parts suppliers',
+    'suppliers.recommend': 'Approve or withdraw club recommendations for suppliers',
+    'suppliers.reviews': 'Moderate member reviews of suppliers',
+    'classifieds.manage': 'Moderate, take down and delete member classifieds',
+    'newsletter.manage': 'Compose and send newsletter issues and manage subscribers',
+    'users.manage': 'Manage admin user accounts',
+    'settings.manage': 'Change website and club settings',
+    'audit.view': 'View the audit log of admin changes',
+    'reports.view': 'View membership, event and news reports',
+    'trash.manage': 'Open the Trash to restore or permanently delete items',
+    'data.export': 'Export data to CSV'
+};
+
+/**
+ * Capabilities granted to each role
+ * '*' grants every capability
+ */
+const ROLE_CAPABILITIES = {
+    super_admin: ['*'],
+    admin: [
+        'events.view', 'events.edit', 'events.delete',
+        'members.view', 'members.approve', 'members.manage', 'members.import',
+        'news.view', 'news.edit', 'news.delete',
+        'photos.manage',
+        'suppliers.view', 'suppliers.edit', 'suppliers.delete', 'suppliers.recommend',
+        'suppliers.reviews',
+        'classifieds.manage',
+        'newsletter.manage',
+        'audit.view',
+        'reports.view',
+        'trash.manage',
+        'data.export'
+    ],
+    moderator: [
+        'events.view', 'events.edit',
+        'members.view', 'members.approve',
+        'news.view', 'news.edit',
+        'photos.manage',
+        'suppliers.view', 'suppliers.edit', 'suppliers.reviews',
+        'classifieds.manage'
+    ],
+    editor: [
+        'events.view',
+        'members.view',
+        'news.view', 'news.edit',
+        'suppliers.view'
+    ]
+};
+
+/**
+ * Capability required to open each admin page
+ * Pages not listed here only require a logged-in admin
+ */
+const PAGE_CAPABILITIES = {
+    'admin-events.html': 'events.view',
+    'admin-members.html': 'members.view',
+    'admin-news.html': 'news.view',
+    'admin-gallery.html': 'photos.manage',
+    'admin-suppliers.html': 'suppliers.view',
+    'admin-classifieds.html': 'classifieds.manage',
+    'admin-newsletter.html': 'newsletter.manage',
+    'admin-users.html': 'users.manage',
+    'admin-settings.html': 'settings.manage',
+    'admin-audit.html': 'audit.view',
+    'admin-reports.html': 'reports.view',
+    'admin-trash.html': 'trash.manage'
+};
+
+// ===== PERMISSION CHECKS =====
+
+/**
+ * Check whether a role includes a capability
+ * @param {string} role - Admin role (super_admin, admin, moderator, editor)
+ * @param {string} capability - Capability name, e.g. 'news.edit'
+ * @returns {boolean}
+ */
+function roleHasPermission(role, capability) {
+    const granted = ROLE_CAPABILITIES[role] || [];
+    return granted.includes('*') || granted.includes(capability);
+}
+
+/**
+ * Check whether the logged-in admin has a capability
+ * @param {string} capability - Capability name, e.g. 'members.approve'
+ * @returns {boolean}
+ */
+function hasPermission(capability) {
+    const user = adminSession.getCurrentUser();
+    return !!user && roleHasPermission(user.role, capability);
+}
+
+/**
+ * Guard an admin action, telling the user when they are not allowed
+ * @param {string} capability - Capability the action needs
+ * @returns {boolean} - True if the action may continue
+ */
+function requirePermission(capability) {
+    if (hasPermission(capability)) return true;
+
+    const user = adminSession.getCurrentUser();
+    console.warn(`Permission denied: ${capability} (role: ${user ? user.role : 'none'})`);
+    alert(`You do not have permission to do this.\nRequired: ${CAPABILITIES[capability] || capability}`);
+    return false;
+}
+
+/**
+ * List the capability descriptions granted to a role
+ * @param {string} role - Admin role
+ * @returns {Array<string>} - Descriptions from CAPABILITIES
+ */
+function getRoleCapabilityLabels(role) {
+    return Object.keys(CAPABILITIES)
+        .filter(capability => roleHasPermission(role, capability))
+        .map(capability => CAPABILITIES[capability]);
+}
+
+// ===== PAGE HELPERS =====
+
+/**
+ * Redirect to the dashboard when the current page needs a capability the user lacks
+ * @returns {boolean} - True if the user may stay on this page
+ */
+function checkPageAccess() {
+    const page = window.location.pathname.split('/').pop();
+    const capability = PAGE_CAPABILITIES[page];
+
+    if (!capability || hasPermission(capability)) return true;
+
+    console.log(`❌ Access to ${page} denied, redirecting to dashboard`);
+    alert('Your role does not have access to this page.');
+    window.location.href = 'admin-dashboard.html';
+    return false;
+}
+
+/**
+ * Check whether the logged-in admin may open an admin page
+ * @param {string} page - File name such as 'admin-users.html'
+ * @returns {boolean}
+ */
+function canAccessPage(page) {
+    const capability = PAGE_CAPABILITIES[page];
+    return !capability || hasPermission(capability);
+}
+
+/**
+ * Hide elements whose data-permission capability the user does not have
+ * @param {HTMLElement|Document} root - Where to look (defaults to the whole page)
+ */
+function applyPermissionVisibility(root = document) {
+    root.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('hidden', !hasPermission(element.dataset.permission));
+    });
+}
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CAPABILITIES,
+        ROLE_CAPABILITIES,
+        PAGE_CAPABILITIES,
+        roleHasPermission,
+        hasPermission,
+        requirePermission,
+        getRoleCapabilityLabels,
+        checkPageAccess,
+        canAccessPage,
+        applyPermissionVisibility
+    };
+}
@@ -0,0 +1,367 @@
+/**
+ * Admin Session Manager
+ * Shared session handling for every page in the admin panel
+ *
+ * USAGE:
+ * 1. Include this script after config.js on each admin page
+ * 2. Use the global `adminSession` instance:
+ *    - adminSession.createSession(user) after a successful login
+ *    - adminSession.isAuthenticated() before showing admin content
+ *    - adminSession.updateActivity() from the page's trackActivity() handler
+ *    - adminSession.logout(redirect) when the user logs out
+ *
+ * SESSION RULES:
+ * - Idle timeout: the session ends when no activity is recorded for `idleTimeout`
+ * - Absolute expiry: the session ends `maxSessionAge` after login regardless of activity
+ * - A warning banner appears `warningBefore` the session is due to end
+ * - Logging out (or expiring) in one tab logs out every other open admin tab
+ *
+ * The session is kept in localStorage so all tabs share it and the
+ * browser's storage event can keep them in sync.
+ */
+
+/**
+ * Configuration object for admin sessions
+ * Times are in milliseconds
+ */
+const ADMIN_SESSION_CONFIG = {
+    storageKey: 'carClub_adminSession',     // localStorage key holding the session
+    loginPage: 'admin-dashboard.html',      // Page that shows the login form
+    idleTimeout: 30 * 60 * 1000,            // 30 minutes without activity
+    maxSessionAge: 12 * 60 * 60 * 1000,     // 12 hours after login
+    warningBefore: 2 * 60 * 1000,           // Show warning 2 minutes before expiry
+    checkInterval: 15 * 1000,               // How often the session is checked
+    activityThrottle: 5 * 1000              // Minimum gap between stored activity updates
+};
+
+class AdminSessionManager {
+    constructor() {
+        this.checkTimer = null;
+        this.warningElement = null;
+
+        // Keep tabs in sync when another tab logs in, logs out or records activity
+        window.addEventListener('storage', (event) => this.handleStorageChange(event));
+
+        // Start watching for expiry once the page is ready
+        document.addEventListener('DOMContentLoaded', () => {
+            if (this.isAuthenticated()) {
+                this.startMonitoring();
+            }
+        });
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Read the stored session without validating it
+     * @returns {Object|null} - { user, loginTime, lastActivity } or null
+     */
+    readSession() {
+        try {
+            return JSON.parse(localStorage.getItem(ADMIN_SESSION_CONFIG.storageKey));
+        } catch (error) {
+            console.warn('Stored admin session was unreadable and has been cleared:', error);
+            localStorage.removeItem(ADMIN_SESSION_CONFIG.storageKey);
+            return null;
+        }
+    }
+
+    /**
+     * Write the session back to localStorage
+     * @param {Object} session - Session record to store
+     */
+    writeSession(session) {
+        localStorage.setItem(ADMIN_SESSION_CONFIG.storageKey, JSON.stringify(session));
+    }
+
+    /**
+     * Work out when a session will end, whichever limit comes first
+     * @param {Object} session - Stored session record
+     * @returns {number} - Expiry time in milliseconds since epoch
+     */
+    getExpiryTime(session) {
+        return Math.min(
+            session.lastActivity + ADMIN_SESSION_CONFIG.idleTimeout,
+            session.loginTime + ADMIN_SESSION_CONFIG.maxSessionAge
+        );
+    }
+
+    // ===== SESSION LIFECYCLE =====
+
+    /**
+     * Start a new session for a logged-in admin user
+     * @param {Object} user - { id, username, full_name, email, role }
+     * @returns {boolean} - True if the session was stored
+     */
+    createSession(user) {
+        if (!user || !user.username) {
+            console.error('Cannot create admin session without a user');
+            return false;
+        }
+
+        try {
+            const now = Date.now();
+            this.writeSession({ user: user, loginTime: now, lastActivity: now });
+            this.startMonitoring();
+            console.log('Admin session created for', user.username);
+            return true;
+        } catch (error) {
+            console.error('Error creating admin session:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the current session if it is still valid
+     * Expired sessions are cleared as a side effect
+     * @returns {Object|null} - Session record or null
+     */
+    getSession() {
+        const session = this.readSession();
+        if (!session || !session.user) return null;
+
+        if (Date.now() >= this.getExpiryTime(session)) {
+            this.clearSession();
+            return null;
+        }
+
+        return session;
+    }
+
+    /**
+     * Check whether an admin is currently logged in
+     * @returns {boolean}
+     */
+    isAuthenticated() {
+        return this.getSession() !== null;
+    }
+
+    /**
+     * Get the logged-in admin user
+     * @returns {Object|null} - User object stored at login
+     */
+    getCurrentUser() {
+        const session = this.getSession();
+        return session ? session.user : null;
+    }
+
+    /**
+     * Record user activity to push back the idle timeout
+     * Called from each page's trackActivity() handler
+     */
+    updateActivity() {
+        const session = this.getSession();
+        if (!session) return;
+
+        const now = Date.now();
+        if (now - session.lastActivity < ADMIN_SESSION_CONFIG.activityThrottle) return;
+
+        session.lastActivity = now;
+        this.writeSession(session);
+        this.hideExpiryWarning();
+    }
+
+    /**
+     * Remove the stored session and stop monitoring
+     */
+    clearSession() {
+        localStorage.removeItem(ADMIN_SESSION_CONFIG.storageKey);
+        this.stopMonitoring();
+        this.hideExpiryWarning();
+    }
+
+    /**
+     * Log the current admin out
+     * Other open admin tabs pick this up through the storage event
+     * @param {boolean} redirect - Send the user to the login page afterwards
+     */
+    logout(redirect = true) {
+        const user = this.getCurrentUser();
+        this.clearSession();
+        console.log('Admin session ended', user ? `for ${user.username}` : '');
+
+        if (redirect) {
+            window.location.href = ADMIN_SESSION_CONFIG.loginPage;
+        }
+    }
+
+    // ===== EXPIRY MONITORING =====
+
+    /**
+     * Begin periodic checks for idle timeout and absolute expiry
+     */
+    startMonitoring() {
+        this.stopMonitoring();
+        this.checkTimer = setInterval(() => this.checkSession(), ADMIN_SESSION_CONFIG.checkInterval);
+        this.checkSession();
+    }
+
+    /**
+     * Stop periodic session checks
+     */
+    stopMonitoring() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+    }
+
+    /**
+     * Show the expiry warning when close to the limit, or end the session once it passes
+     */
+    checkSession() {
+        const session = this.readSession();
+        if (!session) {
+            this.handleSessionEnded('Your session has ended. Please log in again.');
+            return;
+        }
+
+        const remaining = this.getExpiryTime(session) - Date.now();
+
+        if (remaining <= 0) {
+            this.clearSession();
+            this.handleSessionEnded('Your session has expired. Please log in again.');
+        } else if (remaining <= ADMIN_SESSION_CONFIG.warningBefore) {
+            this.showExpiryWarning(remaining);
+        } else {
+            this.hideExpiryWarning();
+        }
+    }
+
+    /**
+     * React to session changes made in another tab
+     * @param {StorageEvent} event - Browser storage event
+     */
+    handleStorageChange(event) {
+        if (event.key !== ADMIN_SESSION_CONFIG.storageKey && event.key !== null) return;
+
+        if (!event.newValue) {
+            // Session removed in another tab (logout, expiry or cleared storage)
+            if (this.checkTimer) {
+                this.handleSessionEnded('You have been logged out in another window.');
+            }
+        } else if (!this.checkTimer && this.isAuthenticated()) {
+            // Logged in from another tab
+            this.startMonitoring();
+        } else {
+            // Activity in another tab may have extended the session
+            this.checkSession();
+        }
+    }
+
+    /**
+     * Return the page to a logged-out state
+     * The dashboard shows its login form; other admin pages redirect to it
+     * @param {string} message - Reason shown to the user
+     */
+    handleSessionEnded(message) {
+        this.stopMonitoring();
+        this.hideExpiryWarning();
+        console.log(message);
+
+        if (document.getElementById('loginScreen')) {
+            this.showLoginForm();
+            const loginMessage = document.getElementById('loginMessage');
+            if (loginMessage) {
+                loginMessage.innerHTML = `<div class="message warning">${message}</div>`;
+            }
+        } else {
+            alert(message);
+            window.location.href = ADMIN_SESSION_CONFIG.loginPage;
+        }
+    }
+
+    /**
+     * Display a banner telling the user their session is about to end
+     * @param {number} remaining - Milliseconds until expiry
+     */
+    showExpiryWarning(remaining) {
+        if (!this.warningElement) {
+            this.warningElement = document.createElement('div');
+            this.warningElement.className = 'session-warning';
+            document.body.appendChild(this.warningElement);
+        }
+
+        const session = this.readSession();
+        const atMaxAge = session &&
+            session.loginTime + ADMIN_SESSION_CONFIG.maxSessionAge <= session.lastActivity + ADMIN_SESSION_CONFIG.idleTimeout;
+        const minutes = Math.max(Math.ceil(remaining / 60000), 1);
+
+        // Activity cannot extend a session past its absolute limit, so only offer to stay signed in for idle expiry
+        this.warningElement.innerHTML = `
+            <i class="fas fa-clock"></i>
+            <span>Your session will expire in about ${minutes} minute${minutes > 1 ? 's' : ''}.</span>
+            ${atMaxAge
+                ? '<span>Please save your work and log in again.</span>'
+                : '<button type="button" class="btn btn-sm btn-primary">Stay signed in</button>'}
+        `;
+
+        const stayButton = this.warningElement.querySelector('button');
+        if (stayButton) {
+            stayButton.addEventListener('click', () => {
+                const current = this.readSession();
+                if (current) {
+                    current.lastActivity = Date.now();
+                    this.writeSession(current);
+                }
+                this.hideExpiryWarning();
+            });
+        }
+    }
+
+    /**
+     * Remove the expiry warning banner if it is showing
+     */
+    hideExpiryWarning() {
+        if (this.warningElement) {
+            this.warningElement.remove();
+            this.warningElement = null;
+        }
+    }
+
+    // ===== PAGE HELPERS =====
+
+    /**
+     * Show the logged-in user's name in the admin header
+     */
+    updateUserDisplay() {
+        const user = this.getCurrentUser();
+        if (!user) return;
+
+        document.querySelectorAll('.admin-user-name').forEach(element => {
+            element.textContent = user.full_name || user.username;
+        });
+    }
+
+    /**
+     * Hide the login screen and show the admin content (dashboard page)
+     */
+    showAdminContent() {
+        const loginScreen = document.getElementById('loginScreen');
+        const adminDashboard = document.getElementById('adminDashboard');
+
+        if (loginScreen) loginScreen.classList.add('hidden');
+        if (adminDashboard) adminDashboard.classList.remove('hidden');
+
+        this.updateUserDisplay();
+    }
+
+    /**
+     * Show the login screen and hide the admin content (dashboard page)
+     */
+    showLoginForm() {
+        const loginScreen = document.getElementById('loginScreen');
+        const adminDashboard = document.getElementById('adminDashboard');
+
+        if (adminDashboard) adminDashboard.classList.add('hidden');
+        if (loginScreen) loginScreen.classList.remove('hidden');
+    }
+}
+
+// Shared instance used by every admin page
+const adminSession = new AdminSessionManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AdminSessionManager, ADMIN_SESSION_CONFIG };
+}
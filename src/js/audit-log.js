@@ -0,0 +1,261 @@
+/**
+ * Audit Log
+ * Append-only record of every change made from the admin panel: who made it,
+ * what they did, to which record, and the values before and after.
+ *
+ * USAGE:
+ * 1. Include this script after data-store.js and admin-session.js on each admin page
+ * 2. Record a change once it has been saved, e.g.
+ *    - await auditLog.record({ action: 'update', entity_type: 'event', entity_id: event.id,
+ *                              summary: event.title, before: oldEvent, after: event })
+ * 3. Read the log with auditLog.fetchEntries({ actor, action, entity_type, from, to, search })
+ *    or auditLog.getRecent(limit) for the dashboard feed
+ *
+ * DATABASE TABLE (audit_log):
+ * - id, created_at
+ * - actor_id, actor_name, actor_role: the logged-in admin (copied so entries survive the user being deleted)
+ * - action: key of AUDIT_LOG_CONFIG.actions
+ * - entity_type: key of AUDIT_LOG_CONFIG.entityTypes; entity_id (text)
+ * - summary: short description of the record, e.g. the event title
+ * - before, after (jsonb): the record's values before and after the change
+ *   (null before a create and after a delete; secrets are left out, see redactFields)
+ *
+ * The table should only allow INSERT and SELECT for admins - no UPDATE or
+ * DELETE policy - so entries can't be edited or removed from the admin panel.
+ *
+ * Logging never undoes or blocks the change itself: if an entry can't be
+ * written the error is reported in the console and the page carries on.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, entries are kept in the local backend in
+ * data-store.js, seeded from generateDemoData().auditLog.
+ */
+
+/**
+ * Configuration object for the audit log
+ */
+const AUDIT_LOG_CONFIG = {
+    tableName: 'audit_log',                     // Supabase table holding entries
+    actions: {
+        create: 'Created',
+        update: 'Updated',
+        delete: 'Deleted',
+        purge: 'Permanently deleted',
+        status: 'Changed status',
+        feature: 'Changed featured',
+        restore: 'Restored',
+        send: 'Sent',
+        import: 'Imported',
+        merge: 'Merged',
+        password: 'Reset password',
+        unlock: 'Unlocked'
+    },
+    entityTypes: {
+        event: { label: 'Event', icon: 'fa-calendar-alt' },
+        rsvp: { label: 'RSVP', icon: 'fa-user-check' },
+        news: { label: 'News Article', icon: 'fa-newspaper' },
+        member: { label: 'Member', icon: 'fa-user' },
+        payment: { label: 'Dues Payment', icon: 'fa-dollar-sign' },
+        photo: { label: 'Photo', icon: 'fa-image' },
+        supplier: { label: 'Supplier', icon: 'fa-store' },
+        review: { label: 'Supplier Review', icon: 'fa-star' },
+        classified: { label: 'Classified', icon: 'fa-exchange-alt' },
+        newsletter_issue: { label: 'Newsletter Issue', icon: 'fa-envelope-open-text' },
+        subscriber: { label: 'Subscriber', icon: 'fa-envelope' },
+        admin_user: { label: 'Admin User', icon: 'fa-user-shield' },
+        setting: { label: 'Club Setting', icon: 'fa-cog' }
+    },
+    // Never copied into the log
+    redactFields: ['password_hash', 'reset_token_hash', 'confirm_token', 'unsubscribe_token', 'revisions'],
+    maxValueLength: 1000,       // Longer text (article bodies, newsletter HTML) is cut short
+    defaultLimit: 200
+};
+
+class AuditLogManager {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    // ===== RECORDING =====
+
+    /**
+     * Copy a record for the log, leaving out secrets and cutting long text short
+     * @param {Object|null} record
+     * @returns {Object|null}
+     */
+    snapshot(record) {
+        if (!record || typeof record !== 'object') return null;
+
+        const copy = {};
+        Object.entries(record).forEach(([field, value]) => {
+            if (AUDIT_LOG_CONFIG.redactFields.includes(field) || value === undefined) return;
+
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            copy[field] = text && text.length > AUDIT_LOG_CONFIG.maxValueLength ?
+                `${text.slice(0, AUDIT_LOG_CONFIG.maxValueLength)}… (${text.length} characters)` : value;
+        });
+        return copy;
+    }
+
+    /**
+     * Add an entry for a change that has just been saved
+     * @param {Object} change - { action, entity_type, entity_id, summary, before, after, actor }
+     *   actor defaults to the logged-in admin; pass { id, username } for changes made before logging in
+     * @returns {Promise<Object|null>} - The stored entry, or null if it couldn't be written
+     */
+    async record(change) {
+        const actor = change.actor || (typeof adminSession !== 'undefined' ? adminSession.getCurrentUser() : null);
+
+        const entry = {
+            actor_id: actor && actor.id !== undefined ? String(actor.id) : null,
+            actor_name: actor ? actor.full_name || actor.username : 'Unknown',
+            actor_role: actor ? actor.role || null : null,
+            action: change.action,
+            entity_type: change.entity_type,
+            entity_id: change.entity_id !== undefined && change.entity_id !== null ? String(change.entity_id) : null,
+            summary: change.summary ? String(change.summary).slice(0, 200) : null,
+            before: this.snapshot(change.before),
+            after: this.snapshot(change.after),
+            created_at: new Date().toISOString()
+        };
+
+        try {
+            const { data, error } = await this.getClient()
+                .from(AUDIT_LOG_CONFIG.tableName)
+                .insert([entry])
+                .select()
+                .single();
+
+            if (error) throw error;
+            return data;
+
+        } catch (error) {
+            console.error('Error writing audit log entry:', error, entry);
+            return null;
+        }
+    }
+
+    // ===== READING =====
+
+    /**
+     * Load entries, newest first
+     * @param {Object} filters - { actor, action, entity_type, entity_id, from, to (YYYY-MM-DD), search, limit }
+     * @returns {Promise<Array>}
+     */
+    async fetchEntries(filters = {}) {
+        const limit = filters.limit || AUDIT_LOG_CONFIG.defaultLimit;
+
+        // 'to' is a whole day, so compare against the start of the next one
+        const toExclusive = filters.to ? `${this.nextDay(filters.to)}T00:00:00` : null;
+
+        let query = this.getClient()
+            .from(AUDIT_LOG_CONFIG.tableName)
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (filters.action) query = query.eq('action', filters.action);
+        if (filters.entity_type) query = query.eq('entity_type', filters.entity_type);
+        if (filters.entity_id) query = query.eq('entity_id', String(filters.entity_id));
+        if (filters.actor) query = query.ilike('actor_name', `%${filters.actor.trim()}%`);
+        if (filters.from) query = query.gte('created_at', filters.from);
+        if (toExclusive) query = query.lt('created_at', toExclusive);
+        if (filters.search) query = query.ilike('summary', `%${filters.search.trim()}%`);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Latest entries for the dashboard activity feed
+     * @param {number} limit
+     * @returns {Promise<Array>}
+     */
+    async getRecent(limit = 8) {
+        return this.fetchEntries({ limit: limit });
+    }
+
+    /**
+     * The day after a date
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} - YYYY-MM-DD
+     */
+    nextDay(date) {
+        const next = new Date(`${date}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        return next.toISOString().split('T')[0];
+    }
+
+    // ===== DISPLAY HELPERS =====
+
+    /**
+     * Fields whose values differ between before and after
+     * @param {Object} entry
+     * @returns {Array<{field: string, before: *, after: *}>}
+     */
+    diff(entry) {
+        const before = entry.before || {};
+        const after = entry.after || {};
+        const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        return fields
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+            .map(field => ({ field: field, before: before[field], after: after[field] }));
+    }
+
+    /**
+     * One-line description, e.g. "Updated Event: Fall Scenic Drive"
+     * @param {Object} entry
+     * @returns {string}
+     */
+    describe(entry) {
+        const action = AUDIT_LOG_CONFIG.actions[entry.action] || entry.action;
+        const type = AUDIT_LOG_CONFIG.entityTypes[entry.entity_type];
+        const label = type ? type.label : entry.entity_type;
+        return `${action} ${label}${entry.summary ? `: ${entry.summary}` : ''}`;
+    }
+
+    /**
+     * Font Awesome icon class for an entry's record type
+     * @param {Object} entry
+     * @returns {string}
+     */
+    getIcon(entry) {
+        const type = AUDIT_LOG_CONFIG.entityTypes[entry.entity_type];
+        return type ? type.icon : 'fa-history';
+    }
+
+    /**
+     * Show a stored value in the change list
+     * @param {*} value
+     * @returns {string}
+     */
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return '(empty)';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+}
+
+// Shared instance used by the admin pages
+const auditLog = new AuditLogManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuditLogManager, AUDIT_LOG_CONFIG };
+}
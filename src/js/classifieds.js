@@ -0,0 +1,520 @@
+/**
+ * Classifieds
+ * Member-to-member parts swap board: for-sale, wanted and free listings that
+ * are reviewed by an officer before they appear on the Classifieds page and
+ * expire automatically after a set number of days.
+ *
+ * USAGE:
+ * 1. Include this script after config.js, data-store.js and photo-storage.js (and member-auth.js
+ *    on pages where members post or contact sellers)
+ * 2. Use the global `classifieds` instance, e.g.
+ *    - await classifieds.getActiveListings()
+ *    - await classifieds.createListing(member, { listing_type, title, category, ... }, files)
+ *    - await classifieds.renewListing(member, listingId)
+ *    - await classifieds.setStatus(listing, 'active', 'admin')
+ *    - await classifieds.expireStaleListings(listings)
+ *
+ * DATABASE TABLE (classifieds):
+ * - id, member_id, seller_name (first name and last initial), contact_email
+ * - listing_type: 'for_sale' | 'wanted' | 'free' (see CLASSIFIEDS_CONFIG.listingTypes)
+ * - title, description, location
+ * - category: value from getPartsCategories(), the same vocabulary as supplier specialties
+ * - condition: key of CLASSIFIEDS_CONFIG.conditions (null for wanted listings)
+ * - price: asking price, or budget for wanted listings; null for free listings
+ * - photos (jsonb): [{ image_url, thumbnail_url, storage_path, thumbnail_path }]
+ * - duration_days: how long the listing runs once approved or renewed
+ * - status: 'pending' | 'active' | 'rejected' | 'expired' | 'closed'
+ * - expires_at, created_at, updated_at, reviewed_by, reviewed_at
+ *
+ * New and edited listings wait for moderation. Active listings past expires_at
+ * are marked expired whenever an officer or the listing's owner loads them;
+ * the public page hides them even before that happens. Contact emails are only
+ * handed out to signed-in members.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, listings are kept in the local backend in
+ * data-store.js, seeded from generateDemoData().classifieds.
+ */
+
+/**
+ * Configuration object for the classifieds board
+ */
+const CLASSIFIEDS_CONFIG = {
+    tableName: 'classifieds',                       // Supabase table holding listings
+    photoFolder: 'classifieds',                     // Storage folder for listing photos
+    listingTypes: {
+        for_sale: 'For Sale',
+        wanted: 'Wanted',
+        free: 'Free'
+    },
+    conditions: {
+        new: 'New / Reproduction',
+        nos: 'New Old Stock',
+        rebuilt: 'Rebuilt',
+        used: 'Used',
+        for_restoration: 'Needs Restoration'
+    },
+    statuses: ['pending', 'active', 'rejected', 'expired', 'closed'],
+    durationOptions: [30, 60, 90],                  // Days a listing can run for
+    defaultDurationDays: 60,
+    maxPhotos: 4,
+    maxDescriptionLength: 2000,
+    // Columns anyone may see; contact_email is fetched separately for members
+    publicColumns: 'id, member_id, seller_name, listing_type, title, description, category, condition, price, location, photos, status, expires_at, created_at'
+};
+
+class ClassifiedsManager {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Clean and check listing details from the form
+     * @param {Object} details - { listing_type, title, description, category, condition, price, location, duration_days }
+     * @returns {Object} - Fields ready to store
+     */
+    normalizeListing(details) {
+        const listingType = details.listing_type;
+        if (!CLASSIFIEDS_CONFIG.listingTypes[listingType]) {
+            throw new Error('Please choose whether the item is for sale, wanted or free');
+        }
+
+        const title = sanitizeInput(details.title || '').slice(0, 150);
+        if (!title) throw new Error('Please give the listing a title');
+
+        const category = details.category;
+        if (!getPartsCategories().some(c => c.value === category)) {
+            throw new Error('Please choose a category');
+        }
+
+        let condition = details.condition || null;
+        if (listingType === 'wanted') {
+            condition = null;
+        } else if (!CLASSIFIEDS_CONFIG.conditions[condition]) {
+            throw new Error('Please describe the condition of the item');
+        }
+
+        let price = null;
+        if (listingType !== 'free' && String(details.price ?? '').trim() !== '') {
+            price = Number(String(details.price).replace(/[$,\s]/g, ''));
+            if (!Number.isFinite(price) || price < 0) throw new Error('Please enter the price as a number');
+            price = Math.round(price * 100) / 100;
+        }
+        if (listingType === 'for_sale' && price === null) {
+            throw new Error('Please enter an asking price, or list the item as free');
+        }
+
+        const description = String(details.description || '').trim().replace(/[<>]/g, '');
+        if (description.length > CLASSIFIEDS_CONFIG.maxDescriptionLength) {
+            throw new Error(`Descriptions are limited to ${CLASSIFIEDS_CONFIG.maxDescriptionLength} characters`);
+        }
+
+        const durationDays = Number(details.duration_days) || CLASSIFIEDS_CONFIG.defaultDurationDays;
+        if (!CLASSIFIEDS_CONFIG.durationOptions.includes(durationDays)) {
+            throw new Error(`Listings can run for ${CLASSIFIEDS_CONFIG.durationOptions.join(', ')} days`);
+        }
+
+        return {
+            listing_type: listingType,
+            title: title,
+            description: description || null,
+            category: category,
+            condition: condition,
+            price: price,
+            location: sanitizeInput(details.location || '').slice(0, 100) || null,
+            duration_days: durationDays
+        };
+    }
+
+    /**
+     * Date a listing expires if it goes live now
+     * @param {Object} listing - Listing with duration_days
+     * @returns {string} - ISO timestamp
+     */
+    getExpiryDate(listing) {
+        const days = listing.duration_days || CLASSIFIEDS_CONFIG.defaultDurationDays;
+        return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    /**
+     * Whether an active listing has passed its expiry date
+     * @param {Object} listing - Listing record
+     * @returns {boolean}
+     */
+    isExpired(listing) {
+        return !!listing.expires_at && new Date(listing.expires_at) < new Date();
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Fetch listings, newest first
+     * @param {Object} filters - { status, memberId }
+     * @returns {Promise<Array>}
+     */
+    async fetchListings(filters = {}) {
+        let query = this.getClient()
+            .from(CLASSIFIEDS_CONFIG.tableName)
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (filters.status) query = query.eq('status', filters.status);
+        if (filters.memberId) query = query.eq('member_id', filters.memberId);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Listings shown on the public Classifieds page
+     * Leaves out contact details and anything past its expiry date
+     * @returns {Promise<Array>}
+     */
+    async getActiveListings() {
+        const { data, error } = await this.getClient()
+            .from(CLASSIFIEDS_CONFIG.tableName)
+            .select(CLASSIFIEDS_CONFIG.publicColumns)
+            .eq('status', 'active')
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return (data || []).filter(l => !this.isExpired(l));
+    }
+
+    /**
+     * A member's own listings, expiring any that have run out
+     * @param {Object} member - members row
+     * @returns {Promise<Array>}
+     */
+    async getMemberListings(member) {
+        const listings = await this.fetchListings({ memberId: member.id });
+        await this.expireStaleListings(listings);
+        return listings;
+    }
+
+    /**
+     * Email address for contacting the seller, for signed-in active members only
+     * @param {Object} member - members row of the person asking
+     * @param {number|string} listingId - ID of the listing
+     * @returns {Promise<string>}
+     */
+    async getSellerContact(member, listingId) {
+        if (!member || member.status !== 'active') {
+            throw new Error('Only active members can contact sellers');
+        }
+
+        const { data: listing, error } = await this.getClient()
+            .from(CLASSIFIEDS_CONFIG.tableName)
+            .select('contact_email, status')
+            .eq('id', listingId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!listing || listing.status !== 'active') throw new Error('This listing is no longer available');
+        return listing.contact_email;
+    }
+
+    /**
+     * One of the member's own listings
+     * @param {Object} member - members row
+     * @param {number|string} listingId - ID of the listing
+     * @returns {Promise<Object>}
+     */
+    async getOwnListing(member, listingId) {
+        const listings = await this.fetchListings({ memberId: member.id });
+        const listing = listings.find(l => String(l.id) === String(listingId));
+        if (!listing) throw new Error('Listing not found');
+        return listing;
+    }
+
+    // ===== MEMBER LISTINGS =====
+
+    /**
+     * Store photos for a listing in the listing photo folder
+     * Files already stored are removed again if one of them fails
+     * @param {Array<File>} files - Image files
+     * @returns {Promise<Array>} - Stored photo records
+     */
+    async uploadPhotos(files) {
+        const stored = [];
+
+        try {
+            for (const file of files) {
+                stored.push(await photoStorage.upload(file, CLASSIFIEDS_CONFIG.photoFolder));
+            }
+        } catch (error) {
+            await this.removePhotos(stored);
+            throw error;
+        }
+
+        return stored;
+    }
+
+    /**
+     * Remove stored listing photos, ignoring storage errors
+     * @param {Array} photos - Photo records from a listing
+     */
+    async removePhotos(photos) {
+        const paths = (photos || []).flatMap(p => [p.storage_path, p.thumbnail_path]).filter(Boolean);
+        if (paths.length === 0) return;
+
+        try {
+            await photoStorage.remove(paths);
+        } catch (error) {
+            console.warn('Listing photos could not be removed:', error);
+        }
+    }
+
+    /**
+     * Post a new listing for moderation
+     * @param {Object} member - members row of the seller
+     * @param {Object} details - Listing fields from the form
+     * @param {Array<File>} files - Optional photos
+     * @returns {Promise<Object>} - Stored listing
+     */
+    async createListing(member, details, files = []) {
+        if (!member || member.status !== 'active') {
+            throw new Error('Only active members can post classifieds');
+        }
+        if (files.length > CLASSIFIEDS_CONFIG.maxPhotos) {
+            throw new Error(`Please choose up to ${CLASSIFIEDS_CONFIG.maxPhotos} photos`);
+        }
+
+        const fields = this.normalizeListing(details);
+        const photos = await this.uploadPhotos(files);
+        const now = new Date().toISOString();
+
+        const record = {
+            ...fields,
+            member_id: member.id,
+            seller_name: `${member.first_name} ${(member.last_name || '').charAt(0)}.`,
+            contact_email: member.email,
+            photos: photos,
+            status: 'pending',
+            expires_at: null,
+            created_at: now,
+            updated_at: now,
+            reviewed_by: null,
+            reviewed_at: null
+        };
+
+        try {
+            const { data, error } = await this.getClient()
+                .from(CLASSIFIEDS_CONFIG.tableName)
+                .insert([record])
+                .select()
+                .single();
+
+            if (error) throw error;
+            return data;
+
+        } catch (error) {
+            // The listing could not be saved, so don't keep its photos
+            await this.removePhotos(photos);
+            throw error;
+        }
+    }
+
+    /**
+     * Edit one of the member's listings; the edit goes back to the moderation queue
+     * New photos, when given, replace the old ones
+     * @param {Object} member - members row of the seller
+     * @param {number|string} listingId - ID of the listing
+     * @param {Object} details - Listing fields from the form
+     * @param {Array<File>} files - Optional replacement photos
+     * @returns {Promise<Object>} - Updated listing
+     */
+    async updateListing(member, listingId, details, files = []) {
+        const listing = await this.getOwnListing(member, listingId);
+        if (listing.status === 'closed') throw new Error('Closed listings cannot be edited');
+        if (files.length > CLASSIFIEDS_CONFIG.maxPhotos) {
+            throw new Error(`Please choose up to ${CLASSIFIEDS_CONFIG.maxPhotos} photos`);
+        }
+
+        const changes = {
+            ...this.normalizeListing(details),
+            status: 'pending',
+            expires_at: null,
+            updated_at: new Date().toISOString(),
+            reviewed_by: null,
+            reviewed_at: null
+        };
+
+        if (files.length > 0) {
+            changes.photos = await this.uploadPhotos(files);
+        }
+
+        try {
+            await this.updateListingRecord(listing.id, changes);
+        } catch (error) {
+            if (changes.photos) await this.removePhotos(changes.photos);
+            throw error;
+        }
+
+        if (changes.photos) await this.removePhotos(listing.photos);
+        return { ...listing, ...changes };
+    }
+
+    /**
+     * Run an active or expired listing again for its full duration
+     * Expired listings were already approved, so they go straight back up
+     * @param {Object} member - members row of the seller
+     * @param {number|string} listingId - ID of the listing
+     * @returns {Promise<Object>} - Renewed listing
+     */
+    async renewListing(member, listingId) {
+        const listing = await this.getOwnListing(member, listingId);
+        if (!['active', 'expired'].includes(listing.status)) {
+            throw new Error('Only live or expired listings can be renewed');
+        }
+
+        const changes = { status: 'active', expires_at: this.getExpiryDate(listing), updated_at: new Date().toISOString() };
+        await this.updateListingRecord(listing.id, changes);
+        return { ...listing, ...changes };
+    }
+
+    /**
+     * Take a listing down because the item was sold, found or given away
+     * @param {Object} member - members row of the seller
+     * @param {number|string} listingId - ID of the listing
+     */
+    async closeListing(member, listingId) {
+        const listing = await this.getOwnListing(member, listingId);
+        await this.updateListingRecord(listing.id, { status: 'closed', updated_at: new Date().toISOString() });
+    }
+
+    // ===== MODERATION =====
+
+    /**
+     * Update fields on a listing record
+     * @param {number|string} listingId - ID of the listing
+     * @param {Object} changes - Columns to update
+     */
+    async updateListingRecord(listingId, changes) {
+        const { error } = await this.getClient()
+            .from(CLASSIFIEDS_CONFIG.tableName)
+            .update(changes)
+            .eq('id', listingId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Approve, reject or otherwise change the status of a listing
+     * Approving starts the listing's run, so it expires duration_days from now
+     * @param {Object} listing - Listing record
+     * @param {string} status - One of CLASSIFIEDS_CONFIG.statuses
+     * @param {string} reviewer - Username of the admin making the decision
+     * @returns {Promise<Object>} - The changes made
+     */
+    async setStatus(listing, status, reviewer = null) {
+        if (!CLASSIFIEDS_CONFIG.statuses.includes(status)) throw new Error(`Unknown listing status: ${status}`);
+
+        const changes = { status: status, reviewed_by: reviewer, reviewed_at: new Date().toISOString() };
+        if (status === 'active') {
+            changes.expires_at = this.getExpiryDate(listing);
+        }
+
+        await this.updateListingRecord(listing.id, changes);
+        return changes;
+    }
+
+    /**
+     * Delete a listing and its photos
+     * @param {Object} listing - Listing record
+     */
+    async deleteListing(listing) {
+        const { error } = await this.getClient()
+            .from(CLASSIFIEDS_CONFIG.tableName)
+            .delete()
+            .eq('id', listing.id);
+
+        if (error) throw error;
+
+        await this.removePhotos(listing.photos);
+    }
+
+    // ===== STATUS UPKEEP =====
+
+    /**
+     * Mark active listings as expired once they are past their expiry date
+     * Updates the passed-in rows so callers can redisplay them without reloading
+     * @param {Array} listings - Listing records
+     * @returns {Promise<Array>} - Listings that were expired
+     */
+    async expireStaleListings(listings) {
+        const stale = listings.filter(l => l.status === 'active' && this.isExpired(l));
+        if (stale.length === 0) return [];
+
+        const { error } = await this.getClient()
+            .from(CLASSIFIEDS_CONFIG.tableName)
+            .update({ status: 'expired' })
+            .in('id', stale.map(l => l.id));
+
+        if (error) throw error;
+
+        stale.forEach(listing => {
+            listing.status = 'expired';
+            console.log(`Listing expired: ${listing.title}`);
+        });
+
+        return stale;
+    }
+
+    // ===== DISPLAY HELPERS =====
+
+    /**
+     * Price line for a listing card
+     * @param {Object} listing - Listing record
+     * @returns {string} - e.g. "$175", "Free", "Budget $50" or "Make an offer"
+     */
+    formatPrice(listing) {
+        if (listing.listing_type === 'free') return 'Free';
+
+        let amount = null;
+        if (listing.price !== null && listing.price !== undefined) {
+            const price = Number(listing.price);
+            const cents = Number.isInteger(price) ? 0 : 2;
+            amount = `$${price.toLocaleString('en-US', { minimumFractionDigits: cents, maximumFractionDigits: cents })}`;
+        }
+
+        if (listing.listing_type === 'wanted') return amount ? `Budget ${amount}` : 'Make an offer';
+        return amount;
+    }
+
+    /**
+     * Label for a parts category value
+     * @param {string} category - Category value
+     * @returns {string}
+     */
+    getCategoryLabel(category) {
+        const match = getPartsCategories().find(c => c.value === category);
+        return match ? match.label : category;
+    }
+}
+
+// Shared instance used by public, member and admin pages
+const classifieds = new ClassifiedsManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClassifiedsManager, CLASSIFIEDS_CONFIG };
+}
@@ -0,0 +1,393 @@
+/**
+ * Club News
+ * News articles with a publishing workflow (draft, scheduled, published,
+ * archived) and a revision log holding every saved version of each article.
+ *
+ * USAGE:
+ * 1. Include this script after config.js
+ * 2. Use the global `clubNews` instance, e.g.
+ *    - await clubNews.getPublishedArticles(3)                  (public pages)
+ *    - await clubNews.fetchArticles()                          (admin, every state)
+ *    - await clubNews.saveArticle({ id, title, content, status, publish_date, is_featured }, adminUser, note)
+ *    - await clubNews.fetchRevisions(articleId)
+ *    - clubNews.diffLines(olderContent, newerContent)
+ *    - await clubNews.restoreRevision(article, revision, adminUser)
+ *
+ * DATABASE TABLE (club_news):
+ * - id, title, content (Markdown, see markdown.js)
+ * - author: name of the admin who created the article; author_username
+ * - status: 'draft' | 'scheduled' | 'published' | 'archived'
+ * - publish_date (date), is_featured
+ * - created_at, updated_at, updated_by
+ * - deleted_at, deleted_by: set while the article is in the Trash (see trash.js);
+ *   trashed articles are left out of every query here
+ *
+ * DATABASE TABLE (club_news_revisions):
+ * - id, news_id, title, content, status, publish_date, is_featured
+ * - edited_by, note, created_at
+ *
+ * Choosing "published" with a future publish date stores the article as
+ * scheduled. Public pages only show published and scheduled articles whose
+ * publish date has arrived, so a scheduled article appears on its day even
+ * though it is only switched to published the next time an officer opens
+ * News Management. Rows created before the workflow existed should be given
+ * status 'published'.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, articles and revisions are read and written
+ * through the local backend in data-store.js (include it after config.js).
+ */
+
+/**
+ * Configuration object for club news
+ */
+const CLUB_NEWS_CONFIG = {
+    tableName: 'club_news',                         // Supabase table holding articles
+    revisionsTable: 'club_news_revisions',          // One row per saved version
+    statuses: {
+        draft: 'Draft',
+        scheduled: 'Scheduled',
+        published: 'Published',
+        archived: 'Archived'
+    },
+    // States that reach the public site once the publish date arrives
+    liveStatuses: ['scheduled', 'published']
+};
+
+class ClubNewsManager {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    /**
+     * Today's date as YYYY-MM-DD in the visitor's time zone
+     * @returns {string}
+     */
+    today() {
+        const now = new Date();
+        return [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0')].join('-');
+    }
+
+    /**
+     * Whether readers can see an article now
+     * @param {Object} article - Article record
+     * @returns {boolean}
+     */
+    isLive(article) {
+        return CLUB_NEWS_CONFIG.liveStatuses.includes(article.status) &&
+            !!article.publish_date && article.publish_date <= this.today();
+    }
+
+    /**
+     * Status to store for the status picked in the editor
+     * "published" with a future date becomes "scheduled", and a scheduled
+     * article whose date has arrived is simply published
+     * @param {string} status - Status chosen by the editor
+     * @param {string} publishDate - YYYY-MM-DD
+     * @returns {string}
+     */
+    resolveStatus(status, publishDate) {
+        if (status === 'published' || status === 'scheduled') {
+            return publishDate > this.today() ? 'scheduled' : 'published';
+        }
+        return status;
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Fetch every article for News Management, newest publish date first
+     * @returns {Promise<Array>}
+     */
+    async fetchArticles() {
+        const { data, error } = await this.getClient()
+            .from(CLUB_NEWS_CONFIG.tableName)
+            .select('*')
+            .is('deleted_at', null)
+            .order('publish_date', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Articles readers can see: published (or due scheduled) with a publish date
+     * up to today, newest first
+     * @param {number|null} limit - Maximum number of articles
+     * @returns {Promise<Array>}
+     */
+    async getPublishedArticles(limit = null) {
+        let query = this.getClient()
+            .from(CLUB_NEWS_CONFIG.tableName)
+            .select('*')
+            .in('status', CLUB_NEWS_CONFIG.liveStatuses)
+            .lte('publish_date', this.today())
+            .is('deleted_at', null)
+            .order('publish_date', { ascending: false });
+
+        if (limit) query = query.limit(limit);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Fetch one article
+     * @param {number|string} articleId
+     * @returns {Promise<Object>}
+     */
+    async getArticle(articleId) {
+        const { data, error } = await this.getClient()
+            .from(CLUB_NEWS_CONFIG.tableName)
+            .select('*')
+            .eq('id', articleId)
+            .is('deleted_at', null)
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    // ===== EDITING =====
+
+    /**
+     * Create or update an article and record the saved version as a revision
+     * @param {Object} details - { id (to update), title, content, status, publish_date, is_featured }
+     * @param {Object} user - Logged-in admin from adminSession.getCurrentUser()
+     * @param {string} note - Optional description of the change
+     * @returns {Promise<Object>} - The saved article
+     */
+    async saveArticle(details, user, note = '') {
+        const title = String(details.title || '').trim();
+        if (!title) throw new Error('Article title is required');
+
+        const content = String(details.content || '');
+        if (!content.trim()) throw new Error('Article content is required');
+
+        const status = details.status || 'draft';
+        if (!CLUB_NEWS_CONFIG.statuses[status]) throw new Error(`Unknown article status: ${status}`);
+
+        const publishDate = details.publish_date || this.today();
+        const editorName = user.full_name || user.username;
+        const now = new Date().toISOString();
+
+        const fields = {
+            title: title,
+            content: content,
+            status: this.resolveStatus(status, publishDate),
+            publish_date: publishDate,
+            is_featured: !!details.is_featured,
+            updated_at: now,
+            updated_by: editorName
+        };
+
+        // The author is whoever created the article and never changes afterwards
+        if (!details.id) {
+            fields.author = editorName;
+            fields.author_username = user.username;
+            fields.created_at = now;
+        }
+
+        const article = await this.writeArticle(details.id, fields);
+        await this.addRevision(article, editorName, note || (details.id ? '' : 'Created'));
+        return article;
+    }
+
+    /**
+     * Insert or update the article row
+     * @param {number|string|null} articleId - Existing article, or null to insert
+     * @param {Object} fields - Columns to write
+     * @returns {Promise<Object>} - The stored article
+     */
+    async writeArticle(articleId, fields) {
+        const client = this.getClient();
+        const query = articleId ?
+            client.from(CLUB_NEWS_CONFIG.tableName).update(fields).eq('id', articleId) :
+            client.from(CLUB_NEWS_CONFIG.tableName).insert([fields]);
+
+        const { data, error } = await query.select().single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Change fields that don't need a revision, such as the featured flag
+     * @param {number|string} articleId
+     * @param {Object} changes - Columns to update
+     */
+    async updateArticle(articleId, changes) {
+        await this.writeArticle(articleId, { ...changes, updated_at: new Date().toISOString() });
+    }
+
+    /**
+     * Permanently delete an article and its revisions
+     * News Management moves articles to the Trash instead; this is used when it is emptied
+     * @param {number|string} articleId
+     */
+    async deleteArticle(articleId) {
+        const client = this.getClient();
+
+        const { error: revisionsError } = await client
+            .from(CLUB_NEWS_CONFIG.revisionsTable)
+            .delete()
+            .eq('news_id', articleId);
+
+        if (revisionsError) throw revisionsError;
+
+        const { error } = await client
+            .from(CLUB_NEWS_CONFIG.tableName)
+            .delete()
+            .eq('id', articleId);
+
+        if (error) throw error;
+    }
+
+    // ===== REVISIONS =====
+
+    /**
+     * Record the current state of an article in the revision log
+     * @param {Object} article - Saved article
+     * @param {string} editorName - Who made the change
+     * @param {string} note - Optional description of the change
+     */
+    async addRevision(article, editorName, note = '') {
+        const revision = {
+            news_id: article.id,
+            title: article.title,
+            content: article.content,
+            status: article.status,
+            publish_date: article.publish_date,
+            is_featured: !!article.is_featured,
+            edited_by: editorName,
+            note: String(note || '').trim().slice(0, 200) || null,
+            created_at: new Date().toISOString()
+        };
+
+        const { error } = await this.getClient()
+            .from(CLUB_NEWS_CONFIG.revisionsTable)
+            .insert([revision]);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Revisions of an article, newest first
+     * @param {number|string} articleId
+     * @returns {Promise<Array>}
+     */
+    async fetchRevisions(articleId) {
+        const { data, error } = await this.getClient()
+            .from(CLUB_NEWS_CONFIG.revisionsTable)
+            .select('*')
+            .eq('news_id', articleId)
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Put an earlier version's title and content back, keeping the article's
+     * current status and publish date. The restore is itself a new revision.
+     * @param {Object} article - Current article
+     * @param {Object} revision - Revision to restore
+     * @param {Object} user - Logged-in admin
+     * @returns {Promise<Object>} - The saved article
+     */
+    async restoreRevision(article, revision, user) {
+        return this.saveArticle({
+            id: article.id,
+            title: revision.title,
+            content: revision.content,
+            status: article.status,
+            publish_date: article.publish_date,
+            is_featured: article.is_featured
+        }, user, `Restored the version from ${formatDate(revision.created_at)}`);
+    }
+
+    /**
+     * Line-by-line difference between two versions of an article
+     * @param {string} older - Earlier text
+     * @param {string} newer - Later text
+     * @returns {Array<{type: string, text: string}>} - type is 'same', 'added' or 'removed'
+     */
+    diffLines(older, newer) {
+        const a = String(older ?? '').replace(/\r\n?/g, '\n').split('\n');
+        const b = String(newer ?? '').replace(/\r\n?/g, '\n').split('\n');
+
+        // Longest common subsequence table, filled from the end
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                lines.push({ type: 'removed', text: a[i++] });
+            } else {
+                lines.push({ type: 'added', text: b[j++] });
+            }
+        }
+        while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+        return lines;
+    }
+
+    // ===== STATUS UPKEEP =====
+
+    /**
+     * Switch scheduled articles to published once their publish date arrives
+     * Updates the passed-in rows so callers can redisplay them without reloading
+     * @param {Array} articles - Article records
+     * @returns {Promise<Array>} - Articles that were published
+     */
+    async publishDueArticles(articles) {
+        const due = articles.filter(a => a.status === 'scheduled' && this.isLive(a));
+        if (due.length === 0) return [];
+
+        const { error } = await this.getClient()
+            .from(CLUB_NEWS_CONFIG.tableName)
+            .update({ status: 'published' })
+            .in('id', due.map(a => a.id));
+
+        if (error) throw error;
+
+        due.forEach(a => { a.status = 'published'; });
+        return due;
+    }
+}
+
+// Shared instance used by public and admin pages
+const clubNews = new ClubNewsManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClubNewsManager, CLUB_NEWS_CONFIG };
+}
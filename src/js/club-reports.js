@@ -0,0 +1,491 @@
+/**
+ * Club Reports
+ * Works out the figures for the admin reports page over a chosen date range:
+ * membership growth, who the members are, event attendance by event type and
+ * how often news is published. Every report comes with chart data and a table,
+ * and the tables can be downloaded as CSV.
+ *
+ * USAGE:
+ * 1. Include this script after data-store.js, event-calendar.js and event-rsvp.js
+ * 2. Build the reports for a range:
+ *      const range = clubReports.getRange('12m');        // or getRange('custom', { from, to })
+ *      const reports = clubReports.buildReports(await clubReports.fetchData(), range);
+ * 3. Download a report table with clubReports.toCsv(reports.growth.table)
+ *
+ * Ranges of up to REPORTS_CONFIG.weeklyUpToDays days are grouped by week,
+ * longer ones by month.
+ *
+ * Attendance counts confirmed RSVPs. RSVPs to a repeating event count towards
+ * the date they were made for (occurrence_date); older ones without a date
+ * count towards the first date of the series on or after the day they were made.
+ *
+ * The figures are worked out in the browser from the members, events, RSVPs
+ * and news articles the logged-in admin can read, so demo mode and the live
+ * site give the same reports.
+ */
+
+/**
+ * Configuration object for reports
+ */
+const REPORTS_CONFIG = {
+    ranges: {
+        '30d': { label: 'Last 30 days', days: 30 },
+        '90d': { label: 'Last 90 days', days: 90 },
+        '12m': { label: 'Last 12 months', months: 12 },
+        'ytd': { label: 'This year' },
+        'all': { label: 'All time' },
+        'custom': { label: 'Custom dates' }
+    },
+    defaultRange: '12m',
+    weeklyUpToDays: 92,
+    memberColumns: 'id, membership_type, experience_level, model_a_owned, model_year, status, join_date, created_at',
+    newsColumns: 'id, title, author, status, publish_date, created_at',
+    // Members who were accepted into the club, whatever their status is now
+    joinedStatuses: ['active', 'lapsed', 'inactive'],
+    publishedStatuses: ['published', 'archived'],
+    experienceLevels: {
+        beginner: "New to Model A's",
+        intermediate: 'Some experience',
+        experienced: 'Very experienced',
+        expert: 'Expert level'
+    },
+    monthLabels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+};
+
+class ClubReports {
+    // ===== DATE RANGES =====
+
+    /**
+     * Move a date by a number of days
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} days
+     * @returns {string} - YYYY-MM-DD
+     */
+    addDays(date, days) {
+        const moved = new Date(`${date}T00:00:00Z`);
+        moved.setUTCDate(moved.getUTCDate() + days);
+        return moved.toISOString().split('T')[0];
+    }
+
+    /**
+     * Work out the dates of a range
+     * @param {string} preset - Key of REPORTS_CONFIG.ranges
+     * @param {Object} custom - { from, to } (YYYY-MM-DD) for 'custom'
+     * @returns {{preset: string, from: string|null, to: string}} - from is null for 'all',
+     *   which starts at the earliest record (see buildReports)
+     */
+    getRange(preset, custom = {}) {
+        const today = eventCalendar.today();
+        const config = REPORTS_CONFIG.ranges[preset];
+        if (!config) throw new Error(`Unknown date range "${preset}"`);
+
+        if (preset === 'custom') {
+            if (!custom.from || !custom.to) throw new Error('Please choose both a start and an end date');
+            if (custom.from > custom.to) throw new Error('The start date must be before the end date');
+            return { preset: preset, from: custom.from, to: custom.to };
+        }
+
+        let from = null;
+        if (config.days) from = this.addDays(today, 1 - config.days);
+        if (config.months) {
+            const start = new Date(`${today}T00:00:00Z`);
+            start.setUTCMonth(start.getUTCMonth() - config.months + 1, 1);
+            from = start.toISOString().split('T')[0];
+        }
+        if (preset === 'ytd') from = `${today.slice(0, 4)}-01-01`;
+
+        return { preset: preset, from: from, to: today };
+    }
+
+    /**
+     * Describe a range for headings, e.g. "Nov 1, 2025 - Oct 18, 2026"
+     * @param {Object} range - From getRange (with from filled in)
+     * @returns {string}
+     */
+    describeRange(range) {
+        const format = date => formatDate(`${date}T00:00:00`, { month: 'short' });
+        return `${format(range.from)} - ${format(range.to)}`;
+    }
+
+    /**
+     * Whether a range is grouped by week or by month
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @returns {string} - 'week' or 'month'
+     */
+    getPeriod(from, to) {
+        const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000 + 1;
+        return days <= REPORTS_CONFIG.weeklyUpToDays ? 'week' : 'month';
+    }
+
+    /**
+     * Split a range into weeks (starting Monday) or months
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @returns {Array<{start: string, end: string, label: string}>}
+     */
+    getBuckets(from, to) {
+        const buckets = [];
+
+        if (this.getPeriod(from, to) === 'week') {
+            const weekday = new Date(`${from}T00:00:00Z`).getUTCDay();
+            let start = this.addDays(from, -((weekday + 6) % 7));
+            while (start <= to) {
+                const [, month, day] = start.split('-').map(Number);
+                buckets.push({ start: start, end: this.addDays(start, 6), label: `${REPORTS_CONFIG.monthLabels[month - 1]} ${day}` });
+                start = this.addDays(start, 7);
+            }
+            return buckets;
+        }
+
+        let [year, month] = from.split('-').map(Number);
+        while (`${year}-${String(month).padStart(2, '0')}-01` <= to) {
+            const start = `${year}-${String(month).padStart(2, '0')}-01`;
+            const next = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+            buckets.push({ start: start, end: this.addDays(next, -1), label: `${REPORTS_CONFIG.monthLabels[month - 1]} ${year}` });
+            [year, month] = month === 12 ? [year + 1, 1] : [year, month + 1];
+        }
+        return buckets;
+    }
+
+    /**
+     * Index of the bucket a date falls in
+     * @param {Array} buckets
+     * @param {string} date - YYYY-MM-DD
+     * @returns {number} - -1 when outside every bucket
+     */
+    findBucket(buckets, date) {
+        return buckets.findIndex(bucket => date >= bucket.start && date <= bucket.end);
+    }
+
+    // ===== DATA =====
+
+    /**
+     * Load everything the reports are worked out from
+     * @returns {Promise<{members: Array, events: Array, rsvps: Array, news: Array}>}
+     */
+    async fetchData() {
+        const [members, events, news] = await Promise.all([
+            repositories.members.list({ columns: REPORTS_CONFIG.memberColumns, order: 'created_at', ascending: true }),
+            eventCalendar.fetchEvents(),
+            repositories.news.list({ columns: REPORTS_CONFIG.newsColumns })
+        ]);
+        const rsvps = await eventRSVP.fetchRsvpsForEvents(events.map(event => event.id));
+
+        return { members: members, events: events, rsvps: rsvps, news: news };
+    }
+
+    /**
+     * Day a member joined: join_date, or the day they applied
+     * @param {Object} member
+     * @returns {string} - YYYY-MM-DD
+     */
+    getJoinDate(member) {
+        return member.join_date || String(member.created_at || '').split('T')[0];
+    }
+
+    /**
+     * Earliest date in the data, where an 'all' range starts
+     * @param {Object} data - From fetchData
+     * @returns {string} - YYYY-MM-DD
+     */
+    getEarliestDate(data) {
+        const dates = [
+            ...data.members.map(m => this.getJoinDate(m)),
+            ...data.events.map(e => e.event_date),
+            ...data.news.filter(a => REPORTS_CONFIG.publishedStatuses.includes(a.status)).map(a => a.publish_date)
+        ].filter(Boolean).sort();
+        return dates[0] || eventCalendar.today();
+    }
+
+    // ===== REPORTS =====
+
+    /**
+     * Work out every report for a range
+     * @param {Object} data - From fetchData
+     * @param {Object} range - From getRange
+     * @returns {Object} - { range, period, summary, growth, membershipTypes, experience, ownership, attendance, news }
+     */
+    buildReports(data, range) {
+        const resolved = { ...range, from: range.from || this.getEarliestDate(data) };
+        if (resolved.from > resolved.to) resolved.from = resolved.to;
+        const buckets = this.getBuckets(resolved.from, resolved.to);
+
+        const joined = data.members.filter(m => {
+            const date = this.getJoinDate(m);
+            return m.status !== 'rejected' && date >= resolved.from && date <= resolved.to;
+        });
+
+        const growth = this.buildGrowth(data.members, buckets, resolved);
+        const attendance = this.buildAttendance(data.events, data.rsvps, buckets, resolved);
+        const news = this.buildNewsCadence(data.news, buckets, resolved);
+
+        return {
+            range: resolved,
+            period: this.getPeriod(resolved.from, resolved.to),
+            summary: {
+                applications: growth.applications,
+                newMembers: growth.newMembers,
+                totalMembers: growth.totalMembers,
+                eventsHeld: attendance.eventsHeld,
+                attendees: attendance.attendees,
+                articles: news.articles
+            },
+            growth: growth,
+            membershipTypes: this.buildBreakdown(joined, 'Membership Type', m => {
+                const type = getMembershipPricing()[m.membership_type];
+                return type ? type.name : (m.membership_type || 'Not given');
+            }),
+            experience: this.buildBreakdown(joined, 'Experience', m =>
+                REPORTS_CONFIG.experienceLevels[m.experience_level] || m.experience_level || 'Not given'),
+            ownership: this.buildBreakdown(joined, 'Model A', m =>
+                !m.model_a_owned ? 'No Model A' : (m.model_year ? `${m.model_year} Model A` : 'Model A, year not given'), true),
+            attendance: attendance,
+            news: news
+        };
+    }
+
+    /**
+     * New applications, new members and members to date, per period
+     * @param {Array} members
+     * @param {Array} buckets
+     * @param {Object} range
+     * @returns {Object}
+     */
+    buildGrowth(members, buckets, range) {
+        const applications = buckets.map(() => 0);
+        const newMembers = buckets.map(() => 0);
+        const accepted = members.filter(m => REPORTS_CONFIG.joinedStatuses.includes(m.status));
+
+        const count = (values, date) => {
+            const index = date >= range.from && date <= range.to ? this.findBucket(buckets, date) : -1;
+            if (index >= 0) values[index]++;
+        };
+        members.forEach(m => count(applications, String(m.created_at || '').split('T')[0] || this.getJoinDate(m)));
+        accepted.forEach(m => count(newMembers, this.getJoinDate(m)));
+
+        const totals = buckets.map(bucket => {
+            const end = bucket.end < range.to ? bucket.end : range.to;
+            return accepted.filter(m => this.getJoinDate(m) <= end).length;
+        });
+
+        return {
+            labels: buckets.map(b => b.label),
+            series: [
+                { name: 'Applications', values: applications },
+                { name: 'New members', values: newMembers }
+            ],
+            totalSeries: [{ name: 'Members to date', values: totals }],
+            applications: applications.reduce((a, b) => a + b, 0),
+            newMembers: newMembers.reduce((a, b) => a + b, 0),
+            totalMembers: totals.length ? totals[totals.length - 1] : 0,
+            table: {
+                title: 'Membership Growth',
+                columns: ['Period', 'Applications', 'New Members', 'Members to Date'],
+                rows: buckets.map((b, i) => [b.label, applications[i], newMembers[i], totals[i]])
+            }
+        };
+    }
+
+    /**
+     * Count members by one of their details
+     * @param {Array} members - Members who joined in the range
+     * @param {string} heading - Column heading for the detail
+     * @param {Function} labelOf - Member => label
+     * @param {boolean} sortByLabel - Keep labels in order (model years) instead of largest first
+     * @returns {Object} - { items, table }
+     */
+    buildBreakdown(members, heading, labelOf, sortByLabel = false) {
+        const counts = {};
+        members.forEach(m => {
+            const label = labelOf(m);
+            counts[label] = (counts[label] || 0) + 1;
+        });
+
+        const items = Object.entries(counts)
+            .map(([label, value]) => ({ label: label, value: value }))
+            .sort((a, b) => sortByLabel ? a.label.localeCompare(b.label) : b.value - a.value || a.label.localeCompare(b.label));
+        const total = members.length;
+
+        return {
+            items: items,
+            table: {
+                title: `Members by ${heading}`,
+                columns: [heading, 'Members', 'Share'],
+                rows: items.map(item => [item.label, item.value, `${total ? Math.round(item.value / total * 100) : 0}%`])
+            }
+        };
+    }
+
+    /**
+     * Dates of an event in the range with how many confirmed attendees each had
+     * @param {Object} event
+     * @param {Array} rsvps - Confirmed RSVPs for this event
+     * @param {Object} range
+     * @returns {Array<Object>} - Occurrences with attendees added
+     */
+    getOccurrenceAttendance(event, rsvps, range) {
+        const occurrences = eventCalendar.expandEvent(event, range.from, range.to);
+
+        if (!event.recurrence || !event.recurrence.frequency) {
+            return occurrences.map(o => ({ ...o, attendees: rsvps.length }));
+        }
+
+        // RSVPs made before dates were stored go to the first date on or after the day they were made
+        const series = eventCalendar.expandEvent(event, event.event_date, range.to);
+        const counts = {};
+        rsvps.forEach(rsvp => {
+            let date = rsvp.occurrence_date;
+            if (!date) {
+                const made = String(rsvp.created_at || '').split('T')[0];
+                const occurrence = series.find(o => o.event_date >= made);
+                date = occurrence && occurrence.occurrence_date;
+            }
+            if (date) counts[date] = (counts[date] || 0) + 1;
+        });
+
+        return occurrences.map(o => ({ ...o, attendees: counts[o.occurrence_date] || 0 }));
+    }
+
+    /**
+     * Events held and confirmed attendees per period, by event type
+     * @param {Array} events
+     * @param {Array} rsvps
+     * @param {Array} buckets
+     * @param {Object} range
+     * @returns {Object}
+     */
+    buildAttendance(events, rsvps, buckets, range) {
+        const types = getEventTypes();
+        const confirmed = rsvps.filter(r => r.status === 'confirmed');
+        const occurrences = events.flatMap(event => this.getOccurrenceAttendance(
+            event, confirmed.filter(r => String(r.event_id) === String(event.id)), range));
+
+        // Events with a type that has since been removed are still counted
+        const typeOf = value => types.find(t => t.value === value) || { value: value || 'other', label: value || 'Other', color: null };
+        const used = [];
+        occurrences.forEach(o => {
+            const type = typeOf(o.event_type);
+            if (!used.some(t => t.value === type.value)) used.push(type);
+        });
+        used.sort((a, b) => types.indexOf(types.find(t => t.value === a.value)) - types.indexOf(types.find(t => t.value === b.value)));
+
+        const series = used.map(type => ({ name: type.label, color: type.color, value: type.value, values: buckets.map(() => 0) }));
+        const totals = {};
+        occurrences.forEach(o => {
+            const type = typeOf(o.event_type);
+            const index = this.findBucket(buckets, o.event_date);
+            if (index >= 0) series.find(s => s.value === type.value).values[index] += o.attendees;
+
+            totals[type.value] = totals[type.value] || { label: type.label, events: 0, attendees: 0 };
+            totals[type.value].events++;
+            totals[type.value].attendees += o.attendees;
+        });
+
+        const rows = used.map(type => {
+            const total = totals[type.value];
+            return [total.label, total.events, total.attendees, total.events ? Math.round(total.attendees / total.events * 10) / 10 : 0];
+        });
+
+        return {
+            labels: buckets.map(b => b.label),
+            series: series,
+            eventsHeld: occurrences.length,
+            attendees: occurrences.reduce((sum, o) => sum + o.attendees, 0),
+            table: {
+                title: 'Event Attendance by Type',
+                columns: ['Event Type', 'Events', 'Confirmed Attendees', 'Average per Event'],
+                rows: rows
+            },
+            trendTable: {
+                title: 'Event Attendance by Period',
+                columns: ['Period', ...used.map(t => t.label), 'Total'],
+                rows: buckets.map((b, i) => {
+                    const values = series.map(s => s.values[i]);
+                    return [b.label, ...values, values.reduce((a, c) => a + c, 0)];
+                })
+            }
+        };
+    }
+
+    /**
+     * Articles published per period, and by author
+     * @param {Array} articles
+     * @param {Array} buckets
+     * @param {Object} range
+     * @returns {Object}
+     */
+    buildNewsCadence(articles, buckets, range) {
+        const published = articles.filter(a =>
+            REPORTS_CONFIG.publishedStatuses.includes(a.status) &&
+            a.publish_date && a.publish_date >= range.from && a.publish_date <= range.to);
+        const perPeriod = buckets.map(() => 0);
+        published.forEach(a => {
+            const index = this.findBucket(buckets, a.publish_date);
+            if (index >= 0) perPeriod[index]++;
+        });
+
+        const authors = this.buildBreakdown(published, 'Author', a => a.author || 'Unknown');
+        const activePeriods = perPeriod.filter(count => count > 0).length;
+
+        return {
+            labels: buckets.map(b => b.label),
+            series: [{ name: 'Articles published', values: perPeriod }],
+            articles: published.length,
+            averagePerPeriod: buckets.length ? Math.round(published.length / buckets.length * 10) / 10 : 0,
+            quietPeriods: buckets.length - activePeriods,
+            authors: authors.items,
+            table: {
+                title: 'News Published',
+                columns: ['Period', 'Articles Published'],
+                rows: buckets.map((b, i) => [b.label, perPeriod[i]])
+            },
+            authorTable: {
+                title: 'News Published by Author',
+                columns: ['Author', 'Articles', 'Share'],
+                rows: authors.table.rows
+            }
+        };
+    }
+
+    // ===== EXPORT =====
+
+    /**
+     * Turn a report table into CSV
+     * @param {Object} table - { columns, rows }
+     * @returns {string}
+     */
+    toCsv(table) {
+        return [table.columns, ...table.rows]
+            .map(row => row.map(toCsvCell).join(','))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Every report table in one CSV, each under its title
+     * @param {Object} reports - From buildReports
+     * @returns {string}
+     */
+    toCsvAll(reports) {
+        const tables = [
+            reports.growth.table,
+            reports.membershipTypes.table,
+            reports.experience.table,
+            reports.ownership.table,
+            reports.attendance.table,
+            reports.attendance.trendTable,
+            reports.news.table,
+            reports.news.authorTable
+        ];
+        const heading = `${toCsvCell(`${CONFIG.CLUB_INFO.name} reports`)},${toCsvCell(this.describeRange(reports.range))}\n\n`;
+        return heading + tables.map(table => `${toCsvCell(table.title)}\n${this.toCsv(table)}`).join('\n');
+    }
+}
+
+// Shared instance used by the reports page
+const clubReports = new ClubReports();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClubReports, REPORTS_CONFIG };
+}
@@ -0,0 +1,599 @@
+/**
+ * Club Settings
+ * Club details, officer contacts, social links, membership prices and event
+ * types that the super admin edits on the Club Settings page. The values in config.js are
+ * only defaults: every page loads the saved settings over them, so
+ * CONFIG.CLUB_INFO, CONFIG.CLUB_CONTACTS, CONFIG.SOCIAL_MEDIA,
+ * getMembershipPricing() and getEventTypes() always return the club's current
+ * values.
+ *
+ * USAGE:
+ * 1. Include this script after data-store.js on every page
+ * 2. Settings start loading straight away; code that renders them when the
+ *    page opens waits for them with `await clubSettings.ready`
+ * 3. Mark static markup and it is filled in once the settings are loaded
+ *    (load-components.js does the same for the shared header and footer):
+ *    - <span data-club-setting="club_info.contactPhone">  text of a setting
+ *    - <a data-club-link="social_media.facebook">          link, hidden when blank
+ *    - <span data-club-if="club_contacts.presidentPhone">  hidden when the setting is blank
+ *    - <span data-membership-price="family">               price such as $65
+ *    - <select data-options="membership-types|event-types"> options rebuilt
+ * 4. The settings page saves with `await clubSettings.save('club_info', values)`
+ *
+ * DATABASE TABLES:
+ * club_settings - one row per setting (readable by everyone, writable by admins)
+ * - id, key (unique): key of CLUB_SETTINGS_CONFIG.settings
+ * - value (jsonb), updated_at, updated_by
+ * club_settings_history - one row per saved change (admins only)
+ * - id, setting_key, old_value (jsonb), new_value (jsonb), changed_by, changed_at
+ * Saved changes are also written to the audit log.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, both tables live in the local backend
+ * (data-store.js) and start empty, so the config.js defaults apply.
+ */
+
+/**
+ * Configuration object for club settings
+ */
+const CLUB_SETTINGS_CONFIG = {
+    tableName: 'club_settings',                 // Supabase table holding saved settings
+    historyTableName: 'club_settings_history',  // Supabase table holding past changes
+    historyLimit: 50,
+    // Each setting and the CONFIG value it replaces
+    settings: {
+        site_name: { label: 'Website Name', configKey: 'SITE_NAME' },
+        club_info: { label: 'Club Details', configKey: 'CLUB_INFO' },
+        club_contacts: { label: 'Club Contacts', configKey: 'CLUB_CONTACTS' },
+        social_media: { label: 'Social Links', configKey: 'SOCIAL_MEDIA' },
+        membership_pricing: { label: 'Membership Prices', configKey: 'MEMBERSHIP_PRICES' },
+        event_types: { label: 'Event Types', configKey: 'EVENT_TYPES' }
+    },
+    // Form fields for the settings made of named values
+    fields: {
+        club_info: [
+            { name: 'name', label: 'Club Name', type: 'text', required: true, maxLength: 100 },
+            { name: 'foundedYear', label: 'Founded', type: 'year' },
+            { name: 'meetingLocation', label: 'Meeting Location', type: 'text', required: true, maxLength: 100 },
+            { name: 'meetingAddress', label: 'Meeting Address', type: 'text', maxLength: 200 },
+            { name: 'meetingTime', label: 'Meeting Time', type: 'text', required: true, maxLength: 100 },
+            { name: 'contactEmail', label: 'Contact Email', type: 'email', required: true },
+            { name: 'contactPhone', label: 'Contact Phone', type: 'phone' }
+        ],
+        club_contacts: [
+            { name: 'presidentName', label: 'President', type: 'text', required: true, maxLength: 100 },
+            { name: 'presidentEmail', label: 'President Email', type: 'email', required: true },
+            { name: 'presidentPhone', label: 'President Phone', type: 'phone' },
+            { name: 'membershipName', label: 'Membership Coordinator', type: 'text', required: true, maxLength: 100 },
+            { name: 'membershipEmail', label: 'Membership Coordinator Email', type: 'email', required: true },
+            { name: 'membershipPhone', label: 'Membership Coordinator Phone', type: 'phone' },
+            { name: 'technicalName', label: 'Technical Coordinator', type: 'text', required: true, maxLength: 100 },
+            { name: 'technicalEmail', label: 'Technical Coordinator Email', type: 'email', required: true },
+            { name: 'technicalPhone', label: 'Technical Coordinator Phone', type: 'phone' },
+            { name: 'webmasterEmail', label: 'Website Support Email', type: 'email', required: true }
+        ],
+        social_media: [
+            { name: 'facebook', label: 'Facebook', type: 'url' },
+            { name: 'instagram', label: 'Instagram', type: 'url' },
+            { name: 'youtube', label: 'YouTube', type: 'url' },
+            { name: 'email', label: 'Email', type: 'email' }
+        ]
+    },
+    maxPrice: 10000,
+    maxEventTypes: 20
+};
+
+class ClubSettingsManager {
+    constructor() {
+        this.client = null;
+        // config.js values, kept so a setting can go back to its default
+        this.defaults = {};
+        Object.entries(CLUB_SETTINGS_CONFIG.settings).forEach(([key, setting]) => {
+            this.defaults[key] = this.copy(CONFIG[setting.configKey]);
+        });
+        // Saved rows by key, with who last changed each setting
+        this.saved = {};
+        this.ready = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    /**
+     * Deep copy a setting value so callers can't change CONFIG by accident
+     * @param {*} value
+     * @returns {*}
+     */
+    copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // ===== LOADING =====
+
+    /**
+     * Load saved settings over the config.js defaults
+     * A failed load leaves the defaults in place so the site still works
+     * @returns {Promise<void>}
+     */
+    async load() {
+        try {
+            const { data, error } = await this.getClient()
+                .from(CLUB_SETTINGS_CONFIG.tableName)
+                .select('key, value, updated_at, updated_by');
+
+            if (error) throw error;
+
+            (data || []).forEach(row => {
+                if (!CLUB_SETTINGS_CONFIG.settings[row.key]) return;
+                this.saved[row.key] = row;
+                this.applyValue(row.key, row.value);
+            });
+        } catch (error) {
+            console.error('Error loading club settings, using defaults:', error);
+        }
+    }
+
+    /**
+     * Put a setting's value into CONFIG
+     * Values made of named fields are laid over the defaults, so a field added
+     * to config.js later still has a value
+     * @param {string} key - Key of CLUB_SETTINGS_CONFIG.settings
+     * @param {*} value
+     */
+    applyValue(key, value) {
+        const defaultValue = this.defaults[key];
+        const merged = defaultValue && typeof defaultValue === 'object' && !Array.isArray(defaultValue)
+            ? { ...defaultValue, ...value }
+            : value;
+        CONFIG[CLUB_SETTINGS_CONFIG.settings[key].configKey] = this.copy(merged);
+    }
+
+    /**
+     * Current value of a setting
+     * @param {string} key
+     * @returns {*}
+     */
+    get(key) {
+        return this.copy(CONFIG[CLUB_SETTINGS_CONFIG.settings[key].configKey]);
+    }
+
+    /**
+     * Value of a setting in config.js
+     * @param {string} key
+     * @returns {*}
+     */
+    getDefault(key) {
+        return this.copy(this.defaults[key]);
+    }
+
+    /**
+     * Whether a setting still has its config.js value
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isDefault(key) {
+        return JSON.stringify(this.get(key)) === JSON.stringify(this.defaults[key]);
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Check a web address, adding https:// when the scheme is missing
+     * @param {string} value - Raw URL
+     * @param {string} label - Field name for error messages
+     * @returns {string} - Normalized URL, or '' when blank
+     */
+    normalizeUrl(value, label) {
+        let url = String(value || '').trim();
+        if (!url || url === '#') return '';
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) url = `https://${url}`;
+
+        try {
+            const parsed = new URL(url);
+            if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname.includes('.')) {
+                throw new Error('not a web address');
+            }
+            return parsed.href;
+        } catch (error) {
+            throw new Error(`${label} is not a valid web address`);
+        }
+    }
+
+    /**
+     * Clean and check one named field
+     * @param {Object} field - Entry of CLUB_SETTINGS_CONFIG.fields
+     * @param {*} raw - Value from the form
+     * @returns {string|number|null}
+     */
+    normalizeField(field, raw) {
+        const text = String(raw ?? '').trim();
+
+        if (!text) {
+            if (field.required) throw new Error(`${field.label} is required`);
+            return field.type === 'year' ? null : '';
+        }
+
+        switch (field.type) {
+            case 'email':
+                if (!isValidEmail(text)) throw new Error(`${field.label} is not a valid email address`);
+                return text;
+            case 'url':
+                return this.normalizeUrl(text, field.label);
+            case 'phone': {
+                const digits = text.replace(/\D/g, '');
+                if (!/^\+?[\d\s().-]+$/.test(text) || digits.length < 7 || digits.length > 15) {
+                    throw new Error(`${field.label} is not a valid phone number`);
+                }
+                return text;
+            }
+            case 'year': {
+                const year = Number(text);
+                if (!Number.isInteger(year) || year < 1900 || year > new Date().getFullYear()) {
+                    throw new Error(`${field.label} must be a year between 1900 and this year`);
+                }
+                return year;
+            }
+            default:
+                if (text.length > field.maxLength) {
+                    throw new Error(`${field.label} must be ${field.maxLength} characters or fewer`);
+                }
+                return sanitizeInput(text, field.maxLength);
+        }
+    }
+
+    /**
+     * Clean and check a setting's value from the settings form
+     * Every problem is reported at once so the form can be fixed in one go
+     * @param {string} key - Key of CLUB_SETTINGS_CONFIG.settings
+     * @param {*} value - Raw value
+     * @returns {*} - Value ready to store
+     */
+    normalizeSetting(key, value) {
+        const problems = [];
+        let cleaned;
+
+        if (key === 'site_name') {
+            cleaned = sanitizeInput(String(value || '').trim(), 100);
+            if (!cleaned) problems.push('Website name is required');
+
+        } else if (CLUB_SETTINGS_CONFIG.fields[key]) {
+            cleaned = {};
+            CLUB_SETTINGS_CONFIG.fields[key].forEach(field => {
+                try {
+                    cleaned[field.name] = this.normalizeField(field, (value || {})[field.name]);
+                } catch (error) {
+                    problems.push(error.message);
+                }
+            });
+
+        } else if (key === 'membership_pricing') {
+            cleaned = {};
+            Object.keys(this.defaults.membership_pricing).forEach(type => {
+                const text = String((value || {})[type] ?? '').replace('$', '').trim();
+                const price = Number(text);
+                if (!text || !/^\d+(\.\d{1,2})?$/.test(text) || price > CLUB_SETTINGS_CONFIG.maxPrice) {
+                    problems.push(`The ${type} price must be an amount between 0 and ${CLUB_SETTINGS_CONFIG.maxPrice}`);
+                }
+                cleaned[type] = price;
+            });
+
+        } else if (key === 'event_types') {
+            cleaned = this.normalizeEventTypes(value, problems);
+
+        } else {
+            throw new Error(`Unknown setting "${key}"`);
+        }
+
+        if (problems.length > 0) throw new Error(problems.join('; '));
+        return cleaned;
+    }
+
+    /**
+     * Clean and check the list of event types
+     * @param {Array} types - [{ value, label, color }]
+     * @param {Array<string>} problems - Problems found are added here
+     * @returns {Array}
+     */
+    normalizeEventTypes(types, problems) {
+        const list = Array.isArray(types) ? types : [];
+        const seen = new Set();
+
+        if (list.length === 0) problems.push('At least one event type is required');
+        if (list.length > CLUB_SETTINGS_CONFIG.maxEventTypes) {
+            problems.push(`No more than ${CLUB_SETTINGS_CONFIG.maxEventTypes} event types are allowed`);
+        }
+
+        return list.map((type, index) => {
+            const value = String(type.value || '').trim().toLowerCase();
+            const label = sanitizeInput(String(type.label || '').trim(), 50);
+            const color = String(type.color || '').trim().toLowerCase();
+            const row = `Event type ${index + 1}`;
+
+            if (!/^[a-z][a-z0-9_-]{0,29}$/.test(value)) {
+                problems.push(`${row}: the code must start with a letter and use only letters, numbers, - and _`);
+            } else if (seen.has(value)) {
+                problems.push(`${row}: the code "${value}" is used more than once`);
+            }
+            seen.add(value);
+
+            if (!label) problems.push(`${row}: a name is required`);
+            if (!/^#[0-9a-f]{6}$/.test(color)) problems.push(`${row}: the colour must look like #1565c0`);
+
+            return { value: value, label: label, color: color };
+        });
+    }
+
+    /**
+     * Refuse to drop an event type that events still use, trashed ones included,
+     * so no event is left without a type
+     * @param {Array} types - New list of event types
+     */
+    async checkEventTypesInUse(types) {
+        const kept = new Set(types.map(type => type.value));
+        const removed = this.get('event_types').filter(type => !kept.has(type.value));
+        if (removed.length === 0) return;
+
+        const { data, error } = await this.getClient()
+            .from('events')
+            .select('event_type')
+            .in('event_type', removed.map(type => type.value));
+
+        if (error) throw error;
+
+        const used = removed.filter(type => (data || []).some(event => event.event_type === type.value));
+        if (used.length > 0) {
+            throw new Error(`${used.map(type => type.label).join(', ')} cannot be removed while events use ${used.length === 1 ? 'it' : 'them'}`);
+        }
+    }
+
+    // ===== SAVING =====
+
+    /**
+     * Check and save a setting, recording the change in its history
+     * @param {string} key - Key of CLUB_SETTINGS_CONFIG.settings
+     * @param {*} value - Raw value from the settings form
+     * @returns {Promise<boolean>} - False when nothing changed
+     */
+    async save(key, value) {
+        const cleaned = this.normalizeSetting(key, value);
+        if (key === 'event_types') await this.checkEventTypesInUse(cleaned);
+
+        const before = this.get(key);
+        if (JSON.stringify(before) === JSON.stringify(cleaned)) return false;
+
+        const user = adminSession.getCurrentUser();
+        const changedBy = user ? user.full_name || user.username : null;
+        const now = new Date().toISOString();
+        const client = this.getClient();
+
+        const row = { value: cleaned, updated_at: now, updated_by: changedBy };
+        const { data: existing, error: findError } = await client
+            .from(CLUB_SETTINGS_CONFIG.tableName)
+            .select('id')
+            .eq('key', key)
+            .maybeSingle();
+
+        if (findError) throw findError;
+
+        const { error } = existing
+            ? await client.from(CLUB_SETTINGS_CONFIG.tableName).update(row).eq('id', existing.id)
+            : await client.from(CLUB_SETTINGS_CONFIG.tableName).insert([{ key: key, ...row }]);
+
+        if (error) throw error;
+
+        this.saved[key] = { key: key, ...row };
+        this.applyValue(key, cleaned);
+        await this.recordChange(key, before, cleaned, changedBy, now);
+        return true;
+    }
+
+    /**
+     * Put a setting back to its config.js value
+     * @param {string} key
+     * @returns {Promise<boolean>} - False when it already had that value
+     */
+    async resetToDefault(key) {
+        return this.save(key, this.getDefault(key));
+    }
+
+    /**
+     * Add a saved change to the settings history and the audit log
+     * History is written after the setting itself, so a failure here is
+     * reported without undoing the change
+     * @param {string} key
+     * @param {*} before
+     * @param {*} after
+     * @param {string|null} changedBy
+     * @param {string} changedAt - ISO timestamp
+     */
+    async recordChange(key, before, after, changedBy, changedAt) {
+        const { error } = await this.getClient()
+            .from(CLUB_SETTINGS_CONFIG.historyTableName)
+            .insert([{
+                setting_key: key,
+                old_value: before,
+                new_value: after,
+                changed_by: changedBy,
+                changed_at: changedAt
+            }]);
+
+        if (error) console.error('Error writing club settings history:', error);
+
+        if (typeof auditLog === 'undefined') return;
+        await auditLog.record({
+            action: 'update',
+            entity_type: 'setting',
+            entity_id: key,
+            summary: CLUB_SETTINGS_CONFIG.settings[key].label,
+            before: this.toFields(key, before),
+            after: this.toFields(key, after)
+        });
+    }
+
+    /**
+     * Past changes, newest first
+     * @param {string|null} key - One setting, or null for all of them
+     * @returns {Promise<Array>}
+     */
+    async fetchHistory(key = null) {
+        let query = this.getClient()
+            .from(CLUB_SETTINGS_CONFIG.historyTableName)
+            .select('*')
+            .order('changed_at', { ascending: false })
+            .limit(CLUB_SETTINGS_CONFIG.historyLimit);
+
+        if (key) query = query.eq('setting_key', key);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    // ===== DISPLAY HELPERS =====
+
+    /**
+     * A setting's value as named fields, so changes can be compared field by field
+     * @param {string} key
+     * @param {*} value
+     * @returns {Object|null}
+     */
+    toFields(key, value) {
+        if (value === null || value === undefined) return null;
+        if (key === 'site_name') return { name: value };
+        if (key === 'event_types') {
+            const fields = {};
+            value.forEach(type => { fields[type.value] = `${type.label} (${type.color})`; });
+            return fields;
+        }
+        return value;
+    }
+
+    /**
+     * Name of one field of a setting, e.g. 'Meeting Location'
+     * @param {string} key
+     * @param {string} field
+     * @returns {string}
+     */
+    getFieldLabel(key, field) {
+        const definition = (CLUB_SETTINGS_CONFIG.fields[key] || []).find(f => f.name === field);
+        if (definition) return definition.label;
+        if (key === 'site_name') return CLUB_SETTINGS_CONFIG.settings.site_name.label;
+        if (key === 'membership_pricing') return (getMembershipPricing()[field] || {}).name || field;
+        return field;
+    }
+
+    /**
+     * Fields a history entry changed
+     * @param {Object} entry - Row of the history table
+     * @returns {Array<{label: string, before: *, after: *}>}
+     */
+    describeChanges(entry) {
+        const before = this.toFields(entry.setting_key, entry.old_value) || {};
+        const after = this.toFields(entry.setting_key, entry.new_value) || {};
+        const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        return fields
+            .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+            .map(field => ({ label: this.getFieldLabel(entry.setting_key, field), before: before[field], after: after[field] }));
+    }
+
+    // ===== PAGE DISPLAY =====
+
+    /**
+     * Format a price for display, e.g. $45 or $47.50
+     * @param {number} price
+     * @returns {string}
+     */
+    formatPrice(price) {
+        return `$${Number.isInteger(price) ? price : Number(price).toFixed(2)}`;
+    }
+
+    /**
+     * Read a setting by path, e.g. 'club_info.meetingTime'
+     * @param {string} path
+     * @returns {*}
+     */
+    getByPath(path) {
+        const [key, field] = path.split('.');
+        if (!CLUB_SETTINGS_CONFIG.settings[key]) return undefined;
+        const value = CONFIG[CLUB_SETTINGS_CONFIG.settings[key].configKey];
+        return field ? (value || {})[field] : value;
+    }
+
+    /**
+     * Fill in marked elements with the current settings (see USAGE)
+     * @param {Document|Element} root - Part of the page to update
+     */
+    applyToPage(root = document) {
+        root.querySelectorAll('[data-club-setting]').forEach(element => {
+            const value = this.getByPath(element.dataset.clubSetting);
+            if (value !== undefined && value !== null) element.textContent = value;
+        });
+
+        root.querySelectorAll('[data-club-if]').forEach(element => {
+            element.hidden = !this.getByPath(element.dataset.clubIf);
+        });
+
+        root.querySelectorAll('[data-club-link]').forEach(element => {
+            const value = this.getByPath(element.dataset.clubLink);
+            element.hidden = !value;
+            if (value) element.href = value.includes('@') && !value.includes('/') ? `mailto:${value}` : value;
+        });
+
+        const pricing = getMembershipPricing();
+        root.querySelectorAll('[data-membership-price]').forEach(element => {
+            const type = pricing[element.dataset.membershipPrice];
+            if (type) element.textContent = this.formatPrice(type.price);
+        });
+
+        root.querySelectorAll('select[data-options="membership-types"]').forEach(select => {
+            this.fillSelect(select, Object.entries(pricing).map(([value, type]) => ({ value: value, label: type.label })));
+        });
+
+        root.querySelectorAll('select[data-options="event-types"]').forEach(select => {
+            this.fillSelect(select, getEventTypes());
+        });
+    }
+
+    /**
+     * Replace a select's options, keeping its blank first option and current choice
+     * @param {HTMLSelectElement} select
+     * @param {Array<{value: string, label: string}>} options
+     */
+    fillSelect(select, options) {
+        const current = select.value;
+        const blank = Array.from(select.options).find(option => option.value === '');
+
+        select.innerHTML = (blank ? `<option value="">${escapeHtml(blank.textContent)}</option>` : '') +
+            options.map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('');
+
+        if (options.some(option => option.value === current)) select.value = current;
+    }
+}
+
+// Shared instance used by every page
+const clubSettings = new ClubSettingsManager();
+
+// Start loading at once so the settings are usually there before the page renders
+clubSettings.ready = clubSettings.load();
+
+document.addEventListener('DOMContentLoaded', async function() {
+    await clubSettings.ready;
+    clubSettings.applyToPage();
+});
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClubSettingsManager, CLUB_SETTINGS_CONFIG };
+}
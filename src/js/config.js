@@ -19,14 +19,32 @@ const CONFIG = {
     // Admin configuration
     ADMIN_EMAIL: 'admin@mycardclub.org',
     
+    // Outgoing email (password resets, notifications)
+    // Leave endpoint empty to log messages locally instead of sending them
+    MAIL_SERVICE: {
+        endpoint: '',               // e.g. https://your-project-id.supabase.co/functions/v1/send-email
+        useSupabaseAuth: true,      // Send the anon key as a Bearer token to the endpoint
+        fromAddress: 'noreply@mycarclub.org'
+    },
+    
     // Demo mode settings (used when Supabase is not configured)
     DEMO_MODE: {
         enabled: true, // Set to false in production
         adminUsername: 'admin',
-        adminPassword: 'demo123'
+        adminPassword: 'demo123',
+        // Extra demo logins for trying out role permissions (same password);
+        // every demo account is seeded from generateDemoData().adminUsers
+        roleUsers: [
+            { username: 'jdoe_admin', full_name: 'John Doe', role: 'admin' },
+            { username: 'moderator', full_name: 'Demo Moderator', role: 'moderator' },
+            { username: 'editor', full_name: 'Demo Editor', role: 'editor' }
+        ]
     },
     
     // Club information
+    // SITE_NAME, CLUB_INFO, CLUB_CONTACTS, SOCIAL_MEDIA, MEMBERSHIP_PRICES and
+    // EVENT_TYPES are defaults: club-settings.js replaces them with the values
+    // saved on the admin Club Settings page when a page loads
     CLUB_INFO: {
         name: 'My Car Club',
         foundedYear: 2025,
@@ -36,6 +54,20 @@ const CONFIG = {
         contactEmail: 'info@mycarclub.org',
         contactPhone: '(555) 123-4567'
     },
+
+    // Officers listed in the contact sections of the home and membership pages
+    CLUB_CONTACTS: {
+        presidentName: 'John Smith',
+        presidentEmail: 'president@mycarclub.org',
+        presidentPhone: '(555) 123-4567',
+        membershipName: 'Sarah Johnson',
+        membershipEmail: 'membership@mycarclub.org',
+        membershipPhone: '(555) 123-4567',
+        technicalName: 'Mike Johnson',
+        technicalEmail: 'tech@mycarclub.org',
+        technicalPhone: '(555) 987-6543',
+        webmasterEmail: 'webmaster@mycarclub.org'
+    },
     
     // Social media links
     SOCIAL_MEDIA: {
@@ -43,7 +75,24 @@ const CONFIG = {
         instagram: '#',
         youtube: '#',
         email: 'info@mycarclub.org'
-    }
+    },
+    
+    // Yearly dues for each membership type
+    MEMBERSHIP_PRICES: {
+        individual: 45,
+        family: 65,
+        student: 25
+    },
+    
+    // Event types, with the colour each type has on the events calendar
+    EVENT_TYPES: [
+        { value: 'meeting', label: 'Club Meeting', color: '#8b4513' },
+        { value: 'tour', label: 'Tour/Drive', color: '#2e7d32' },
+        { value: 'workshop', label: 'Workshop', color: '#1565c0' },
+        { value: 'show', label: 'Car Show', color: '#c62828' },
+        { value: 'social', label: 'Social Event', color: '#8e24aa' },
+        { value: 'other', label: 'Other', color: '#607d8b' }
+    ]
 };
 
 // ===== CONFIGURATION FUNCTIONS =====
@@ -97,23 +146,34 @@ function formatTime(timeString) {
     });
 }
 
-// Function to get membership pricing
+// Function to get membership pricing from CONFIG.MEMBERSHIP_PRICES
 function getMembershipPricing() {
-    return {
-        individual: { price: 45, label: 'Individual ($45/year)' },
-        family: { price: 65, label: 'Family ($65/year)' },
-        student: { price: 25, label: 'Student ($25/year)' }
-    };
+    const names = { individual: 'Individual', family: 'Family', student: 'Student' };
+    const pricing = {};
+    Object.entries(CONFIG.MEMBERSHIP_PRICES).forEach(([type, price]) => {
+        const amount = Number.isInteger(price) ? String(price) : Number(price).toFixed(2);
+        pricing[type] = { price: price, name: names[type] || type, label: `${names[type] || type} ($${amount}/year)` };
+    });
+    return pricing;
 }
 
-// Function to get event types
+// Function to get event types, with the colour each type has on the events calendar
 function getEventTypes() {
+    return CONFIG.EVENT_TYPES.map(type => ({ ...type }));
+}
+
+// Function to get parts categories, shared by supplier specialties and member classifieds
+function getPartsCategories() {
     return [
-        { value: 'meeting', label: 'Club Meeting' },
-        { value: 'tour', label: 'Tour/Drive' },
-        { value: 'workshop', label: 'Workshop' },
-        { value: 'show', label: 'Car Show' },
-        { value: 'social', label: 'Social Event' },
+        { value: 'engine parts', label: 'Engine' },
+        { value: 'transmission', label: 'Transmission & Drivetrain' },
+        { value: 'body restoration', label: 'Body & Sheet Metal' },
+        { value: 'electrical', label: 'Electrical' },
+        { value: 'upholstery', label: 'Upholstery & Interior' },
+        { value: 'chrome', label: 'Chrome & Trim' },
+        { value: 'wheels and tires', label: 'Wheels & Tires' },
+        { value: 'tools', label: 'Tools & Manuals' },
+        { value: 'hard-to-find parts', label: 'Hard-to-Find Parts' },
         { value: 'other', label: 'Other' }
     ];
 }
@@ -150,14 +210,101 @@ function isValidEmail(email) {
     return emailRegex.test(email);
 }
 
-// Function to sanitize user input
-function sanitizeInput(input) {
+// Function to sanitize short user input such as names and notes
+// Long-form content (news articles) is stored as Markdown and sanitized when rendered, see markdown.js
+function sanitizeInput(input, maxLength = 1000) {
     if (typeof input !== 'string') return input;
     
     return input
         .trim()
         .replace(/[<>]/g, '') // Remove basic HTML tags
-        .substring(0, 1000); // Limit length
+        .substring(0, maxLength); // Limit length
+}
+
+// Function to escape text for use inside HTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Function to check that a user-supplied link is an absolute http(s) URL
+// Use before putting a URL into a src or href attribute
+function isHttpUrl(value) {
+    try {
+        const url = new URL(String(value ?? '').trim());
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Function to check that an image URL is safe for an img src or CSS url():
+// an http(s) URL, or a data: image URL from the demo photo store
+function isImageUrl(value) {
+    return isHttpUrl(value) || /^data:image\/(jpeg|png|gif|webp);base64,[a-z0-9+\/=]+$/i.test(String(value ?? ''));
+}
+
+// Function to quote a value for CSV when it contains a delimiter, quote or line break
+// Text starting with = + - or @ gets a leading apostrophe so spreadsheet programs
+// do not run it as a formula; parseCsv removes it again on import
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to parse CSV text into rows of cells, skipping blank lines
+// Handles quoted cells containing commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Strip a byte-order mark left by spreadsheet programs
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Ignore blank lines and undo the formula guard added by toCsvCell
+    return rows
+        .filter(r => r.some(value => value.trim() !== ''))
+        .map(r => r.map(value => value.replace(/^'(?=[=+\-@])/, '')));
 }
 
 // Function to get time ago format
@@ -182,18 +329,31 @@ function getTimeAgo(dateString) {
 
 // Function to generate demo data for testing
 function generateDemoData() {
+    // Classified listings expire, so their demo dates are relative to today
+    const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
     return {
         events: [
             {
                 id: 1,
                 title: 'Monthly Club Meeting',
                 description: 'Join us for our monthly gathering featuring a tech talk on carburetor maintenance.',
-                event_date: '2025-09-16',
+                event_date: '2025-09-20',
                 event_time: '10:00',
                 location: 'Community Center',
                 event_type: 'meeting',
                 rsvp_required: true,
                 max_attendees: null,
+                recurrence: {
+                    frequency: 'monthly',
+                    interval: 1,
+                    by_week: 3,  // Third Saturday of each month
+                    until: null,
+                    exceptions: [
+                        { date: '2025-12-20', cancelled: false, new_date: '2025-12-13', new_time: null, location: null, note: 'Moved up a week for the holidays' },
+                        { date: '2026-07-18', cancelled: true, new_date: null, new_time: null, location: null, note: 'No meeting in July - see you at the summer tour' }
+                    ]
+                },
                 created_at: '2025-08-01T10:00:00'
             },
             {
@@ -206,7 +366,46 @@ function generateDemoData() {
                 event_type: 'tour',
                 rsvp_required: true,
                 max_attendees: 25,
+                recurrence: null,
+                route: {
+                    start_time: '09:00',
+                    average_speed_mph: 30,
+                    notes: 'Back roads only. Headlights on through the state forest.',
+                    waypoints: [
+                        { name: 'Town Square', address: 'Main St & Elm St', lat: 41.7004, lng: -73.9210, stop_type: 'start', stop_minutes: 15, distance_miles: null, notes: 'Drivers meeting and route sheets' },
+                        { name: 'Riverside Overlook', address: 'River Rd scenic pull-off', lat: 41.7812, lng: -73.9665, stop_type: 'sight', stop_minutes: 20, distance_miles: null, notes: 'Group photo' },
+                        { name: "Miller's General Store", address: '112 County Rd 9', lat: 41.8690, lng: -73.8950, stop_type: 'fuel', stop_minutes: 20, distance_miles: 9.5, notes: 'Gas and restrooms' },
+                        { name: 'Covered Bridge Park', address: 'Bridge Ln', lat: 41.8402, lng: -73.7805, stop_type: 'meal', stop_minutes: 60, distance_miles: null, notes: 'Picnic lunch - bring a chair' },
+                        { name: 'Town Square', address: 'Main St & Elm St', lat: 41.7004, lng: -73.9210, stop_type: 'finish', stop_minutes: 0, distance_miles: 14, notes: null }
+                    ]
+                },
                 created_at: '2025-08-05T14:30:00'
+            },
+            {
+                id: 3,
+                title: 'Restoration Workshop',
+                description: 'Hands-on workshop covering engine rebuilding basics. Bring your questions and learn from our master mechanics.',
+                event_date: '2025-10-21',
+                event_time: '13:00',
+                location: "Mike's Garage",
+                event_type: 'workshop',
+                rsvp_required: true,
+                max_attendees: 3,
+                recurrence: null,
+                created_at: '2025-08-10T09:00:00'
+            },
+            {
+                id: 4,
+                title: 'Holiday Car Show',
+                description: "Annual holiday-themed car show featuring decorated Model A's. Prizes for best holiday spirit and people's choice.",
+                event_date: '2025-12-02',
+                event_time: '11:00',
+                location: 'City Park',
+                event_type: 'show',
+                rsvp_required: false,
+                max_attendees: null,
+                recurrence: { frequency: 'yearly', interval: 1, by_week: null, until: null, exceptions: [] },
+                created_at: '2025-08-12T11:00:00'
             }
         ],
         
@@ -240,6 +439,206 @@ function generateDemoData() {
                 status: 'active',
                 join_date: '2025-07-20',
                 created_at: '2025-07-20T14:30:00'
+            },
+            {
+                id: 3,
+                first_name: 'Walt',
+                last_name: 'Parker',
+                email: 'walt@email.com',
+                phone: '555-0125',
+                membership_type: 'individual',
+                model_a_owned: true,
+                model_year: '1929',
+                body_style: 'Tudor Sedan',
+                experience_level: 'expert',
+                status: 'active',
+                join_date: '2024-03-02',
+                renewal_date: '2027-03-02',
+                created_at: '2024-03-02T09:15:00'
+            }
+        ],
+        
+        vehicles: [
+            {
+                id: 1,
+                member_id: 3,
+                year: '1929',
+                body_style: 'Tudor Sedan',
+                engine_number: 'A1234567',
+                color: 'Niagara Blue',
+                restoration_status: 'restored',
+                photo_urls: [],
+                notes: 'Frame-off restoration finished in 2019.',
+                show_in_fleet: true,
+                created_at: '2025-08-15T10:00:00'
+            },
+            {
+                id: 2,
+                member_id: 3,
+                year: '1931',
+                body_style: 'Pickup',
+                engine_number: 'A4451023',
+                color: 'Black',
+                restoration_status: 'driver',
+                photo_urls: [],
+                notes: 'Used for parts runs and tours.',
+                show_in_fleet: true,
+                created_at: '2025-08-20T09:00:00'
+            },
+            {
+                id: 3,
+                member_id: 1,
+                year: '1930',
+                body_style: 'Roadster',
+                engine_number: null,
+                color: null,
+                restoration_status: 'project',
+                photo_urls: [],
+                notes: 'Barn find, waiting its turn.',
+                show_in_fleet: false,
+                created_at: '2025-09-01T12:00:00'
+            }
+        ],
+        
+        suppliers: [
+            {
+                id: 1,
+                name: "Bratton's Antique Auto Parts",
+                description: "Family-owned business specializing in Ford Model A restoration parts. Extensive inventory of engine, transmission, and body components. Known for high-quality reproduction parts and excellent customer service.",
+                main_website_url: "https://www.brattons-autoparts.com",
+                support_contact_url: "https://www.brattons-autoparts.com/contact",
+                phone: "(555) 123-4567",
+                email: "info@brattons-autoparts.com",
+                address: "1234 Classic Car Lane, Restoration City, MI 48001",
+                specialties: ["engine parts", "transmission", "body restoration", "electrical"],
+                parts_categories: ["reproduction", "restored", "new"],
+                years_in_business: 45,
+                ships_internationally: true,
+                accepts_returns: true,
+                warranty_offered: true,
+                catalog_available: true,
+                club_recommended: true,
+                recommendation_status: 'recommended',
+                member_discount: true,
+                discount_percentage: 10.00,
+                is_active: true
+            },
+            {
+                id: 2,
+                name: "Model A Ford Parts Supply",
+                description: "Comprehensive supplier of Model A Ford parts and accessories. Specializes in hard-to-find components and custom fabrication services. Offers both original and reproduction parts.",
+                main_website_url: "https://www.modelapartsupply.com",
+                support_contact_url: "https://www.modelapartsupply.com/support",
+                phone: "(555) 987-6543",
+                email: "sales@modelapartsupply.com",
+                address: "5678 Vintage Avenue, Classic Town, CA 90210",
+                specialties: ["hard-to-find parts", "custom fabrication", "upholstery", "chrome"],
+                parts_categories: ["original", "reproduction", "custom"],
+                years_in_business: 32,
+                ships_internationally: true,
+                accepts_returns: true,
+                warranty_offered: false,
+                catalog_available: true,
+                club_recommended: true,
+                recommendation_status: 'recommended',
+                member_discount: true,
+                discount_percentage: 15.00,
+                is_active: true
+            },
+            {
+                id: 3,
+                name: "Classic Ford Restoration",
+                description: "Full-service restoration shop that also sells parts. Expert knowledge in Model A systems and components. Offers restoration services and technical support.",
+                main_website_url: "https://www.classicfordrestoration.com",
+                support_contact_url: "https://www.classicfordrestoration.com/contact-us",
+                phone: "(555) 456-7890",
+                email: "parts@classicfordrestoration.com",
+                address: "9012 Heritage Road, Antique City, TX 75001",
+                specialties: ["restoration services", "technical support", "complete engines", "paint supplies"],
+                parts_categories: ["restored", "rebuilt", "reproduction"],
+                years_in_business: 28,
+                ships_internationally: false,
+                accepts_returns: true,
+                warranty_offered: true,
+                catalog_available: false,
+                club_recommended: true,
+                recommendation_status: 'recommended',
+                member_discount: false,
+                discount_percentage: null,
+                is_active: true
+            },
+            {
+                id: 4,
+                name: "Vintage Ignition Works",
+                description: "Small shop rebuilding distributors, coils and magnetos for early Fords.",
+                main_website_url: "https://www.vintageignitionworks.com",
+                support_contact_url: null,
+                phone: "(555) 222-3344",
+                email: "shop@vintageignitionworks.com",
+                address: null,
+                specialties: ["electrical", "ignition"],
+                parts_categories: ["rebuilt"],
+                years_in_business: 9,
+                ships_internationally: false,
+                accepts_returns: true,
+                warranty_offered: true,
+                catalog_available: false,
+                club_recommended: false,
+                recommendation_status: 'nominated',
+                recommendation_note: 'Rebuilt my distributor in a week, works perfectly.',
+                nominated_by: 'admin',
+                nominated_at: '2025-08-25T10:00:00',
+                member_discount: false,
+                discount_percentage: null,
+                is_active: true
+            }
+        ],
+        
+        supplierReviews: [
+            {
+                id: 1,
+                supplier_id: 1,
+                member_id: 2,
+                reviewer_name: 'Jane S.',
+                part_quality: 5,
+                shipping_speed: 4,
+                accuracy: 5,
+                rating: 4.7,
+                comment: 'Water pump fit first time and looks just like the original.',
+                status: 'approved',
+                created_at: '2025-08-12T18:00:00',
+                reviewed_by: 'admin',
+                reviewed_at: '2025-08-13T09:00:00'
+            },
+            {
+                id: 2,
+                supplier_id: 2,
+                member_id: 2,
+                reviewer_name: 'Jane S.',
+                part_quality: 4,
+                shipping_speed: 3,
+                accuracy: 4,
+                rating: 3.7,
+                comment: 'Good upholstery kit, but it took three weeks to arrive.',
+                status: 'approved',
+                created_at: '2025-08-18T20:15:00',
+                reviewed_by: 'admin',
+                reviewed_at: '2025-08-19T08:30:00'
+            },
+            {
+                id: 3,
+                supplier_id: 3,
+                member_id: 1,
+                reviewer_name: 'John D.',
+                part_quality: 5,
+                shipping_speed: 5,
+                accuracy: 4,
+                rating: 4.7,
+                comment: 'Rebuilt engine runs beautifully.',
+                status: 'pending',
+                created_at: '2025-08-28T11:00:00',
+                reviewed_by: null,
+                reviewed_at: null
             }
         ],
         
@@ -249,6 +648,7 @@ function generateDemoData() {
                 title: 'Welcome New Members!',
                 content: "We're excited to welcome 5 new members this month to our Model A family.",
                 author: 'John Smith',
+                status: 'published',
                 publish_date: '2025-08-15',
                 is_featured: false,
                 created_at: '2025-08-15T09:00:00'
@@ -256,11 +656,69 @@ function generateDemoData() {
             {
                 id: 2,
                 title: 'Parts Swap Meet Success',
-                content: 'Thanks to everyone who participated in last weekend\'s parts swap meet.',
+                content: 'Thanks to everyone who participated in last weekend\'s parts swap meet.\n\nOver 200 items found new homes!',
                 author: 'Mike Johnson',
+                status: 'published',
                 publish_date: '2025-08-10',
                 is_featured: true,
                 created_at: '2025-08-10T16:00:00'
+            },
+            {
+                id: 3,
+                title: 'Summer Tour Photos',
+                content: 'Check out the photos from our summer scenic drive in the **gallery**! Thanks to all members who took part.',
+                author: 'Sarah Davis',
+                status: 'archived',
+                publish_date: '2025-07-28',
+                is_featured: false,
+                created_at: '2025-07-28T12:00:00'
+            },
+            {
+                id: 4,
+                title: 'Fall Color Tour Announced',
+                content: 'Mark your calendars for the fall color tour. Route and lunch stop to follow.',
+                author: 'Demo Editor',
+                status: 'scheduled',
+                publish_date: daysFromNow(7).split('T')[0],
+                is_featured: false,
+                created_at: '2025-09-01T10:00:00'
+            },
+            {
+                id: 5,
+                title: 'Winter Restoration Workshops',
+                content: 'Draft: dates and topics still to be confirmed with the technical director.',
+                author: 'Demo Editor',
+                status: 'draft',
+                publish_date: daysFromNow(30).split('T')[0],
+                is_featured: false,
+                created_at: '2025-09-02T10:00:00'
+            }
+        ],
+        
+        newsRevisions: [
+            {
+                id: 1,
+                news_id: 2,
+                title: 'Parts Swap Meet',
+                content: 'Thanks to everyone who participated in last weekend\'s parts swap meet.',
+                status: 'draft',
+                publish_date: '2025-08-10',
+                is_featured: false,
+                edited_by: 'Mike Johnson',
+                note: 'Created',
+                created_at: '2025-08-10T16:00:00'
+            },
+            {
+                id: 2,
+                news_id: 2,
+                title: 'Parts Swap Meet Success',
+                content: 'Thanks to everyone who participated in last weekend\'s parts swap meet.\n\nOver 200 items found new homes!',
+                status: 'published',
+                publish_date: '2025-08-10',
+                is_featured: true,
+                edited_by: 'Demo Admin',
+                note: 'Added the swap meet total',
+                created_at: '2025-08-11T09:30:00'
             }
         ],
         
@@ -271,9 +729,317 @@ function generateDemoData() {
                 description: 'Beautiful restored Tudor Sedan owned by club member',
                 image_url: '',
                 thumbnail_url: '',
-                is_featured: false,
+                event_id: null,
+                status: 'approved',
+                is_featured: true,
                 upload_date: '2025-08-15',
                 created_at: '2025-08-15T12:00:00'
+            },
+            {
+                id: 2,
+                title: '1929 Roadster',
+                description: 'Top down on the summer drive',
+                image_url: '',
+                thumbnail_url: '',
+                event_id: null,
+                status: 'approved',
+                is_featured: false,
+                upload_date: '2025-07-20',
+                created_at: '2025-07-20T15:30:00'
+            },
+            {
+                id: 3,
+                title: 'Restoration Project',
+                description: 'Halfway through a frame-off restoration',
+                image_url: '',
+                thumbnail_url: '',
+                event_id: null,
+                status: 'approved',
+                is_featured: false,
+                upload_date: '2025-06-02',
+                created_at: '2025-06-02T10:00:00'
+            },
+            {
+                id: 4,
+                title: '1930 Coupe',
+                description: 'Sent in by a member, waiting for review',
+                image_url: '',
+                thumbnail_url: '',
+                event_id: null,
+                status: 'pending',
+                is_featured: false,
+                submitter_name: 'Jane Smith',
+                submitter_email: 'jane@email.com',
+                upload_date: '2025-08-18',
+                created_at: '2025-08-18T09:00:00'
+            }
+        ],
+        
+        classifieds: [
+            {
+                id: 1,
+                member_id: 2,
+                seller_name: 'Jane S.',
+                contact_email: 'jane@email.com',
+                listing_type: 'for_sale',
+                title: 'Rebuilt Zenith carburetor',
+                description: 'Rebuilt last winter with a new float and gaskets. Ran perfectly on my Tudor before I switched to a Tillotson.',
+                category: 'engine parts',
+                condition: 'rebuilt',
+                price: 175,
+                location: 'Restoration City',
+                photos: [],
+                duration_days: 60,
+                status: 'active',
+                expires_at: daysFromNow(45),
+                created_at: daysFromNow(-15),
+                reviewed_by: 'admin',
+                reviewed_at: daysFromNow(-14)
+            },
+            {
+                id: 2,
+                member_id: 2,
+                seller_name: 'Jane S.',
+                contact_email: 'jane@email.com',
+                listing_type: 'wanted',
+                title: 'Rear fenders for a 1930 Roadster',
+                description: 'Looking for a straight pair of rear fenders. Surface rust is fine.',
+                category: 'body restoration',
+                condition: null,
+                price: null,
+                location: 'Restoration City',
+                photos: [],
+                duration_days: 60,
+                status: 'active',
+                expires_at: daysFromNow(20),
+                created_at: daysFromNow(-40),
+                reviewed_by: 'admin',
+                reviewed_at: daysFromNow(-39)
+            },
+            {
+                id: 3,
+                member_id: 2,
+                seller_name: 'Jane S.',
+                contact_email: 'jane@email.com',
+                listing_type: 'free',
+                title: 'Box of 6-volt bulbs and sockets',
+                description: 'Assorted headlight and tail light bulbs. Free to a club member who can pick them up.',
+                category: 'electrical',
+                condition: 'used',
+                price: null,
+                location: 'Restoration City',
+                photos: [],
+                duration_days: 60,
+                status: 'pending',
+                expires_at: null,
+                created_at: daysFromNow(-1),
+                reviewed_by: null,
+                reviewed_at: null
+            },
+            {
+                id: 4,
+                member_id: 2,
+                seller_name: 'Jane S.',
+                contact_email: 'jane@email.com',
+                listing_type: 'for_sale',
+                title: 'Steering wheel, original hard rubber',
+                description: 'Cracked in two places but restorable.',
+                category: 'other',
+                condition: 'for_restoration',
+                price: 60,
+                location: 'Restoration City',
+                photos: [],
+                duration_days: 60,
+                status: 'active',
+                expires_at: daysFromNow(-2),
+                created_at: daysFromNow(-62),
+                reviewed_by: 'admin',
+                reviewed_at: daysFromNow(-61)
+            }
+        ],
+        
+        newsletterSubscribers: [
+            {
+                id: 1,
+                email: 'jane@email.com',
+                name: 'Jane Smith',
+                member_id: 2,
+                status: 'subscribed',
+                confirm_token: null,
+                unsubscribe_token: 'demo-unsubscribe-jane',
+                created_at: '2025-07-20T14:30:00',
+                confirmed_at: '2025-07-20T14:30:00'
+            },
+            {
+                id: 2,
+                email: 'pat.lee@example.com',
+                name: 'Pat Lee',
+                member_id: null,
+                status: 'subscribed',
+                confirm_token: null,
+                unsubscribe_token: 'demo-unsubscribe-pat',
+                created_at: '2025-08-02T19:45:00',
+                confirmed_at: '2025-08-02T20:01:00'
+            },
+            {
+                id: 3,
+                email: 'sam.ortiz@example.com',
+                name: 'Sam Ortiz',
+                member_id: null,
+                status: 'pending',
+                confirm_token: 'demo-confirm-sam',
+                unsubscribe_token: 'demo-unsubscribe-sam',
+                created_at: '2025-08-20T08:10:00',
+                confirmed_at: null
+            }
+        ],
+        
+        newsletterIssues: [
+            {
+                id: 1,
+                subject: 'August News from the Club',
+                intro: 'Summer is flying by! Here is what the club has been up to, and what is coming next.',
+                news_ids: [1, 2],
+                event_ids: [1, 2],
+                status: 'sent',
+                recipient_count: 2,
+                created_by: 'admin',
+                created_at: '2025-08-25T10:00:00',
+                sent_at: '2025-08-25T10:05:00'
+            }
+        ],
+        
+        // Every demo account's password is CONFIG.DEMO_MODE.adminPassword ('demo123'),
+        // stored as a legacy hash that is upgraded on first login
+        adminUsers: [
+            {
+                id: 1,
+                username: 'admin',
+                email: 'demo@modelaclub.com',
+                full_name: 'Demo Admin',
+                role: 'super_admin',
+                password_hash: '2bd081db406259d0256aca67ebc389a39a18f459f0e61d295a82ce60b4994fe5',
+                is_active: true,
+                last_login: '2025-08-17T09:30:00',
+                created_at: '2025-01-15T10:00:00',
+                updated_at: '2025-08-17T09:30:00'
+            },
+            {
+                id: 2,
+                username: 'moderator',
+                email: 'moderator@modelaclub.com',
+                full_name: 'Demo Moderator',
+                role: 'moderator',
+                password_hash: '2bd081db406259d0256aca67ebc389a39a18f459f0e61d295a82ce60b4994fe5',
+                is_active: true,
+                last_login: '2025-08-20T16:30:00',
+                created_at: '2025-02-10T11:15:00',
+                updated_at: '2025-08-20T16:30:00'
+            },
+            {
+                id: 3,
+                username: 'editor',
+                email: 'editor@modelaclub.com',
+                full_name: 'Demo Editor',
+                role: 'editor',
+                password_hash: '2bd081db406259d0256aca67ebc389a39a18f459f0e61d295a82ce60b4994fe5',
+                is_active: true,
+                last_login: null,
+                created_at: '2025-03-05T09:30:00',
+                updated_at: '2025-03-05T09:30:00'
+            },
+            {
+                id: 4,
+                username: 'jdoe_admin',
+                email: 'john.doe@modelaclub.com',
+                full_name: 'John Doe',
+                role: 'admin',
+                password_hash: '2bd081db406259d0256aca67ebc389a39a18f459f0e61d295a82ce60b4994fe5',
+                is_active: true,
+                last_login: '2025-08-15T14:20:00',
+                created_at: '2025-03-20T11:15:00',
+                updated_at: '2025-08-15T14:20:00'
+            },
+            {
+                id: 5,
+                username: 'mary_mod',
+                email: 'mary.smith@modelaclub.com',
+                full_name: 'Mary Smith',
+                role: 'moderator',
+                password_hash: '2bd081db406259d0256aca67ebc389a39a18f459f0e61d295a82ce60b4994fe5',
+                is_active: true,
+                last_login: '2025-08-10T16:45:00',
+                failed_login_attempts: 0,
+                locked_until: daysFromNow(1 / 144),     // Locked for the next 10 minutes
+                created_at: '2025-04-02T09:30:00',
+                updated_at: '2025-08-10T16:45:00'
+            },
+            {
+                id: 6,
+                username: 'editor_bob',
+                email: 'bob.wilson@modelaclub.com',
+                full_name: 'Bob Wilson',
+                role: 'editor',
+                password_hash: '2bd081db406259d0256aca67ebc389a39a18f459f0e61d295a82ce60b4994fe5',
+                is_active: false,
+                last_login: null,
+                created_at: '2025-07-20T13:10:00',
+                updated_at: '2025-07-20T13:10:00'
+            }
+        ],
+        
+        auditLog: [
+            {
+                id: 1,
+                actor_id: '1',
+                actor_name: 'Demo Admin',
+                actor_role: 'super_admin',
+                action: 'status',
+                entity_type: 'member',
+                entity_id: '2',
+                summary: 'Jane Smith',
+                before: { status: 'pending' },
+                after: { status: 'active' },
+                created_at: '2025-07-21T09:15:00.000Z'
+            },
+            {
+                id: 2,
+                actor_id: '1',
+                actor_name: 'Demo Admin',
+                actor_role: 'super_admin',
+                action: 'create',
+                entity_type: 'event',
+                entity_id: '4',
+                summary: 'Annual Car Show',
+                before: null,
+                after: { title: 'Annual Car Show', event_date: '2025-11-15', event_type: 'show' },
+                created_at: '2025-08-12T11:00:00.000Z'
+            },
+            {
+                id: 3,
+                actor_id: '2',
+                actor_name: 'Demo Moderator',
+                actor_role: 'moderator',
+                action: 'feature',
+                entity_type: 'photo',
+                entity_id: '1',
+                summary: '1928 Tudor Sedan',
+                before: { is_featured: true },
+                after: { is_featured: false },
+                created_at: '2025-08-20T16:40:00.000Z'
+            },
+            {
+                id: 4,
+                actor_id: '1',
+                actor_name: 'Demo Admin',
+                actor_role: 'super_admin',
+                action: 'send',
+                entity_type: 'newsletter_issue',
+                entity_id: '1',
+                summary: 'August News from the Club',
+                before: { status: 'draft' },
+                after: { status: 'sent', recipient_count: 2 },
+                created_at: '2025-08-25T10:05:00.000Z'
             }
         ]
     };
@@ -292,10 +1058,16 @@ if (typeof module !== 'undefined' && module.exports) {
         formatTime,
         getMembershipPricing,
         getEventTypes,
+        getPartsCategories,
         handleError,
+        isHttpUrl,
+        isImageUrl,
         showLoadingState,
         isValidEmail,
         sanitizeInput,
+        escapeHtml,
+        toCsvCell,
+        parseCsv,
         getTimeAgo,
         generateDemoData
     };
@@ -0,0 +1,333 @@
+/**
+ * Admin Credential Handling
+ * Single place for hashing, verifying and validating admin passwords
+ *
+ * USAGE:
+ * 1. Include this script after config.js on pages that create or check passwords
+ * 2. Store `await hashPassword(password)` in admin_users.password_hash
+ * 3. Check a login with `await verifyPassword(password, user.password_hash)`;
+ *    when the result has needsRehash set, save a fresh hashPassword() result
+ *
+ * HASH FORMATS (admin_users.password_hash):
+ * - v2 (current): 'pbkdf2_sha256$<iterations>$<base64 salt>$<base64 hash>'
+ *   PBKDF2-SHA256 via WebCrypto with a random per-user salt
+ * - v1 (legacy):  64 hex characters, SHA-256 of password + fixed salt
+ *   Accepted at login only so existing accounts can be migrated to v2
+ *
+ * OTHER admin_users COLUMNS:
+ * - must_change_password (boolean): forces a new password at next login
+ * - failed_login_attempts (integer), locked_until (timestamp): account lockout
+ * - reset_token_hash (text), reset_token_expires (timestamp): one-time password reset
+ */
+
+/**
+ * Configuration object for password hashing and the password policy
+ */
+const CREDENTIAL_CONFIG = {
+    algorithm: 'pbkdf2_sha256',         // Prefix identifying the current hash version
+    iterations: 210000,                 // PBKDF2 work factor
+    saltBytes: 16,                      // Random salt length per password
+    hashBytes: 32,                      // Derived key length
+    legacySalts: ['salt123', 'salt'],   // Fixed salts used by the old SHA-256 hashes
+    minLength: 10,                      // Minimum password length
+    maxFailedAttempts: 5,               // Failed logins before the account is locked
+    lockoutMinutes: 15,                 // How long a lockout lasts
+    resetTokenMinutes: 30,              // How long a password reset link stays valid
+    commonPasswords: ['password', 'password1', 'password123', 'qwerty123', 'letmein123', 'admin12345', 'welcome123', 'changeme123']
+};
+
+// ===== ENCODING HELPERS =====
+
+/**
+ * Convert bytes to a base64 string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Convert a base64 string back to bytes
+ * @param {string} base64 - Encoded value
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Compare two strings without stopping at the first difference
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function constantTimeEquals(a, b) {
+    if (a.length !== b.length) return false;
+
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+// ===== HASHING =====
+
+/**
+ * Derive a PBKDF2-SHA256 key from a password
+ * @param {string} password - Plain text password
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - Work factor
+ * @returns {Promise<Uint8Array>} - Derived key bytes
+ */
+async function derivePasswordKey(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+        keyMaterial,
+        CREDENTIAL_CONFIG.hashBytes * 8
+    );
+
+    return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password for storage using the current hash version
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Encoded hash string
+ */
+async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(CREDENTIAL_CONFIG.saltBytes));
+    const hash = await derivePasswordKey(password, salt, CREDENTIAL_CONFIG.iterations);
+
+    return [
+        CREDENTIAL_CONFIG.algorithm,
+        CREDENTIAL_CONFIG.iterations,
+        bytesToBase64(salt),
+        bytesToBase64(hash)
+    ].join('$');
+}
+
+/**
+ * Hash a password the way v1 accounts were stored (SHA-256 + fixed salt)
+ * @param {string} password - Plain text password
+ * @param {string} salt - One of CREDENTIAL_CONFIG.legacySalts
+ * @returns {Promise<string>} - Hex digest
+ */
+async function legacyHashPassword(password, salt) {
+    const data = new TextEncoder().encode(password + salt);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(hashBuffer))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Check whether a stored hash should be replaced with a current one
+ * @param {string} storedHash - Value from admin_users.password_hash
+ * @returns {boolean}
+ */
+function needsRehash(storedHash) {
+    const parts = (storedHash || '').split('$');
+    return parts[0] !== CREDENTIAL_CONFIG.algorithm || Number(parts[1]) < CREDENTIAL_CONFIG.iterations;
+}
+
+/**
+ * Verify a password against a stored hash of any supported version
+ * @param {string} password - Plain text password entered by the user
+ * @param {string} storedHash - Value from admin_users.password_hash
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+ */
+async function verifyPassword(password, storedHash) {
+    if (!password || !storedHash) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const parts = storedHash.split('$');
+
+    if (parts[0] === CREDENTIAL_CONFIG.algorithm && parts.length === 4) {
+        const iterations = parseInt(parts[1], 10);
+        const expected = parts[3];
+        const actual = bytesToBase64(await derivePasswordKey(password, base64ToBytes(parts[2]), iterations));
+        const valid = constantTimeEquals(actual, expected);
+        return { valid: valid, needsRehash: valid && needsRehash(storedHash) };
+    }
+
+    // Legacy v1 hashes: try each fixed salt that was used by the old admin pages
+    if (/^[0-9a-f]{64}$/i.test(storedHash)) {
+        for (const salt of CREDENTIAL_CONFIG.legacySalts) {
+            if (constantTimeEquals(await legacyHashPassword(password, salt), storedHash.toLowerCase())) {
+                return { valid: true, needsRehash: true };
+            }
+        }
+    }
+
+    return { valid: false, needsRehash: false };
+}
+
+// ===== PASSWORD POLICY =====
+
+/**
+ * Check a new password against the club's password policy
+ * @param {string} password - Proposed password
+ * @param {string} username - Account username (password may not contain it)
+ * @returns {{isValid: boolean, errors: Array<string>}}
+ */
+function validatePasswordStrength(password, username = '') {
+    const errors = [];
+    const value = password || '';
+
+    if (value.length < CREDENTIAL_CONFIG.minLength) {
+        errors.push(`Password must be at least ${CREDENTIAL_CONFIG.minLength} characters`);
+    }
+
+    const characterClasses = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/]
+        .filter(pattern => pattern.test(value)).length;
+    if (characterClasses < 3) {
+        errors.push('Password must use at least three of: lowercase, uppercase, numbers, symbols');
+    }
+
+    if (username && value.toLowerCase().includes(username.toLowerCase())) {
+        errors.push('Password must not contain the username');
+    }
+
+    if (CREDENTIAL_CONFIG.commonPasswords.includes(value.toLowerCase())) {
+        errors.push('Password is too common');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+/**
+ * Generate a random temporary password that satisfies the policy
+ * Used when an admin resets another user's password
+ * @returns {string}
+ */
+function generateTemporaryPassword() {
+    const groups = ['abcdefghjkmnpqrstuvwxyz', 'ABCDEFGHJKMNPQRSTUVWXYZ', '23456789', '!@#$%*?'];
+    const all = groups.join('');
+    const random = crypto.getRandomValues(new Uint32Array(14));
+
+    // One character from each group, then fill from the full set
+    const chars = Array.from(random, (value, index) => {
+        const source = index < groups.length ? groups[index] : all;
+        return source[value % source.length];
+    });
+
+    // Shuffle so the guaranteed characters are not always first
+    const order = crypto.getRandomValues(new Uint32Array(chars.length));
+    return chars
+        .map((char, index) => ({ char, sort: order[index] }))
+        .sort((a, b) => a.sort - b.sort)
+        .map(item => item.char)
+        .join('');
+}
+
+// ===== ACCOUNT LOCKOUT =====
+
+/**
+ * Check whether an account is currently locked
+ * @param {Object} user - admin_users row with locked_until
+ * @returns {boolean}
+ */
+function isAccountLocked(user) {
+    return !!(user && user.locked_until && new Date(user.locked_until) > new Date());
+}
+
+/**
+ * Work out the lockout columns after a failed login
+ * @param {Object} user - admin_users row with failed_login_attempts
+ * @returns {{failed_login_attempts: number, locked_until: string|null}} - Columns to update
+ */
+function getFailedLoginUpdate(user) {
+    const attempts = (user.failed_login_attempts || 0) + 1;
+
+    if (attempts >= CREDENTIAL_CONFIG.maxFailedAttempts) {
+        const lockedUntil = new Date(Date.now() + CREDENTIAL_CONFIG.lockoutMinutes * 60 * 1000);
+        return { failed_login_attempts: 0, locked_until: lockedUntil.toISOString() };
+    }
+
+    return { failed_login_attempts: attempts, locked_until: null };
+}
+
+/**
+ * Minutes left on a lockout, rounded up
+ * @param {Object} user - admin_users row with locked_until
+ * @returns {number}
+ */
+function getLockoutMinutesRemaining(user) {
+    return Math.max(Math.ceil((new Date(user.locked_until) - Date.now()) / 60000), 1);
+}
+
+// ===== PASSWORD RESET TOKENS =====
+
+/**
+ * Hash a reset token for storage (the raw token is only ever sent by email)
+ * @param {string} token - Raw token from the reset link
+ * @returns {Promise<string>} - Hex SHA-256 digest
+ */
+async function hashResetToken(token) {
+    const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return Array.from(new Uint8Array(hashBuffer))
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Create a one-time password reset token
+ * @returns {Promise<{token: string, tokenHash: string, expiresAt: string}>}
+ */
+async function generateResetToken() {
+    const token = bytesToBase64(crypto.getRandomValues(new Uint8Array(32)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+    const expiresAt = new Date(Date.now() + CREDENTIAL_CONFIG.resetTokenMinutes * 60 * 1000);
+
+    return {
+        token: token,
+        tokenHash: await hashResetToken(token),
+        expiresAt: expiresAt.toISOString()
+    };
+}
+
+/**
+ * Check a reset token from a link against the stored hash and expiry
+ * @param {string} token - Raw token from the reset link
+ * @param {Object} user - admin_users row with reset_token_hash and reset_token_expires
+ * @returns {Promise<boolean>}
+ */
+async function verifyResetToken(token, user) {
+    if (!token || !user || !user.reset_token_hash || !user.reset_token_expires) return false;
+    if (new Date(user.reset_token_expires) <= new Date()) return false;
+
+    return constantTimeEquals(await hashResetToken(token), user.reset_token_hash);
+}
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CREDENTIAL_CONFIG,
+        hashPassword,
+        verifyPassword,
+        needsRehash,
+        validatePasswordStrength,
+        generateTemporaryPassword,
+        isAccountLocked,
+        getFailedLoginUpdate,
+        getLockoutMinutesRemaining,
+        generateResetToken,
+        verifyResetToken
+    };
+}
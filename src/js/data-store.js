@@ -0,0 +1,607 @@
+/**
+ * Data Store
+ * One data-access API for every page, with two interchangeable backends: the
+ * Supabase client, and a local backend that keeps each table in localStorage
+ * (seeded from generateDemoData()) and answers the same queries. Demo mode
+ * therefore runs the same code as the real site, and changes made in the
+ * admin pages show up on the public pages.
+ *
+ * USAGE:
+ * 1. Include this script after config.js
+ * 2. Use a repository for the main record types, e.g.
+ *    - await repositories.members.list({ filters: { status: 'active' } })
+ *    - await repositories.events.get(eventId)
+ *    - await repositories.adminUsers.update(userId, { is_active: false })
+ *    - await repositories.news.count()
+ *    Repositories for tables with a Trash (see trash.js) leave trashed rows out.
+ * 3. For anything else, build a query on getDataClient() exactly as with Supabase:
+ *    const { data, error } = await getDataClient().from('events').select('*').gte('event_date', today);
+ *
+ * LOCAL BACKEND:
+ * Supports select (column lists and { count: 'exact', head: true }), insert,
+ * update and delete (each optionally followed by .select()), the filters eq,
+ * neq, gt, gte, lt, lte, in, is, not, like, ilike and or('column.op.value,...'),
+ * order, limit, single and maybeSingle. Inserted rows get the next numeric id,
+ * a created_at and the column defaults in DATA_STORE_CONFIG.defaults when they
+ * have none, and the unique columns listed in DATA_STORE_CONFIG.uniqueColumns
+ * are enforced like database constraints.
+ * Tables without seed data start empty. getDataClient().reset() throws away
+ * local changes so the demo starts over.
+ *
+ * Supabase Storage and Auth are not part of this layer. photo-storage.js,
+ * member-auth.js and the calendar feed in event-calendar.js use them only when
+ * getDataClient() returns the Supabase client, and fall back to their demo
+ * behaviour when it returns the local backend (isLocal is true), including
+ * when Supabase is configured but its library failed to load.
+ */
+
+/**
+ * Configuration object for the data store
+ */
+const DATA_STORE_CONFIG = {
+    storagePrefix: 'carClub_local_',            // localStorage key prefix, one key per table
+    // Tables seeded from generateDemoData() the first time the local backend reads them
+    seeds: {
+        events: 'events',
+        members: 'members',
+        club_news: 'news',
+        club_news_revisions: 'newsRevisions',
+        photos: 'photos',
+        parts_suppliers: 'suppliers',
+        supplier_reviews: 'supplierReviews',
+        classifieds: 'classifieds',
+        newsletter_subscribers: 'newsletterSubscribers',
+        newsletter_issues: 'newsletterIssues',
+        vehicles: 'vehicles',
+        admin_users: 'adminUsers',
+        audit_log: 'auditLog'
+    },
+    // Column defaults the local backend fills in on insert, matching the database
+    defaults: {
+        members: { status: 'pending' }
+    },
+    // Unique constraints the local backend enforces, matching the database
+    uniqueColumns: {
+        members: ['email'],
+        admin_users: ['username', 'email'],
+        club_settings: ['key']
+    },
+    repositories: {
+        events: { table: 'events', label: 'Event', order: 'event_date', ascending: true, softDelete: true },
+        members: { table: 'members', label: 'Member', order: 'created_at', ascending: false, softDelete: true },
+        news: { table: 'club_news', label: 'Article', order: 'publish_date', ascending: false, softDelete: true },
+        photos: { table: 'photos', label: 'Photo', order: 'upload_date', ascending: false },
+        suppliers: { table: 'parts_suppliers', label: 'Supplier', order: 'name', ascending: true },
+        adminUsers: {
+            table: 'admin_users', label: 'Admin user', order: 'created_at', ascending: false, softDelete: true,
+            // Password and reset hashes are only read by the login pages, never listed
+            columns: 'id, username, email, full_name, role, is_active, last_login, failed_login_attempts, locked_until, must_change_password, created_at, updated_at'
+        }
+    }
+};
+
+// ===== LOCAL BACKEND =====
+
+/**
+ * Compare two column values the way Postgres orders them
+ * Numbers compare numerically, everything else as text (ISO dates sort correctly)
+ * @returns {number}
+ */
+function compareColumnValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+    const textA = String(a);
+    const textB = String(b);
+    return textA < textB ? -1 : (textA > textB ? 1 : 0);
+}
+
+/**
+ * Turn a LIKE pattern into a regular expression
+ * @param {string} pattern - Pattern using % and _
+ * @param {boolean} ignoreCase - True for ilike
+ * @returns {RegExp}
+ */
+function likePatternToRegExp(pattern, ignoreCase) {
+    const source = String(pattern)
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/%/g, '.*')
+        .replace(/_/g, '.');
+    return new RegExp(`^${source}$`, ignoreCase ? 'is' : 's');
+}
+
+/**
+ * Query against one local table, built with the same chained calls as a
+ * Supabase query and run when awaited
+ */
+class LocalQuery {
+    constructor(backend, table) {
+        this.backend = backend;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.countRows = false;
+        this.headOnly = false;
+        this.returnRows = false;
+        this.values = null;
+        this.conditions = [];
+        this.orders = [];
+        this.maxRows = null;
+        this.singleMode = null;
+    }
+
+    // ===== ACTIONS =====
+
+    select(columns = '*', options = {}) {
+        this.columns = columns;
+        if (this.action === 'select') {
+            this.countRows = options.count === 'exact';
+            this.headOnly = !!options.head;
+        } else {
+            this.returnRows = true;
+        }
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.values = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    update(fields) {
+        this.action = 'update';
+        this.values = fields;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    // ===== FILTERS =====
+
+    /**
+     * Test used by a filter operator
+     * @param {string} operator - eq, neq, gt, gte, lt, lte, in, is, like, ilike
+     * @param {*} expected
+     * @returns {Function} - (actual) => boolean
+     */
+    operatorTest(operator, expected) {
+        const present = value => value !== null && value !== undefined;
+        switch (operator) {
+            case 'eq': return actual => present(actual) && String(actual) === String(expected);
+            case 'neq': return actual => present(actual) && String(actual) !== String(expected);
+            case 'gt': return actual => present(actual) && compareColumnValues(actual, expected) > 0;
+            case 'gte': return actual => present(actual) && compareColumnValues(actual, expected) >= 0;
+            case 'lt': return actual => present(actual) && compareColumnValues(actual, expected) < 0;
+            case 'lte': return actual => present(actual) && compareColumnValues(actual, expected) <= 0;
+            case 'in': return actual => present(actual) && expected.map(String).includes(String(actual));
+            case 'is': return actual => expected === null ? !present(actual) : actual === expected;
+            case 'like': return actual => present(actual) && likePatternToRegExp(expected, false).test(String(actual));
+            case 'ilike': return actual => present(actual) && likePatternToRegExp(expected, true).test(String(actual));
+            default: throw new Error(`Filter "${operator}" is not supported by the local data store`);
+        }
+    }
+
+    where(column, operator, value) {
+        const test = this.operatorTest(operator, value);
+        this.conditions.push(row => test(row[column]));
+        return this;
+    }
+
+    eq(column, value) { return this.where(column, 'eq', value); }
+    neq(column, value) { return this.where(column, 'neq', value); }
+    gt(column, value) { return this.where(column, 'gt', value); }
+    gte(column, value) { return this.where(column, 'gte', value); }
+    lt(column, value) { return this.where(column, 'lt', value); }
+    lte(column, value) { return this.where(column, 'lte', value); }
+    in(column, values) { return this.where(column, 'in', values); }
+    is(column, value) { return this.where(column, 'is', value); }
+    like(column, pattern) { return this.where(column, 'like', pattern); }
+    ilike(column, pattern) { return this.where(column, 'ilike', pattern); }
+
+    not(column, operator, value) {
+        const test = this.operatorTest(operator, value);
+        this.conditions.push(row => !test(row[column]));
+        return this;
+    }
+
+    /**
+     * Match rows meeting any of the conditions, e.g. 'event_date.gte.2025-01-01,recurrence.not.is.null'
+     * @param {string} expression
+     */
+    or(expression) {
+        const literals = { null: null, true: true, false: false };
+
+        const tests = expression.split(',').map(part => {
+            const [column, ...rest] = part.trim().split('.');
+            const negate = rest[0] === 'not';
+            if (negate) rest.shift();
+            const operator = rest.shift();
+            const value = rest.join('.');
+            const test = this.operatorTest(operator, value in literals ? literals[value] : value);
+            return row => negate ? !test(row[column]) : test(row[column]);
+        });
+
+        this.conditions.push(row => tests.some(test => test(row)));
+        return this;
+    }
+
+    // ===== MODIFIERS =====
+
+    order(column, options = {}) {
+        this.orders.push({ column: column, ascending: options.ascending !== false });
+        return this;
+    }
+
+    limit(count) {
+        this.maxRows = count;
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybe';
+        return this;
+    }
+
+    // ===== EXECUTION =====
+
+    /**
+     * Run the query when it is awaited, resolving to { data, error, count } like Supabase
+     */
+    then(resolve, reject) {
+        let result;
+        try {
+            result = this.execute();
+        } catch (error) {
+            result = { data: null, error: error, count: null };
+        }
+        return Promise.resolve(result).then(resolve, reject);
+    }
+
+    /**
+     * Copy a row keeping only the selected columns
+     * @param {Object} row
+     * @returns {Object}
+     */
+    project(row) {
+        const copy = JSON.parse(JSON.stringify(row));
+        if (this.columns.trim() === '*') return copy;
+
+        const picked = {};
+        this.columns.split(',').map(c => c.trim()).filter(Boolean).forEach(column => {
+            picked[column] = copy[column] !== undefined ? copy[column] : null;
+        });
+        return picked;
+    }
+
+    /**
+     * Sort rows by the order() columns; nulls last ascending and first descending, as in Postgres
+     * @param {Array} rows
+     * @returns {Array}
+     */
+    sortRows(rows) {
+        if (this.orders.length === 0) return rows;
+
+        return rows.sort((a, b) => {
+            for (const { column, ascending } of this.orders) {
+                const aNull = a[column] === null || a[column] === undefined;
+                const bNull = b[column] === null || b[column] === undefined;
+                let result;
+                if (aNull || bNull) {
+                    result = aNull === bNull ? 0 : (aNull ? 1 : -1);
+                } else {
+                    result = compareColumnValues(a[column], b[column]);
+                }
+                if (result !== 0) return ascending ? result : -result;
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * Refuse rows that would break a unique column
+     * @param {Array} rows - Every row of the table after the change
+     */
+    checkUnique(rows) {
+        (DATA_STORE_CONFIG.uniqueColumns[this.table] || []).forEach(column => {
+            const seen = new Set();
+            rows.forEach(row => {
+                if (row[column] === null || row[column] === undefined) return;
+                const key = String(row[column]);
+                if (seen.has(key)) {
+                    const error = new Error(`duplicate key value violates unique constraint "${this.table}_${column}_key"`);
+                    error.code = '23505';
+                    throw error;
+                }
+                seen.add(key);
+            });
+        });
+    }
+
+    execute() {
+        const rows = this.backend.loadTable(this.table);
+        const matches = row => this.conditions.every(test => test(row));
+        let result = [];
+
+        if (this.action === 'select') {
+            result = this.sortRows(rows.filter(matches));
+            const count = result.length;
+            if (this.maxRows !== null) result = result.slice(0, this.maxRows);
+            if (this.headOnly) return { data: null, error: null, count: count };
+            return this.finish(result, this.countRows ? count : null);
+        }
+
+        if (this.action === 'insert') {
+            let nextId = rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+            const now = new Date().toISOString();
+            const defaults = DATA_STORE_CONFIG.defaults[this.table] || {};
+            result = this.values.map(values => ({ id: nextId++, created_at: now, ...defaults, ...values }));
+            this.checkUnique(rows.concat(result));
+            this.backend.saveTable(this.table, rows.concat(result));
+        }
+
+        if (this.action === 'update') {
+            const updated = rows.map(row => {
+                if (!matches(row)) return row;
+                const changed = { ...row, ...this.values };
+                result.push(changed);
+                return changed;
+            });
+            this.checkUnique(updated);
+            this.backend.saveTable(this.table, updated);
+        }
+
+        if (this.action === 'delete') {
+            result = rows.filter(matches);
+            this.backend.saveTable(this.table, rows.filter(row => !matches(row)));
+        }
+
+        return this.returnRows ? this.finish(result, null) : { data: null, error: null, count: null };
+    }
+
+    /**
+     * Shape the result for single()/maybeSingle() and project the selected columns
+     * @param {Array} rows
+     * @param {number|null} count
+     * @returns {Object} - { data, error, count }
+     */
+    finish(rows, count) {
+        const data = rows.map(row => this.project(row));
+
+        if (this.singleMode) {
+            if (data.length === 1) return { data: data[0], error: null, count: count };
+            if (data.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, count: count };
+
+            const error = new Error(`JSON object requested, ${data.length === 0 ? 'no' : 'multiple'} rows returned`);
+            error.code = 'PGRST116';
+            return { data: null, error: error, count: count };
+        }
+
+        return { data: data, error: null, count: count };
+    }
+}
+
+/**
+ * Local stand-in for the Supabase client: from(table) returns a LocalQuery
+ */
+class LocalDataClient {
+    constructor() {
+        this.isLocal = true;
+    }
+
+    /**
+     * Start a query on a table
+     * @param {string} table
+     * @returns {LocalQuery}
+     */
+    from(table) {
+        return new LocalQuery(this, table);
+    }
+
+    /**
+     * Read a table, seeding it from the shared demo data the first time
+     * @param {string} table
+     * @returns {Array}
+     */
+    loadTable(table) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(DATA_STORE_CONFIG.storagePrefix + table));
+            if (stored) return stored;
+        } catch (error) {
+            console.warn(`Local ${table} data was unreadable and has been reset:`, error);
+        }
+
+        const seed = DATA_STORE_CONFIG.seeds[table];
+        return seed ? JSON.parse(JSON.stringify(generateDemoData()[seed] || [])) : [];
+    }
+
+    /**
+     * Write a table back to localStorage
+     * @param {string} table
+     * @param {Array} rows
+     */
+    saveTable(table, rows) {
+        localStorage.setItem(DATA_STORE_CONFIG.storagePrefix + table, JSON.stringify(rows));
+    }
+
+    /**
+     * Throw away local changes so tables are seeded again
+     * @param {string|null} table - One table, or null for all of them
+     */
+    reset(table = null) {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(DATA_STORE_CONFIG.storagePrefix))
+            .filter(key => !table || key === DATA_STORE_CONFIG.storagePrefix + table)
+            .forEach(key => localStorage.removeItem(key));
+    }
+}
+
+// Client shared by every module on the page
+let sharedDataClient = null;
+
+/**
+ * Get the data client: Supabase when configured, otherwise the local backend
+ * @returns {Object} - Supabase client or LocalDataClient
+ */
+function getDataClient() {
+    if (!sharedDataClient) {
+        sharedDataClient = (isSupabaseConfigured() && initializeSupabase()) || new LocalDataClient();
+    }
+    return sharedDataClient;
+}
+
+// ===== REPOSITORIES =====
+
+/**
+ * Common reads and writes for one table, the same on either backend
+ */
+class DataRepository {
+    /**
+     * @param {Object} options - Entry of DATA_STORE_CONFIG.repositories
+     */
+    constructor(options) {
+        this.table = options.table;
+        this.label = options.label;
+        this.order = options.order;
+        this.ascending = options.ascending;
+        this.softDelete = !!options.softDelete;
+        this.columns = options.columns || '*';
+    }
+
+    /**
+     * Start a select on the table, leaving out trashed rows
+     * @param {string} columns
+     * @param {Object} options - Passed to select(), e.g. { count: 'exact', head: true }
+     * @returns {Object} - Query builder
+     */
+    query(columns = this.columns, options = {}) {
+        let query = getDataClient().from(this.table).select(columns, options);
+        if (this.softDelete) query = query.is('deleted_at', null);
+        return query;
+    }
+
+    /**
+     * Add equality filters: null matches empty columns and arrays match any listed value
+     * @param {Object} query
+     * @param {Object} filters - { column: value }
+     * @returns {Object}
+     */
+    applyFilters(query, filters) {
+        Object.entries(filters).forEach(([column, value]) => {
+            if (value === null) query = query.is(column, null);
+            else if (Array.isArray(value)) query = query.in(column, value);
+            else query = query.eq(column, value);
+        });
+        return query;
+    }
+
+    /**
+     * List rows
+     * @param {Object} options - { filters, order, ascending, limit, columns }
+     * @returns {Promise<Array>}
+     */
+    async list(options = {}) {
+        const order = options.order || this.order;
+        const ascending = options.ascending !== undefined ? options.ascending : this.ascending;
+
+        let query = this.applyFilters(this.query(options.columns), options.filters || {});
+        if (order) query = query.order(order, { ascending: ascending });
+        if (options.limit) query = query.limit(options.limit);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Fetch one row
+     * @param {number|string} id
+     * @param {string} columns
+     * @returns {Promise<Object>}
+     */
+    async get(id, columns = this.columns) {
+        const { data, error } = await this.query(columns).eq('id', id).maybeSingle();
+
+        if (error) throw error;
+        if (!data) throw new Error(`${this.label} not found`);
+        return data;
+    }
+
+    /**
+     * Count rows
+     * @param {Object} filters - { column: value }
+     * @returns {Promise<number>}
+     */
+    async count(filters = {}) {
+        const { count, error } = await this.applyFilters(this.query('*', { count: 'exact', head: true }), filters);
+
+        if (error) throw error;
+        return count || 0;
+    }
+
+    /**
+     * Insert a row
+     * @param {Object} fields
+     * @returns {Promise<Object>} - The stored row
+     */
+    async create(fields) {
+        const { data, error } = await getDataClient()
+            .from(this.table)
+            .insert([fields])
+            .select(this.columns)
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Update a row
+     * @param {number|string} id
+     * @param {Object} fields - Columns to change
+     * @returns {Promise<Object>} - The stored row
+     */
+    async update(id, fields) {
+        const { data, error } = await getDataClient()
+            .from(this.table)
+            .update(fields)
+            .eq('id', id)
+            .select(this.columns)
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Permanently delete a row
+     * @param {number|string} id
+     */
+    async remove(id) {
+        const { error } = await getDataClient()
+            .from(this.table)
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+    }
+}
+
+// Shared repositories used by the modules and pages
+const repositories = {};
+Object.entries(DATA_STORE_CONFIG.repositories).forEach(([name, options]) => {
+    repositories[name] = new DataRepository(options);
+});
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalDataClient, LocalQuery, DataRepository, DATA_STORE_CONFIG, getDataClient, repositories };
+}
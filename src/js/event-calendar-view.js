@@ -0,0 +1,385 @@
+/**
+ * Event Calendar View
+ * Month, week and agenda calendar of club events for the public site, colour
+ * coded and filterable by event type, plus an archive of past events by year.
+ *
+ * USAGE:
+ * 1. Include this script after config.js and event-calendar.js
+ * 2. Create a view in an empty container and give it the club's events:
+ *      const view = new EventCalendarView(document.getElementById('clubCalendar'), {
+ *          onSelect: occurrence => { ... },        // an event was clicked
+ *          getAlbum: occurrence => album or null,  // gallery album for a past event
+ *          onOpenAlbum: occurrence => { ... }      // its "Photos" link was clicked
+ *      });
+ *      view.setEvents(await eventCalendar.fetchEvents());
+ *
+ * Repeating events are expanded for the dates on screen (see event-calendar.js),
+ * so moving between months never needs another query. Cancelled dates stay on
+ * the calendar, crossed out, so members can see that a usual meeting is off.
+ */
+
+/**
+ * Configuration object for the calendar view
+ */
+const CALENDAR_VIEW_CONFIG = {
+    views: {
+        month: 'Month',
+        week: 'Week',
+        agenda: 'Agenda',
+        past: 'Past Events'
+    },
+    defaultView: 'month',
+    maxPerDay: 3,               // Events listed in a month-view day before "+n more"
+    weekdayLabels: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+};
+
+class EventCalendarView {
+    /**
+     * @param {HTMLElement} container - Element the calendar is drawn in
+     * @param {Object} options - { onSelect, getAlbum, onOpenAlbum } callbacks, all optional
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = options;
+        this.events = [];
+        this.view = CALENDAR_VIEW_CONFIG.defaultView;
+        this.cursor = eventCalendar.today();    // A date inside the period on screen
+        this.hiddenTypes = new Set();
+        this.shown = [];                        // Occurrences on screen, by data-index
+
+        this.container.addEventListener('click', event => this.handleClick(event));
+    }
+
+    /**
+     * Replace the events shown and redraw
+     * @param {Array} events - Event records from eventCalendar.fetchEvents()
+     */
+    setEvents(events) {
+        this.events = events;
+        this.render();
+    }
+
+    // ===== NAVIGATION =====
+
+    /**
+     * Switch between month, week, agenda and past events
+     * @param {string} view - Key of CALENDAR_VIEW_CONFIG.views
+     */
+    setView(view) {
+        if (!CALENDAR_VIEW_CONFIG.views[view]) return;
+
+        // The archive opens on the current year; the other views on today
+        if (view === 'past' || this.view === 'past') this.cursor = eventCalendar.today();
+        this.view = view;
+        this.render();
+    }
+
+    /**
+     * Move to the previous (-1) or next (1) month, week or year
+     * @param {number} direction
+     */
+    move(direction) {
+        const date = parseDateOnly(this.cursor);
+
+        if (this.view === 'week') {
+            this.cursor = addDaysToDate(this.cursor, direction * 7);
+        } else if (this.view === 'past') {
+            this.cursor = `${date.getUTCFullYear() + direction}-01-01`;
+        } else {
+            this.cursor = toDateOnly(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + direction, 1)));
+        }
+        this.render();
+    }
+
+    /**
+     * Show or hide one event type
+     * @param {string} type - Value from getEventTypes()
+     */
+    toggleType(type) {
+        if (this.hiddenTypes.has(type)) {
+            this.hiddenTypes.delete(type);
+        } else {
+            this.hiddenTypes.add(type);
+        }
+        this.render();
+    }
+
+    /**
+     * Dates covered by the current view
+     * @returns {{from: string, to: string, title: string}}
+     */
+    getRange() {
+        const date = parseDateOnly(this.cursor);
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth();
+        const monthName = date.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+        if (this.view === 'week') {
+            const from = addDaysToDate(this.cursor, -date.getUTCDay());
+            const to = addDaysToDate(from, 6);
+            const label = value => parseDateOnly(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+            return { from, to, title: `${label(from)} - ${label(to)}, ${parseDateOnly(to).getUTCFullYear()}` };
+        }
+
+        if (this.view === 'past') {
+            const yesterday = addDaysToDate(eventCalendar.today(), -1);
+            const to = `${year}-12-31` < yesterday ? `${year}-12-31` : yesterday;
+            return { from: `${year}-01-01`, to, title: `Past Events ${year}` };
+        }
+
+        const first = toDateOnly(new Date(Date.UTC(year, month, 1)));
+        const last = toDateOnly(new Date(Date.UTC(year, month + 1, 0)));
+
+        if (this.view === 'agenda') {
+            return { from: first, to: last, title: monthName };
+        }
+
+        // Whole weeks, Sunday to Saturday, around the month
+        return {
+            from: addDaysToDate(first, -parseDateOnly(first).getUTCDay()),
+            to: addDaysToDate(last, 6 - parseDateOnly(last).getUTCDay()),
+            title: monthName
+        };
+    }
+
+    /**
+     * Occurrences in a range for the event types that are switched on
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @returns {Array}
+     */
+    getOccurrences(from, to) {
+        const events = this.events.filter(e => !this.hiddenTypes.has(this.getType(e.event_type).value));
+        const occurrences = eventCalendar.expandEvents(events, from, to, { includeCancelled: this.view !== 'past' });
+        return this.view === 'past' ? occurrences.reverse() : occurrences;
+    }
+
+    /**
+     * Event type details, falling back to "Other" for unknown types
+     * @param {string} value - event_type
+     * @returns {{value: string, label: string, color: string}}
+     */
+    getType(value) {
+        const types = getEventTypes();
+        return types.find(t => t.value === value) || types.find(t => t.value === 'other');
+    }
+
+    // ===== RENDERING =====
+
+    /**
+     * Draw the toolbar, type filters and the current view
+     */
+    render() {
+        const range = this.getRange();
+        const occurrences = this.getOccurrences(range.from, range.to);
+        const thisYear = parseDateOnly(eventCalendar.today()).getUTCFullYear();
+        const atLatestYear = this.view === 'past' && parseDateOnly(this.cursor).getUTCFullYear() >= thisYear;
+
+        this.shown = occurrences;
+
+        let body;
+        if (this.view === 'month') body = this.renderMonth(range, occurrences);
+        else if (this.view === 'week') body = this.renderWeek(range, occurrences);
+        else body = this.renderList(occurrences);
+
+        this.container.innerHTML = `
+            <div class="calendar-toolbar">
+                <div class="calendar-nav">
+                    <button type="button" class="btn btn-sm btn-primary" data-action="move" data-direction="-1" title="Previous">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-primary" data-action="today">Today</button>
+                    <button type="button" class="btn btn-sm btn-primary" data-action="move" data-direction="1" title="Next" ${atLatestYear ? 'disabled' : ''}>
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                    <h3 class="calendar-title">${range.title}</h3>
+                </div>
+                <div class="calendar-views">
+                    ${Object.entries(CALENDAR_VIEW_CONFIG.views).map(([key, label]) => `
+                        <button type="button" class="calendar-view-btn ${key === this.view ? 'active' : ''}" data-action="view" data-view="${key}">${label}</button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="calendar-filters">
+                ${getEventTypes().map(type => `
+                    <button type="button" class="calendar-type ${this.hiddenTypes.has(type.value) ? 'off' : ''}" style="--event-color: ${type.color}"
+                            data-action="type" data-type="${type.value}" aria-pressed="${!this.hiddenTypes.has(type.value)}">
+                        <span class="calendar-type-swatch"></span> ${type.label}
+                    </button>
+                `).join('')}
+            </div>
+            ${body}
+        `;
+    }
+
+    /**
+     * Month grid, Sunday first
+     * @param {{from: string, to: string}} range
+     * @param {Array} occurrences
+     * @returns {string}
+     */
+    renderMonth(range, occurrences) {
+        const month = this.cursor.slice(0, 7);
+        const today = eventCalendar.today();
+        let cells = '';
+
+        for (let day = range.from; day <= range.to; day = addDaysToDate(day, 1)) {
+            const dayEvents = occurrences.filter(o => o.event_date === day);
+            const extra = dayEvents.length - CALENDAR_VIEW_CONFIG.maxPerDay;
+            const classes = ['calendar-day'];
+            if (day.slice(0, 7) !== month) classes.push('outside');
+            if (day === today) classes.push('today');
+
+            cells += `
+                <div class="${classes.join(' ')}">
+                    <span class="calendar-day-number">${parseDateOnly(day).getUTCDate()}</span>
+                    ${dayEvents.slice(0, CALENDAR_VIEW_CONFIG.maxPerDay).map(o => this.renderChip(o, false)).join('')}
+                    ${extra > 0 ? `<button type="button" class="calendar-more" data-action="week" data-date="${day}">+${extra} more</button>` : ''}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="calendar-grid calendar-month">
+                ${CALENDAR_VIEW_CONFIG.weekdayLabels.map(label => `<div class="calendar-weekday">${label}</div>`).join('')}
+                ${cells}
+            </div>
+        `;
+    }
+
+    /**
+     * One column per day of the week
+     * @param {{from: string, to: string}} range
+     * @param {Array} occurrences
+     * @returns {string}
+     */
+    renderWeek(range, occurrences) {
+        const today = eventCalendar.today();
+        let columns = '';
+
+        for (let day = range.from; day <= range.to; day = addDaysToDate(day, 1)) {
+            const dayEvents = occurrences.filter(o => o.event_date === day);
+            const label = parseDateOnly(day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+            columns += `
+                <div class="calendar-day ${day === today ? 'today' : ''}">
+                    <div class="calendar-weekday">${label}</div>
+                    ${dayEvents.length > 0 ? dayEvents.map(o => this.renderChip(o, true)).join('') : '<span class="calendar-empty-day">&mdash;</span>'}
+                </div>
+            `;
+        }
+
+        return `<div class="calendar-grid calendar-week">${columns}</div>`;
+    }
+
+    /**
+     * Agenda and past-event list, grouped by date
+     * @param {Array} occurrences
+     * @returns {string}
+     */
+    renderList(occurrences) {
+        if (occurrences.length === 0) {
+            return `<p class="calendar-empty">${this.view === 'past' ? 'No past events this year.' : 'No events this month.'}</p>`;
+        }
+
+        const days = [...new Set(occurrences.map(o => o.event_date))];
+
+        return `
+            <div class="calendar-agenda">
+                ${days.map(day => `
+                    <div class="calendar-agenda-day">
+                        <div class="calendar-agenda-date">
+                            ${parseDateOnly(day).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' })}
+                        </div>
+                        <div class="calendar-agenda-events">
+                            ${occurrences.filter(o => o.event_date === day).map(o => this.renderChip(o, true)).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * A clickable event, short in the month grid or with time and place elsewhere
+     * @param {Object} occurrence
+     * @param {boolean} detailed - Include location and status notes
+     * @returns {string}
+     */
+    renderChip(occurrence, detailed) {
+        const type = this.getType(occurrence.event_type);
+        const index = this.shown.indexOf(occurrence);
+        const time = occurrence.event_time ? formatTime(occurrence.event_time) : '';
+        const album = this.view === 'past' && this.options.getAlbum ? this.options.getAlbum(occurrence) : null;
+        const classes = ['calendar-event'];
+        if (occurrence.cancelled) classes.push('cancelled');
+
+        let notes = '';
+        if (detailed) {
+            if (occurrence.cancelled) notes = `<small class="calendar-event-note">Cancelled${occurrence.exception_note ? `: ${escapeHtml(occurrence.exception_note)}` : ''}</small>`;
+            else if (occurrence.rescheduled) notes = `<small class="calendar-event-note">Changed from the usual schedule${occurrence.exception_note ? `: ${escapeHtml(occurrence.exception_note)}` : ''}</small>`;
+        }
+
+        return `
+            <div class="${classes.join(' ')}" style="--event-color: ${type.color}">
+                <button type="button" class="calendar-event-link" data-action="select" data-index="${index}"
+                        title="${escapeHtml(occurrence.title)}${occurrence.cancelled ? ' (cancelled)' : ''}">
+                    ${time ? `<span class="calendar-event-time">${time}</span>` : ''}
+                    <span class="calendar-event-title">${escapeHtml(occurrence.title)}</span>
+                    ${detailed && occurrence.location ? `<span class="calendar-event-location"><i class="fas fa-map-marker-alt"></i> ${escapeHtml(occurrence.location)}</span>` : ''}
+                </button>
+                ${notes}
+                ${album ? `
+                    <button type="button" class="calendar-album-link" data-action="album" data-index="${index}">
+                        <i class="fas fa-images"></i> Photos (${album.photos.length})
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // ===== INTERACTION =====
+
+    /**
+     * Handle clicks on the toolbar, filters and events
+     * @param {MouseEvent} event
+     */
+    handleClick(event) {
+        const target = event.target.closest('[data-action]');
+        if (!target || !this.container.contains(target)) return;
+
+        const occurrence = this.shown[Number(target.dataset.index)];
+
+        switch (target.dataset.action) {
+            case 'move':
+                this.move(Number(target.dataset.direction));
+                break;
+            case 'today':
+                this.cursor = eventCalendar.today();
+                this.render();
+                break;
+            case 'view':
+                this.setView(target.dataset.view);
+                break;
+            case 'type':
+                this.toggleType(target.dataset.type);
+                break;
+            case 'week':
+                this.cursor = target.dataset.date;
+                this.view = 'week';
+                this.render();
+                break;
+            case 'select':
+                if (occurrence && this.options.onSelect) this.options.onSelect(occurrence);
+                break;
+            case 'album':
+                if (occurrence && this.options.onOpenAlbum) this.options.onOpenAlbum(occurrence);
+                break;
+        }
+    }
+}
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventCalendarView, CALENDAR_VIEW_CONFIG };
+}
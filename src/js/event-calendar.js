@@ -0,0 +1,859 @@
+/**
+ * Event Calendar
+ * Club events with optional recurrence rules (weekly, monthly on a date or an
+ * nth weekday, yearly) and per-date exceptions, expanded into the individual
+ * occurrences shown on the site, plus iCalendar (.ics) export so members can
+ * add club events to their phone calendars.
+ *
+ * USAGE:
+ * 1. Include this script after config.js
+ * 2. Use the global `eventCalendar` instance, e.g.
+ *    - await eventCalendar.getUpcomingOccurrences({ limit: 4, onePerSeries: true })
+ *    - await eventCalendar.getNextMeeting()
+ *    - await eventCalendar.fetchEvents()                       (admin, every event)
+ *    - await eventCalendar.saveEvent({ id, title, event_date, recurrence, ... })
+ *    - await eventCalendar.setException(eventId, '2025-12-20', { cancelled: true, note })
+ *    - eventCalendar.describeRecurrence(event)                 ("Third Saturday of each month")
+ *    - eventCalendar.downloadICS(events, 'club-events.ics')
+ *    - await eventCalendar.publishFeed()                       (after events change)
+ *
+ * DATABASE TABLE (events):
+ * - id, title, description, event_date (first date of a series), event_time,
+ *   location, event_type, rsvp_required, max_attendees, created_at, updated_at
+ * - deleted_at, deleted_by: set while the event is in the Trash (see trash.js);
+ *   trashed events are left out of every query here
+ * - recurrence (jsonb, null for one-off events):
+ *   { frequency: 'weekly' | 'monthly' | 'yearly', interval: 1,
+ *     by_week: 1-5 or -1 for the last, null to repeat on the same day of the month,
+ *     until: 'YYYY-MM-DD' or null,
+ *     exceptions: [{ date, cancelled: true, note }
+ *                  | { date, new_date, new_time, location, note }] }
+ *   The weekday always comes from event_date, so a monthly rule with by_week 3
+ *   on a Saturday start date means "third Saturday of each month".
+ *
+ * CALENDAR FEED:
+ * publishFeed() writes every event to a public Supabase Storage file that
+ * calendar apps can subscribe to (getFeedUrl()). Create a public bucket named
+ * EVENT_CALENDAR_CONFIG.feedBucket, allow admins to upload to it, and call
+ * publishFeed() whenever events change; Events Management does this after
+ * every save. Times are written without a time zone, so they appear at the
+ * same clock time in every member's calendar.
+ *
+ * RSVPs are stored per date (see event-rsvp.js), so each date of a recurring
+ * event has its own seats and waitlist, keyed by the occurrence_date below.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, events are read and written through the
+ * local backend in data-store.js (include it after config.js). There is no
+ * subscribable feed, but the full calendar can still be downloaded.
+ */
+
+/**
+ * Configuration object for the event calendar
+ */
+const EVENT_CALENDAR_CONFIG = {
+    tableName: 'events',                        // Supabase table holding events
+    feedBucket: 'calendar',                     // Public Storage bucket holding the feed
+    feedPath: 'club-events.ics',
+    frequencies: {
+        weekly: 'Weekly',
+        monthly: 'Monthly',
+        yearly: 'Yearly'
+    },
+    lookAheadDays: 365,                         // How far ahead upcoming lists look
+    maxOccurrences: 1000,                       // Safety limit when expanding a series
+    defaultDurationMinutes: 120                 // Events have no end time, so calendars get this length
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// ===== DATE HELPERS =====
+// Dates are handled as YYYY-MM-DD strings and UTC midnights so daylight
+// saving changes never shift an occurrence to the neighbouring day.
+
+/**
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {Date} - Midnight UTC on that date
+ */
+function parseDateOnly(dateString) {
+    const [year, month, day] = String(dateString).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * @param {Date} date - Midnight UTC
+ * @returns {string} - YYYY-MM-DD
+ */
+function toDateOnly(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - YYYY-MM-DD
+ */
+function addDaysToDate(dateString, days) {
+    const date = parseDateOnly(dateString);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateOnly(date);
+}
+
+/**
+ * The nth weekday of a month, e.g. the third Saturday
+ * @param {number} year
+ * @param {number} month - 0-11
+ * @param {number} weekday - 0 (Sunday) - 6
+ * @param {number} week - 1-5, or -1 for the last
+ * @returns {string|null} - YYYY-MM-DD, or null when the month has no such day (a fifth weekday)
+ */
+function nthWeekdayOfMonth(year, month, weekday, week) {
+    if (week === -1) {
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+        return toDateOnly(last);
+    }
+
+    const first = new Date(Date.UTC(year, month, 1));
+    const date = new Date(Date.UTC(year, month, 1 + ((weekday - first.getUTCDay() + 7) % 7) + (week - 1) * 7));
+    return date.getUTCMonth() === month ? toDateOnly(date) : null;
+}
+
+/**
+ * A day of a month, skipping months that are too short (e.g. the 31st)
+ * @param {number} year
+ * @param {number} month - 0-11, may overflow into later years
+ * @param {number} day - 1-31
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function dayOfMonth(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCDate() === day ? toDateOnly(date) : null;
+}
+
+// ===== ICALENDAR HELPERS =====
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeICSText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets as RFC 5545 requires
+ * @param {string} line
+ * @returns {string}
+ */
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const character of line) {
+        const characterSize = encoder.encode(character).length;
+        // Continuation lines start with a space, which counts towards their 75
+        if (size + characterSize > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += character;
+        size += characterSize;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Date or date-time value for DTSTART, EXDATE and friends
+ * @param {string} date - YYYY-MM-DD
+ * @param {string|null} time - HH:MM, or null for an all-day event
+ * @returns {string} - e.g. '20250920T100000' or '20250920'
+ */
+function formatICSDate(date, time) {
+    const day = date.replace(/-/g, '');
+    if (!time) return day;
+    const [hours, minutes] = time.split(':');
+    return `${day}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+}
+
+class EventCalendar {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    /**
+     * Today's date as YYYY-MM-DD in the visitor's time zone
+     * @returns {string}
+     */
+    today() {
+        const now = new Date();
+        return [now.getFullYear(), String(now.getMonth() + 1).padStart(2, '0'), String(now.getDate()).padStart(2, '0')].join('-');
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Fetch every event, earliest first
+     * @returns {Promise<Array>}
+     */
+    async fetchEvents() {
+        const { data, error } = await this.getClient()
+            .from(EVENT_CALENDAR_CONFIG.tableName)
+            .select('*')
+            .is('deleted_at', null)
+            .order('event_date', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Fetch one event
+     * @param {number|string} eventId
+     * @returns {Promise<Object>}
+     */
+    async getEvent(eventId) {
+        const { data, error } = await this.getClient()
+            .from(EVENT_CALENDAR_CONFIG.tableName)
+            .select('*')
+            .eq('id', eventId)
+            .is('deleted_at', null)
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Events that can still have a date on or after today: future one-off
+     * events and every recurring event
+     * @returns {Promise<Array>}
+     */
+    async fetchCurrentEvents() {
+        const today = this.today();
+
+        const { data, error } = await this.getClient()
+            .from(EVENT_CALENDAR_CONFIG.tableName)
+            .select('*')
+            .or(`event_date.gte.${today},recurrence.not.is.null`)
+            .is('deleted_at', null)
+            .order('event_date', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Upcoming occurrences of every event, soonest first
+     * @param {Object} options
+     * @param {number} options.days - How many days ahead to look
+     * @param {number|null} options.limit - Maximum number of occurrences
+     * @param {string|null} options.eventType - Only events of this type, e.g. 'meeting'
+     * @param {boolean} options.onePerSeries - Only the next date of each recurring event
+     * @param {boolean} options.includeCancelled - Keep cancelled dates in the list
+     * @returns {Promise<Array>} - Occurrences (see expandEvent). With onePerSeries,
+     *   cancelled dates are left out and those before the date shown are listed
+     *   in its `cancellations`
+     */
+    async getUpcomingOccurrences({
+        days = EVENT_CALENDAR_CONFIG.lookAheadDays,
+        limit = null,
+        eventType = null,
+        onePerSeries = false,
+        includeCancelled = false
+    } = {}) {
+        const today = this.today();
+        const events = (await this.fetchCurrentEvents())
+            .filter(e => !eventType || e.event_type === eventType);
+
+        let occurrences = this.expandEvents(events, today, addDaysToDate(today, days), { includeCancelled: true });
+
+        if (onePerSeries) {
+            const shown = new Set();
+            const cancelled = {};
+
+            occurrences = occurrences
+                .filter(occurrence => {
+                    const key = String(occurrence.series_id);
+                    if (shown.has(key)) return false;
+                    if (occurrence.cancelled) {
+                        (cancelled[key] = cancelled[key] || []).push(occurrence);
+                        return false;
+                    }
+                    shown.add(key);
+                    return true;
+                })
+                .map(occurrence => ({ ...occurrence, cancellations: cancelled[String(occurrence.series_id)] || [] }));
+        } else if (!includeCancelled) {
+            occurrences = occurrences.filter(o => !o.cancelled);
+        }
+
+        return limit ? occurrences.slice(0, limit) : occurrences;
+    }
+
+    /**
+     * The next club meeting that is going ahead
+     * @returns {Promise<Object|null>} - Occurrence, or null when none is scheduled
+     */
+    async getNextMeeting() {
+        const [meeting] = await this.getUpcomingOccurrences({ eventType: 'meeting', limit: 1 });
+        return meeting || null;
+    }
+
+    // ===== RECURRENCE =====
+
+    /**
+     * Check a recurrence rule from the event form and fill in defaults
+     * @param {Object|null} recurrence - Rule, or null for a one-off event
+     * @param {string} eventDate - First date of the series, YYYY-MM-DD
+     * @returns {Object|null}
+     */
+    normalizeRecurrence(recurrence, eventDate) {
+        if (!recurrence || !recurrence.frequency) return null;
+
+        if (!EVENT_CALENDAR_CONFIG.frequencies[recurrence.frequency]) {
+            throw new Error(`Unknown repeat frequency: ${recurrence.frequency}`);
+        }
+
+        const interval = parseInt(recurrence.interval, 10) || 1;
+        if (interval < 1 || interval > 52) throw new Error('Repeat interval must be between 1 and 52');
+
+        let byWeek = null;
+        if (recurrence.frequency !== 'weekly' && recurrence.by_week !== null && recurrence.by_week !== undefined && recurrence.by_week !== '') {
+            byWeek = parseInt(recurrence.by_week, 10);
+            if (![1, 2, 3, 4, 5, -1].includes(byWeek)) throw new Error('Choose which week of the month the event repeats on');
+
+            const start = parseDateOnly(eventDate);
+            if (nthWeekdayOfMonth(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDay(), byWeek) !== eventDate) {
+                throw new Error(`${eventDate} is not the ${ORDINAL_NAMES[byWeek]} ${WEEKDAY_NAMES[start.getUTCDay()]} of its month`);
+            }
+        }
+
+        const until = recurrence.until || null;
+        if (until && until < eventDate) throw new Error('The repeat end date must be after the first event date');
+
+        return {
+            frequency: recurrence.frequency,
+            interval: interval,
+            by_week: byWeek,
+            until: until,
+            exceptions: Array.isArray(recurrence.exceptions) ? recurrence.exceptions : []
+        };
+    }
+
+    /**
+     * The nth-weekday choices that describe a date, for the event form
+     * @param {string} eventDate - YYYY-MM-DD
+     * @returns {Array<{by_week: number, label: string}>} - e.g. third Saturday, and last Saturday when it is
+     */
+    weekdayPatterns(eventDate) {
+        const start = parseDateOnly(eventDate);
+        const weekday = start.getUTCDay();
+        const week = Math.ceil(start.getUTCDate() / 7);
+        const patterns = [{ by_week: week, label: `${ORDINAL_NAMES[week]} ${WEEKDAY_NAMES[weekday]}` }];
+
+        if (addDaysToDate(eventDate, 7).slice(5, 7) !== eventDate.slice(5, 7)) {
+            patterns.push({ by_week: -1, label: `last ${WEEKDAY_NAMES[weekday]}` });
+        }
+        return patterns;
+    }
+
+    /**
+     * Describe how an event repeats, e.g. "Third Saturday of each month"
+     * @param {Object} event - Event with recurrence and event_date
+     * @returns {string} - Empty for one-off events
+     */
+    describeRecurrence(event) {
+        const rule = event.recurrence;
+        if (!rule || !rule.frequency) return '';
+
+        const start = parseDateOnly(event.event_date);
+        const weekday = WEEKDAY_NAMES[start.getUTCDay()];
+        const month = MONTH_NAMES[start.getUTCMonth()];
+        const interval = rule.interval || 1;
+        const nth = rule.by_week ? `${ORDINAL_NAMES[rule.by_week]} ${weekday}` : '';
+        let description;
+
+        if (rule.frequency === 'weekly') {
+            description = interval === 1 ? `Every ${weekday}` : `Every ${interval} weeks on ${weekday}`;
+        } else if (rule.frequency === 'monthly') {
+            const every = interval === 1 ? 'each month' : `every ${interval} months`;
+            description = nth ?
+                `${nth.charAt(0).toUpperCase()}${nth.slice(1)} of ${every}` :
+                `Day ${start.getUTCDate()} of ${every}`;
+        } else {
+            const every = interval === 1 ? 'Every year' : `Every ${interval} years`;
+            description = nth ? `${every} on the ${nth} of ${month}` : `${every} on ${month} ${start.getUTCDate()}`;
+        }
+
+        if (rule.until) {
+            const until = parseDateOnly(rule.until);
+            description += ` until ${MONTH_NAMES[until.getUTCMonth()]} ${until.getUTCDate()}, ${until.getUTCFullYear()}`;
+        }
+        return description;
+    }
+
+    /**
+     * The regular dates of a series, before exceptions are applied
+     * @param {Object} event - Recurring event
+     * @param {string} lastDate - Stop after this date, YYYY-MM-DD
+     * @returns {Array<string>} - YYYY-MM-DD dates from event_date onwards
+     */
+    seriesDates(event, lastDate) {
+        const rule = event.recurrence;
+        const start = parseDateOnly(event.event_date);
+        const end = rule.until && rule.until < lastDate ? rule.until : lastDate;
+        const interval = rule.interval || 1;
+        const dates = [];
+
+        for (let step = 0; dates.length < EVENT_CALENDAR_CONFIG.maxOccurrences; step++) {
+            let date;
+
+            if (rule.frequency === 'weekly') {
+                date = addDaysToDate(event.event_date, step * interval * 7);
+            } else {
+                const monthOffset = rule.frequency === 'monthly' ? step * interval : step * interval * 12;
+                const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + monthOffset) / 12);
+                const month = (start.getUTCMonth() + monthOffset) % 12;
+
+                // Months without the date (a fifth weekday, the 31st) are skipped
+                date = rule.by_week ?
+                    nthWeekdayOfMonth(year, month, start.getUTCDay(), rule.by_week) :
+                    dayOfMonth(year, month, start.getUTCDate());
+
+                if (!date) {
+                    if (`${year}-${String(month + 1).padStart(2, '0')}-01` > end) break;
+                    continue;
+                }
+            }
+
+            if (date > end) break;
+            if (date >= event.event_date) dates.push(date);
+        }
+
+        return dates;
+    }
+
+    /**
+     * The dates of one event that fall within a range
+     * @param {Object} event - Event record
+     * @param {string} from - First date, YYYY-MM-DD
+     * @param {string} to - Last date, YYYY-MM-DD
+     * @param {Object} options
+     * @param {boolean} options.includeCancelled - Keep cancelled dates, flagged with `cancelled`
+     * @returns {Array<Object>} - Copies of the event with event_date, event_time and
+     *   location for that date, plus series_id, occurrence_date (the regular date),
+     *   is_recurring, cancelled, rescheduled and exception_note
+     */
+    expandEvent(event, from, to, { includeCancelled = false } = {}) {
+        const base = {
+            ...event,
+            series_id: event.id,
+            occurrence_date: event.event_date,
+            is_recurring: false,
+            cancelled: false,
+            rescheduled: false,
+            exception_note: null
+        };
+
+        if (!event.recurrence || !event.recurrence.frequency) {
+            return event.event_date >= from && event.event_date <= to ? [base] : [];
+        }
+
+        const exceptions = event.recurrence.exceptions || [];
+
+        // A date moved into the range may come from a regular date after it
+        const lastDate = exceptions.reduce((latest, e) => e.date > latest ? e.date : latest, to);
+
+        return this.seriesDates(event, lastDate)
+            .map(date => {
+                const exception = exceptions.find(e => e.date === date);
+                const occurrence = { ...base, event_date: date, occurrence_date: date, is_recurring: true };
+                if (!exception) return occurrence;
+
+                return {
+                    ...occurrence,
+                    event_date: exception.new_date || date,
+                    event_time: exception.new_time || event.event_time,
+                    location: exception.location || event.location,
+                    cancelled: !!exception.cancelled,
+                    rescheduled: !exception.cancelled && (!!exception.new_date || !!exception.new_time || !!exception.location),
+                    exception_note: exception.note || null
+                };
+            })
+            .filter(o => o.event_date >= from && o.event_date <= to && (includeCancelled || !o.cancelled));
+    }
+
+    /**
+     * Every date of several events within a range, soonest first
+     * @param {Array} events - Event records
+     * @param {string} from - First date, YYYY-MM-DD
+     * @param {string} to - Last date, YYYY-MM-DD
+     * @param {Object} options - See expandEvent
+     * @returns {Array<Object>}
+     */
+    expandEvents(events, from, to, options = {}) {
+        return events
+            .flatMap(event => this.expandEvent(event, from, to, options))
+            .sort((a, b) => a.event_date.localeCompare(b.event_date) ||
+                String(a.event_time || '').localeCompare(String(b.event_time || '')));
+    }
+
+    /**
+     * The next date of an event that is going ahead
+     * @param {Object} event - Event record
+     * @returns {Object|null} - Occurrence, or null when it has no dates left
+     */
+    getNextOccurrence(event) {
+        const today = this.today();
+        const [next] = this.expandEvent(event, today, addDaysToDate(today, EVENT_CALENDAR_CONFIG.lookAheadDays * 5));
+        return next || null;
+    }
+
+    /**
+     * Dates of a recurring event from today on, including cancelled and moved
+     * ones, for managing its exceptions
+     * @param {Object} event - Event record
+     * @param {number} count - Maximum number of dates
+     * @returns {Array<Object>} - Occurrences, soonest first
+     */
+    listUpcomingDates(event, count = 12) {
+        const today = this.today();
+        return this.expandEvent(event, today, addDaysToDate(today, EVENT_CALENDAR_CONFIG.lookAheadDays * 2), { includeCancelled: true })
+            .sort((a, b) => a.event_date.localeCompare(b.event_date))
+            .slice(0, count);
+    }
+
+    // ===== EDITING =====
+
+    /**
+     * Create or update an event
+     * @param {Object} details - { id (to update), title, description, event_date, event_time,
+     *   location, event_type, max_attendees, rsvp_required, recurrence }
+     * @returns {Promise<Object>} - The saved event
+     */
+    async saveEvent(details) {
+        const title = String(details.title || '').trim();
+        if (!title || !details.event_date) throw new Error('Please fill in all required fields');
+
+        const fields = {
+            title: title,
+            description: details.description || null,
+            event_date: details.event_date,
+            event_time: details.event_time || null,
+            location: details.location || null,
+            event_type: details.event_type,
+            max_attendees: details.max_attendees || null,
+            rsvp_required: !!details.rsvp_required,
+            recurrence: this.normalizeRecurrence(details.recurrence, details.event_date)
+        };
+
+        // Exceptions for dates the new schedule no longer has would never apply
+        if (fields.recurrence) {
+            const lastException = fields.recurrence.exceptions.reduce((latest, e) => e.date > latest ? e.date : latest, fields.event_date);
+            const dates = this.seriesDates(fields, lastException);
+            fields.recurrence.exceptions = fields.recurrence.exceptions.filter(e => dates.includes(e.date));
+        }
+
+        if (details.id) {
+            fields.updated_at = new Date().toISOString();
+        } else {
+            fields.created_at = new Date().toISOString();
+        }
+
+        return this.writeEvent(details.id, fields);
+    }
+
+    /**
+     * Insert or update the event row
+     * @param {number|string|null} eventId - Existing event, or null to insert
+     * @param {Object} fields - Columns to write
+     * @returns {Promise<Object>} - The stored event
+     */
+    async writeEvent(eventId, fields) {
+        const client = this.getClient();
+        const query = eventId ?
+            client.from(EVENT_CALENDAR_CONFIG.tableName).update(fields).eq('id', eventId) :
+            client.from(EVENT_CALENDAR_CONFIG.tableName).insert([fields]);
+
+        const { data, error } = await query.select().single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Permanently delete an event
+     * Admin pages move events to the Trash instead; this is used when it is emptied
+     * @param {number|string} eventId
+     */
+    async deleteEvent(eventId) {
+        const { error } = await this.getClient()
+            .from(EVENT_CALENDAR_CONFIG.tableName)
+            .delete()
+            .eq('id', eventId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Cancel, move or restore one date of a recurring event
+     * @param {number|string} eventId - Recurring event
+     * @param {string} date - Regular date of the occurrence, YYYY-MM-DD
+     * @param {Object|null} exception - { cancelled, note } or { new_date, new_time, location, note };
+     *   null restores the regular date
+     * @returns {Promise<Object>} - The updated event
+     */
+    async setException(eventId, date, exception) {
+        const event = await this.getEvent(eventId);
+        if (!event.recurrence) throw new Error('Only repeating events have dates to change');
+
+        if (!this.seriesDates(event, date).includes(date)) {
+            throw new Error(`${date} is not one of this event's dates`);
+        }
+
+        const exceptions = (event.recurrence.exceptions || []).filter(e => e.date !== date);
+
+        if (exception) {
+            if (!exception.cancelled && !exception.new_date && !exception.new_time && !exception.location) {
+                throw new Error('Choose a new date, time or location, or cancel the date');
+            }
+
+            exceptions.push({
+                date: date,
+                cancelled: !!exception.cancelled,
+                new_date: exception.cancelled ? null : exception.new_date || null,
+                new_time: exception.cancelled ? null : exception.new_time || null,
+                location: exception.cancelled ? null : exception.location || null,
+                note: exception.note || null
+            });
+            exceptions.sort((a, b) => a.date.localeCompare(b.date));
+        }
+
+        return this.writeEvent(eventId, {
+            recurrence: { ...event.recurrence, exceptions: exceptions },
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    // ===== ICALENDAR EXPORT =====
+
+    /**
+     * Build an iCalendar RRULE for a recurring event
+     * @param {Object} event - Event with recurrence
+     * @returns {string} - e.g. 'FREQ=MONTHLY;INTERVAL=1;BYDAY=3SA'
+     */
+    toRRule(event) {
+        const rule = event.recurrence;
+        const start = parseDateOnly(event.event_date);
+        const parts = [`FREQ=${rule.frequency.toUpperCase()}`, `INTERVAL=${rule.interval || 1}`];
+        const byDay = `BYDAY=${rule.by_week || ''}${ICS_WEEKDAYS[start.getUTCDay()]}`;
+
+        if (rule.frequency === 'weekly') {
+            parts.push(byDay);
+        } else {
+            if (rule.frequency === 'yearly') parts.push(`BYMONTH=${start.getUTCMonth() + 1}`);
+            parts.push(rule.by_week ? byDay : `BYMONTHDAY=${start.getUTCDate()}`);
+        }
+
+        // UNTIL has to match DTSTART: a floating date-time or a plain date
+        if (rule.until) parts.push(`UNTIL=${formatICSDate(rule.until, null)}${event.event_time ? 'T235959' : ''}`);
+
+        return parts.join(';');
+    }
+
+    /**
+     * Lines for one VEVENT
+     * @param {Object} event - Event (or moved occurrence) to write
+     * @param {string} uid - Shared by a series and its moved dates
+     * @param {Array<string>} extraLines - RRULE, EXDATE or RECURRENCE-ID lines
+     * @returns {Array<string>}
+     */
+    eventLines(event, uid, extraLines) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const valueType = event.event_time ? '' : ';VALUE=DATE';
+        let end;
+
+        if (event.event_time) {
+            const [hours, minutes] = event.event_time.split(':').map(Number);
+            const endMinutes = hours * 60 + minutes + EVENT_CALENDAR_CONFIG.defaultDurationMinutes;
+            const endDate = addDaysToDate(event.event_date, Math.floor(endMinutes / 1440));
+            const clock = endMinutes % 1440;
+            end = formatICSDate(endDate, `${Math.floor(clock / 60)}:${String(clock % 60).padStart(2, '0')}`);
+        } else {
+            end = formatICSDate(addDaysToDate(event.event_date, 1), null);
+        }
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART${valueType}:${formatICSDate(event.event_date, event.event_time)}`,
+            `DTEND${valueType}:${end}`,
+            `SUMMARY:${escapeICSText(event.title)}`,
+            ...extraLines
+        ];
+
+        const description = [event.description, event.exception_note].filter(Boolean).join('\n\n');
+        if (description) lines.push(`DESCRIPTION:${escapeICSText(description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeICSText(event.location)}`);
+        if (event.event_type) lines.push(`CATEGORIES:${escapeICSText(event.event_type.toUpperCase())}`);
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Build an iCalendar file. Recurring events are written as one series with
+     * an RRULE; cancelled dates become EXDATEs and moved dates become overrides
+     * @param {Array} events - Event records
+     * @param {string} calendarName - Name shown in calendar apps
+     * @returns {string} - Contents of the .ics file
+     */
+    toICS(events, calendarName = `${CONFIG.CLUB_INFO.name} Events`) {
+        const domain = CONFIG.CLUB_INFO.contactEmail.split('@')[1] || 'localhost';
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${escapeICSText(CONFIG.CLUB_INFO.name)}//Club Events//EN`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeICSText(calendarName)}`
+        ];
+
+        events.forEach(event => {
+            const uid = `event-${event.id}@${domain}`;
+            const rule = event.recurrence;
+
+            if (!rule || !rule.frequency) {
+                lines.push(...this.eventLines(event, uid, []));
+                return;
+            }
+
+            const valueType = event.event_time ? '' : ';VALUE=DATE';
+            const exceptions = rule.exceptions || [];
+            const extra = [`RRULE:${this.toRRule(event)}`];
+
+            exceptions.filter(e => e.cancelled).forEach(e => {
+                extra.push(`EXDATE${valueType}:${formatICSDate(e.date, event.event_time)}`);
+            });
+            lines.push(...this.eventLines(event, uid, extra));
+
+            // Moved dates replace the regular date they were moved from
+            exceptions.filter(e => !e.cancelled).forEach(e => {
+                const occurrence = {
+                    ...event,
+                    event_date: e.new_date || e.date,
+                    event_time: e.new_time || event.event_time,
+                    location: e.location || event.location,
+                    exception_note: e.note
+                };
+
+                lines.push(...this.eventLines(occurrence, uid,
+                    [`RECURRENCE-ID${valueType}:${formatICSDate(e.date, event.event_time)}`]));
+            });
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldICSLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Download events as an .ics file
+     * @param {Array} events - Event records
+     * @param {string} filename - Name of the downloaded file
+     */
+    downloadICS(events, filename = 'club-events.ics') {
+        const blob = new Blob([this.toICS(events)], { type: 'text/calendar;charset=utf-8' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    /**
+     * File name for a single event's .ics download
+     * @param {Object} event
+     * @returns {string}
+     */
+    icsFilename(event) {
+        const slug = String(event.title || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${slug || 'event'}.ics`;
+    }
+
+    // ===== CALENDAR FEED =====
+
+    /**
+     * Address calendar apps subscribe to
+     * The feed lives in Supabase Storage, which the local backend does not have
+     * @returns {string|null} - https URL, or null in demo mode
+     */
+    getFeedUrl() {
+        if (this.getClient().isLocal) return null;
+        return this.getClient().storage.from(EVENT_CALENDAR_CONFIG.feedBucket).getPublicUrl(EVENT_CALENDAR_CONFIG.feedPath).data.publicUrl;
+    }
+
+    /**
+     * Subscription link that opens the phone's calendar app
+     * @returns {string|null} - webcal:// URL, or null in demo mode
+     */
+    getSubscribeUrl() {
+        const url = this.getFeedUrl();
+        return url ? url.replace(/^https?:\/\//, 'webcal://') : null;
+    }
+
+    /**
+     * Rewrite the subscribable feed with every event
+     * @returns {Promise<string|null>} - Feed URL, or null in demo mode
+     */
+    async publishFeed() {
+        if (this.getClient().isLocal) return null;
+
+        const blob = new Blob([this.toICS(await this.fetchEvents())], { type: 'text/calendar' });
+        const { error } = await this.getClient().storage
+            .from(EVENT_CALENDAR_CONFIG.feedBucket)
+            .upload(EVENT_CALENDAR_CONFIG.feedPath, blob, { contentType: 'text/calendar', upsert: true, cacheControl: '300' });
+
+        if (error) throw error;
+        return this.getFeedUrl();
+    }
+}
+
+// Shared instance used by public and admin pages
+const eventCalendar = new EventCalendar();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventCalendar, EVENT_CALENDAR_CONFIG };
+}
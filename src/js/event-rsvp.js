@@ -0,0 +1,495 @@
+/**
+ * Event RSVP Manager
+ * Handles member registration for club events, enforces each event's
+ * max_attendees limit and keeps an ordered waitlist that is promoted
+ * automatically when a confirmed attendee cancels.
+ *
+ * USAGE:
+ * 1. Include this script after config.js and mail-sender.js
+ * 2. Use the global `eventRSVP` instance, e.g. `await eventRSVP.register(eventId, { name, email })`
+ *
+ * RECURRING EVENTS:
+ * Each date of a recurring event (see event-calendar.js) has its own seats,
+ * roster and waitlist. Methods that work on one date take an occurrenceDate,
+ * the regular date of that occurrence (its occurrence_date, before any move);
+ * one-off events have no dates to choose from, so pass null or leave it out.
+ * eventRSVP.rsvpDate(occurrence) gives the right value for an occurrence.
+ *
+ * CANCELLING:
+ * Visitors cannot cancel by typing an email address. The confirmation email
+ * carries a cancel link with a random token (only its SHA-256 hash is stored),
+ * and a logged-in member can cancel an RSVP made with their member id or email.
+ *
+ * DATABASE TABLE (event_rsvps):
+ * - id, event_id, member_id (nullable, set when a logged-in member RSVPs), name, email
+ * - occurrence_date: regular date of a recurring event the RSVP is for, YYYY-MM-DD;
+ *   null for one-off events
+ * - status: 'confirmed' | 'waitlisted' | 'cancelled'
+ * - cancel_token_hash: hex SHA-256 of the token in the emailed cancel link
+ * - created_at (waitlist order), updated_at
+ *
+ * Events are read through repositories.events, so include data-store.js too.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, RSVPs are kept in the local backend in
+ * data-store.js alongside the events (including changes made in Events
+ * Management), so the whole flow can be tried without a database.
+ */
+
+/**
+ * Configuration object for the RSVP system
+ */
+const RSVP_CONFIG = {
+    tableName: 'event_rsvps',               // Supabase table holding RSVPs
+    cancelPagePath: '../pages/index.html',  // Page that handles emailed cancel links
+    activeStatuses: ['confirmed', 'waitlisted']
+};
+
+class EventRSVPManager {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    /**
+     * Create a random token for an emailed cancel link
+     * @returns {Promise<{token: string, tokenHash: string}>}
+     */
+    async generateCancelToken() {
+        const token = Array.from(crypto.getRandomValues(new Uint8Array(16)))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+        return { token: token, tokenHash: await this.hashCancelToken(token) };
+    }
+
+    /**
+     * Hash a cancel token for storage and comparison
+     * @param {string} token - Raw token from the cancel link
+     * @returns {Promise<string>} - Hex SHA-256 digest
+     */
+    async hashCancelToken(token) {
+        const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+        return Array.from(new Uint8Array(hashBuffer))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Absolute cancel link for an RSVP
+     * @param {Object} rsvp - Stored RSVP
+     * @param {string} token - Raw cancel token
+     * @returns {string}
+     */
+    getCancelUrl(rsvp, token) {
+        const url = new URL(RSVP_CONFIG.cancelPagePath, window.location.href);
+        url.searchParams.set('cancelRsvp', rsvp.id);
+        url.searchParams.set('event', rsvp.event_id);
+        url.searchParams.set('token', token);
+        return url.toString();
+    }
+
+    /**
+     * The occurrence_date RSVPs for an event or occurrence are stored under
+     * @param {Object} occurrence - Occurrence from event-calendar.js, or an event from getEvent
+     * @returns {string|null} - Regular date for a recurring event, null for a one-off event
+     */
+    rsvpDate(occurrence) {
+        return occurrence.recurrence && occurrence.recurrence.frequency ? occurrence.occurrence_date || null : null;
+    }
+
+    /**
+     * One date of an event, with event_date moved if that date was rescheduled
+     * @param {Object} event - Event record (needs event_date and recurrence)
+     * @param {string|null} occurrenceDate - Regular date, ignored for one-off events
+     * @returns {Object} - The event with occurrence_date, event_date and cancelled set
+     */
+    toOccurrence(event, occurrenceDate) {
+        if (!event.recurrence || !event.recurrence.frequency) {
+            return { ...event, occurrence_date: null, cancelled: false };
+        }
+
+        const exception = (event.recurrence.exceptions || []).find(e => e.date === occurrenceDate);
+        return {
+            ...event,
+            occurrence_date: occurrenceDate,
+            event_date: (exception && exception.new_date) || occurrenceDate,
+            cancelled: !!(exception && exception.cancelled)
+        };
+    }
+
+    /**
+     * Load a single event, or one date of a recurring event, so its capacity can be checked
+     * @param {number|string} eventId - ID of the event
+     * @param {string|null} occurrenceDate - Regular date of a recurring event
+     * @returns {Promise<Object>} - Event record as returned by toOccurrence
+     */
+    async getEvent(eventId, occurrenceDate = null) {
+        const event = await repositories.events.get(eventId, 'id, title, event_date, max_attendees, rsvp_required, recurrence');
+
+        if (event.recurrence && event.recurrence.frequency) {
+            if (!occurrenceDate) throw new Error('Please choose a date for this event');
+
+            // The series rule lives in event-calendar.js; pages without it skip this check
+            if (typeof eventCalendar !== 'undefined' && !eventCalendar.seriesDates(event, occurrenceDate).includes(occurrenceDate)) {
+                throw new Error(`This event does not take place on ${occurrenceDate}`);
+            }
+        }
+
+        return this.toOccurrence(event, occurrenceDate);
+    }
+
+    /**
+     * Fetch every RSVP for an event, across all its dates, oldest first
+     * @param {number|string} eventId - ID of the event
+     * @returns {Promise<Array>} - RSVP records ordered by created_at
+     */
+    async fetchRsvps(eventId) {
+        const { data, error } = await this.getClient()
+            .from(RSVP_CONFIG.tableName)
+            .select('*')
+            .eq('event_id', eventId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Fetch every RSVP for several events at once, oldest first
+     * @param {Array<number|string>} eventIds - IDs of the events
+     * @returns {Promise<Array>} - RSVP records ordered by created_at
+     */
+    async fetchRsvpsForEvents(eventIds) {
+        if (eventIds.length === 0) return [];
+
+        const { data, error } = await this.getClient()
+            .from(RSVP_CONFIG.tableName)
+            .select('*')
+            .in('event_id', eventIds)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Insert a new RSVP record
+     * @param {Object} rsvp - RSVP fields to store
+     * @returns {Promise<Object>} - Stored RSVP
+     */
+    async insertRsvp(rsvp) {
+        const { data, error } = await this.getClient()
+            .from(RSVP_CONFIG.tableName)
+            .insert([rsvp])
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Change the status of an existing RSVP
+     * @param {number|string} rsvpId - ID of the RSVP
+     * @param {string} status - New status
+     */
+    async updateStatus(rsvpId, status) {
+        const { error } = await this.getClient()
+            .from(RSVP_CONFIG.tableName)
+            .update({ status: status, updated_at: new Date().toISOString() })
+            .eq('id', rsvpId);
+
+        if (error) throw error;
+    }
+
+    // ===== RSVP OPERATIONS =====
+
+    /**
+     * Fetch the RSVPs for one date of an event, oldest first
+     * @param {number|string} eventId - ID of the event
+     * @param {string|null} occurrenceDate - Regular date of a recurring event
+     * @returns {Promise<Array>} - RSVP records ordered by created_at
+     */
+    async fetchRsvpsForDate(eventId, occurrenceDate = null) {
+        const rsvps = await this.fetchRsvps(eventId);
+        return rsvps.filter(r => (r.occurrence_date || null) === (occurrenceDate || null));
+    }
+
+    /**
+     * Get the attendee roster and waitlist for an event
+     * @param {number|string} eventId - ID of the event
+     * @param {string|null} occurrenceDate - Regular date of a recurring event
+     * @returns {Promise<{confirmed: Array, waitlist: Array}>}
+     */
+    async getRoster(eventId, occurrenceDate = null) {
+        const rsvps = await this.fetchRsvpsForDate(eventId, occurrenceDate);
+        return {
+            confirmed: rsvps.filter(r => r.status === 'confirmed'),
+            waitlist: rsvps.filter(r => r.status === 'waitlisted')
+        };
+    }
+
+    /**
+     * Get attendance counts for an event card or table row
+     * @param {Object} event - Event or occurrence (needs id, max_attendees and, for
+     *   a recurring event, recurrence and occurrence_date)
+     * @returns {Promise<{confirmed: number, waitlisted: number, capacity: number|null, spotsLeft: number|null, isFull: boolean}>}
+     */
+    async getSummary(event) {
+        const roster = await this.getRoster(event.id, this.rsvpDate(event));
+        const capacity = event.max_attendees || null;
+        const spotsLeft = capacity ? Math.max(capacity - roster.confirmed.length, 0) : null;
+
+        return {
+            confirmed: roster.confirmed.length,
+            waitlisted: roster.waitlist.length,
+            capacity: capacity,
+            spotsLeft: spotsLeft,
+            isFull: capacity !== null && spotsLeft === 0
+        };
+    }
+
+    /**
+     * Register an attendee for an event
+     * Confirms the RSVP while seats remain, otherwise adds it to the end of the waitlist
+     * @param {number|string} eventId - ID of the event
+     * @param {Object} attendee - { name, email, member_id }
+     * @param {string|null} occurrenceDate - Regular date of a recurring event
+     * @returns {Promise<{rsvp: Object, status: string, position: number|null}>}
+     */
+    async register(eventId, attendee, occurrenceDate = null) {
+        const name = sanitizeInput(attendee.name || '');
+        const email = (attendee.email || '').trim().toLowerCase();
+
+        if (!name) throw new Error('Please enter your name');
+        if (!isValidEmail(email)) throw new Error('Please enter a valid email address');
+
+        const event = await this.getEvent(eventId, occurrenceDate);
+        if (event.cancelled) throw new Error('This date of the event has been cancelled');
+
+        const rsvps = await this.fetchRsvpsForDate(event.id, event.occurrence_date);
+        const active = rsvps.filter(r => RSVP_CONFIG.activeStatuses.includes(r.status));
+
+        // One active RSVP per email address
+        const existing = active.find(r => r.email === email);
+        if (existing) {
+            throw new Error(existing.status === 'confirmed'
+                ? 'You are already registered for this event'
+                : 'You are already on the waitlist for this event');
+        }
+
+        const confirmedCount = active.filter(r => r.status === 'confirmed').length;
+        const isFull = event.max_attendees && confirmedCount >= event.max_attendees;
+        const status = isFull ? 'waitlisted' : 'confirmed';
+
+        const { token, tokenHash } = await this.generateCancelToken();
+        const rsvp = await this.insertRsvp({
+            event_id: event.id,
+            occurrence_date: event.occurrence_date,
+            member_id: attendee.member_id || null,
+            name: name,
+            email: email,
+            status: status,
+            cancel_token_hash: tokenHash
+        });
+
+        const position = status === 'waitlisted'
+            ? active.filter(r => r.status === 'waitlisted').length + 1
+            : null;
+
+        let emailed = false;
+        try {
+            await mailSender.send({ to: email, ...this.renderConfirmationEmail(event, rsvp, position, this.getCancelUrl(rsvp, token)) });
+            emailed = true;
+        } catch (mailError) {
+            console.warn('RSVP saved, but the confirmation email was not sent:', mailError);
+        }
+
+        return { rsvp, status, position, emailed };
+    }
+
+    /**
+     * Build the confirmation email sent after registering
+     * @param {Object} event - Event record from getEvent, dated for the occurrence
+     * @param {Object} rsvp - Stored RSVP
+     * @param {number|null} position - Waitlist position, or null when confirmed
+     * @param {string} cancelUrl - Link that cancels this RSVP
+     * @returns {{subject: string, text: string, html: string}}
+     */
+    renderConfirmationEmail(event, rsvp, position, cancelUrl) {
+        const when = new Date(`${event.event_date}T00:00:00`).toLocaleDateString();
+        const status = position
+            ? `The event is full, so you are number ${position} on the waitlist. We will move you up automatically if a seat opens.`
+            : 'Your place is confirmed. We look forward to seeing you.';
+
+        return {
+            subject: `Your RSVP for ${event.title}`,
+            text: `Hello ${rsvp.name},\n\n` +
+                  `Thanks for your RSVP for ${event.title} on ${when}. ${status}\n\n` +
+                  `If you can no longer come, cancel your RSVP here:\n${cancelUrl}`,
+            html: `<p>Hello ${escapeHtml(rsvp.name)},</p>` +
+                  `<p>Thanks for your RSVP for ${escapeHtml(event.title)} on ${escapeHtml(when)}. ${escapeHtml(status)}</p>` +
+                  `<p>If you can no longer come, <a href="${escapeHtml(cancelUrl)}">cancel your RSVP</a>.</p>`
+        };
+    }
+
+    /**
+     * Cancel an RSVP and promote the next waitlisted attendee if a seat opened up
+     * @param {number|string} eventId - ID of the event
+     * @param {number|string} rsvpId - ID of the RSVP to cancel
+     * @returns {Promise<Array>} - RSVPs promoted from the waitlist
+     */
+    async cancel(eventId, rsvpId) {
+        const rsvps = await this.fetchRsvps(eventId);
+        const rsvp = rsvps.find(r => String(r.id) === String(rsvpId));
+
+        if (!rsvp || !RSVP_CONFIG.activeStatuses.includes(rsvp.status)) {
+            throw new Error('RSVP not found or already cancelled');
+        }
+
+        await this.updateStatus(rsvp.id, 'cancelled');
+
+        return rsvp.status === 'confirmed' ? this.promoteFromWaitlist(eventId, rsvp.occurrence_date) : [];
+    }
+
+    /**
+     * Cancel an RSVP from the link in its confirmation email
+     * @param {number|string} eventId - ID of the event
+     * @param {number|string} rsvpId - ID of the RSVP
+     * @param {string} token - Raw cancel token from the link
+     * @returns {Promise<{rsvp: Object, promoted: Array}>}
+     */
+    async cancelWithToken(eventId, rsvpId, token) {
+        const rsvps = await this.fetchRsvps(eventId);
+        const rsvp = rsvps.find(r => String(r.id) === String(rsvpId));
+        const tokenHash = token ? await this.hashCancelToken(token) : null;
+
+        if (!rsvp || !rsvp.cancel_token_hash || rsvp.cancel_token_hash !== tokenHash) {
+            throw new Error('This cancel link is invalid');
+        }
+        if (!RSVP_CONFIG.activeStatuses.includes(rsvp.status)) {
+            throw new Error('This RSVP has already been cancelled');
+        }
+
+        return { rsvp, promoted: await this.cancel(eventId, rsvp.id) };
+    }
+
+    /**
+     * Cancel a logged-in member's active RSVP for an event
+     * Matches on member_id, or on email for RSVPs made before logging in
+     * @param {number|string} eventId - ID of the event
+     * @param {Object} member - members row of the signed-in member (needs id and email)
+     * @param {string|null} occurrenceDate - Regular date of a recurring event
+     * @returns {Promise<Array>} - RSVPs promoted from the waitlist
+     */
+    async cancelForMember(eventId, member, occurrenceDate = null) {
+        const email = (member.email || '').toLowerCase();
+        const rsvps = await this.fetchRsvpsForDate(eventId, occurrenceDate);
+        const rsvp = rsvps.find(r =>
+            (String(r.member_id) === String(member.id) || r.email === email) &&
+            RSVP_CONFIG.activeStatuses.includes(r.status)
+        );
+
+        if (!rsvp) throw new Error('You do not have an RSVP for this event');
+
+        return this.cancel(eventId, rsvp.id);
+    }
+
+    /**
+     * List a member's active RSVPs with the event each one is for
+     * Matches on member_id, or on email for RSVPs made before logging in
+     * @param {Object} member - members row (needs id and email)
+     * @returns {Promise<Array>} - RSVP records with an `event` property dated for the
+     *   RSVP's occurrence (see toOccurrence), soonest event first
+     */
+    async getMemberRsvps(member) {
+        const email = (member.email || '').toLowerCase();
+
+        const { data, error } = await this.getClient()
+            .from(RSVP_CONFIG.tableName)
+            .select('*')
+            .or(`member_id.eq.${member.id},email.eq.${email}`)
+            .in('status', RSVP_CONFIG.activeStatuses);
+
+        if (error) throw error;
+
+        // Events are looked up separately so trashed events drop out, on either backend
+        const rsvps = data || [];
+        const events = rsvps.length > 0
+            ? await repositories.events.list({
+                columns: 'id, title, event_date, event_time, location, recurrence',
+                filters: { id: [...new Set(rsvps.map(r => r.event_id))] }
+            })
+            : [];
+
+        return rsvps
+            .map(r => {
+                const event = events.find(e => String(e.id) === String(r.event_id));
+                return { ...r, event: event ? this.toOccurrence(event, r.occurrence_date) : null };
+            })
+            .filter(r => r.event)
+            .sort((a, b) => a.event.event_date.localeCompare(b.event.event_date));
+    }
+
+    /**
+     * Fill any open seats from the waitlist in the order people joined it
+     * @param {number|string} eventId - ID of the event
+     * @param {string|null} occurrenceDate - Regular date of a recurring event
+     * @returns {Promise<Array>} - RSVPs promoted to confirmed
+     */
+    async promoteFromWaitlist(eventId, occurrenceDate = null) {
+        const event = await repositories.events.get(eventId, 'id, max_attendees');
+        const roster = await this.getRoster(eventId, occurrenceDate);
+
+        const openSeats = event.max_attendees
+            ? event.max_attendees - roster.confirmed.length
+            : roster.waitlist.length;
+
+        const promoted = roster.waitlist.slice(0, Math.max(openSeats, 0));
+
+        for (const rsvp of promoted) {
+            await this.updateStatus(rsvp.id, 'confirmed');
+            console.log(`RSVP promoted from waitlist: ${rsvp.name} (event ${eventId}${occurrenceDate ? ` on ${occurrenceDate}` : ''})`);
+        }
+
+        return promoted;
+    }
+
+    /**
+     * Fill open seats on every date of an event that has a waitlist
+     * Used after an admin raises max_attendees on an event
+     * @param {number|string} eventId - ID of the event
+     * @returns {Promise<Array>} - RSVPs promoted to confirmed
+     */
+    async promoteAllWaitlists(eventId) {
+        const rsvps = await this.fetchRsvps(eventId);
+        const dates = [...new Set(rsvps.filter(r => r.status === 'waitlisted').map(r => r.occurrence_date || null))];
+        const promoted = [];
+
+        for (const date of dates) {
+            promoted.push(...await this.promoteFromWaitlist(eventId, date));
+        }
+
+        return promoted;
+    }
+}
+
+// Shared instance used by public and admin pages
+const eventRSVP = new EventRSVPManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventRSVPManager, RSVP_CONFIG };
+}
@@ -112,6 +112,15 @@ async function loadAllComponents() {
     loadResults.header = headerLoaded;
     loadResults.footer = footerLoaded;
     
+    // Fill in the club name, contact details and links from the club settings
+    if (typeof clubSettings !== 'undefined') {
+        await clubSettings.ready;
+        [COMPONENT_CONFIG.headerContainerId, COMPONENT_CONFIG.footerContainerId]
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .forEach(container => clubSettings.applyToPage(container));
+    }
+    
     // Log overall loading results
     const successCount = Object.values(loadResults).filter(Boolean).length;
     const totalComponents = Object.keys(loadResults).length;
@@ -239,16 +248,32 @@ function setupScrollEffects() {
 
 /**
  * Update next meeting date in footer
- * This is a placeholder - would connect to your actual data source
+ * Looks up the next meeting that is going ahead when the page includes
+ * event-calendar.js, so repeating meetings and cancelled dates are followed;
+ * otherwise shows the regular schedule from CONFIG.CLUB_INFO (as set on the
+ * Club Settings page when club-settings.js is loaded)
  */
-function updateNextMeetingDate() {
+async function updateNextMeetingDate() {
     const nextMeetingElement = document.getElementById('nextMeeting');
     
-    if (nextMeetingElement) {
-        // In a real implementation, this would fetch from your database
-        // For now, showing a default message
-        nextMeetingElement.innerHTML = 'Saturday, September 16th<br>10:00 AM at Community Center';
+    if (!nextMeetingElement) return;
+    
+    const clubInfo = CONFIG.CLUB_INFO;
+    
+    try {
+        const meeting = typeof eventCalendar !== 'undefined' ? await eventCalendar.getNextMeeting() : null;
+        
+        if (meeting) {
+            const meetingDate = formatDate(`${meeting.event_date}T00:00:00`, { weekday: 'long', year: undefined });
+            const meetingTime = meeting.event_time ? formatTime(meeting.event_time) : 'Time TBD';
+            nextMeetingElement.innerHTML = `${meetingDate}<br>${meetingTime} at ${escapeHtml(meeting.location || clubInfo.meetingLocation)}`;
+            return;
+        }
+    } catch (error) {
+        console.error('Error loading next meeting:', error);
     }
+    
+    nextMeetingElement.innerHTML = `${escapeHtml(clubInfo.meetingTime)}<br>at ${escapeHtml(clubInfo.meetingLocation)}`;
 }
 
 /**
@@ -0,0 +1,304 @@
+/**
+ * Mail Sender
+ * Pluggable outgoing email for password resets and other club notifications
+ *
+ * USAGE:
+ * 1. Include this script after config.js and data-store.js
+ * 2. Send with `await mailSender.send({ to, subject, text, html })`
+ * 3. To use a mail service, either set CONFIG.MAIL_SERVICE.endpoint (the message
+ *    is POSTed there as JSON) or register a custom transport:
+ *    `mailSender.setTransport(async (message) => { ... }, { from: 'club@example.org' })`
+ *    Messages without a `from` use the transport's from, then
+ *    CONFIG.MAIL_SERVICE.fromAddress, then CONFIG.CLUB_INFO.contactEmail.
+ *
+ * When no mail service is configured and the site runs on the local demo
+ * backend, messages are logged to the console and kept in a local outbox
+ * (localStorage) so flows like password reset can still be tried out. With a
+ * live database and no mail service, sending fails instead: the local outbox is
+ * in the browser of whoever triggered the email, so it must never hold a reset
+ * link meant for someone else. Check `mailSender.canSend()` before starting a
+ * flow that depends on an email arriving.
+ *
+ * For testing under Node.js, `createFileTransport(directory)` writes each message
+ * to an .eml file that any mail client can open. A transport set this way needs
+ * neither config.js nor data-store.js:
+ *    const { mailSender, createFileTransport } = require('./src/js/mail-sender.js');
+ *    mailSender.setTransport(createFileTransport('./test-outbox'), { from: 'club@example.org' });
+ * scripts/send-test-emails.js does this and checks the files it writes.
+ *
+ * The .eml files are plain ASCII: header text outside ASCII (accented names,
+ * emoji in a subject) becomes RFC 2047 encoded words, and bodies are UTF-8,
+ * base64 encoded.
+ */
+
+/**
+ * Configuration object for the local outbox
+ */
+const MAIL_SENDER_CONFIG = {
+    outboxStorageKey: 'carClub_mailOutbox',     // localStorage key for locally "sent" mail
+    outboxLimit: 50                             // Oldest messages are dropped beyond this
+};
+
+class MailSender {
+    constructor() {
+        this.transport = null;
+        this.transportFrom = null;
+    }
+
+    /**
+     * Replace the delivery mechanism
+     * @param {Function} transport - async (message) => void, throws on failure
+     * @param {Object} options
+     * @param {string} options.from - Sender for messages that do not name one
+     */
+    setTransport(transport, { from = null } = {}) {
+        this.transport = transport;
+        this.transportFrom = from;
+    }
+
+    /**
+     * Sender for messages that do not name one
+     * config.js is only read when the transport has no from, so a transport set
+     * under Node.js works without it
+     * @returns {string|null}
+     */
+    getDefaultFrom() {
+        if (this.transport && this.transportFrom) return this.transportFrom;
+        if (typeof CONFIG === 'undefined') return null;
+
+        const service = CONFIG.MAIL_SERVICE || {};
+        return service.fromAddress || CONFIG.CLUB_INFO.contactEmail;
+    }
+
+    /**
+     * Pick the transport to use for the next message
+     * @returns {Function} - Transport function
+     */
+    getTransport() {
+        if (this.transport) return this.transport;
+
+        const service = CONFIG.MAIL_SERVICE || {};
+        if (service.endpoint) return (message) => this.sendViaEndpoint(message, service);
+        if (getDataClient().isLocal) return (message) => this.logLocally(message);
+
+        return () => {
+            const error = new Error('Email is not configured for this site');
+            error.code = 'MAIL_NOT_CONFIGURED';
+            throw error;
+        };
+    }
+
+    /**
+     * Whether messages can be delivered: a transport or mail endpoint is set,
+     * or the local demo backend is active
+     * @returns {boolean}
+     */
+    canSend() {
+        return Boolean(this.transport || (CONFIG.MAIL_SERVICE && CONFIG.MAIL_SERVICE.endpoint) || getDataClient().isLocal);
+    }
+
+    /**
+     * Send an email
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Promise<Object>} - The message as sent, including from and sent_at
+     */
+    async send(message) {
+        if (!message || !message.to || !message.subject) {
+            throw new Error('Email needs a recipient and a subject');
+        }
+
+        const from = message.from || this.getDefaultFrom();
+        if (!from) throw new Error('Email needs a sender: pass from to setTransport() or include config.js');
+
+        const outgoing = {
+            from: from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text || '',
+            html: message.html || null,
+            sent_at: new Date().toISOString()
+        };
+
+        await this.getTransport()(outgoing);
+        return outgoing;
+    }
+
+    /**
+     * Deliver through an HTTP mail endpoint (e.g. a Supabase Edge Function)
+     * @param {Object} message - Message to send
+     * @param {Object} service - CONFIG.MAIL_SERVICE settings
+     */
+    async sendViaEndpoint(message, service) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (service.useSupabaseAuth) {
+            headers.Authorization = `Bearer ${CONFIG.SUPABASE_ANON_KEY}`;
+        }
+
+        const response = await fetch(service.endpoint, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify(message)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Mail service error: HTTP ${response.status}`);
+        }
+    }
+
+    /**
+     * Fallback used in demo mode when no mail service is configured
+     * @param {Object} message - Message to "send"
+     */
+    logLocally(message) {
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n\n${message.text}`);
+
+        const outbox = this.getOutbox();
+        outbox.push(message);
+        localStorage.setItem(
+            MAIL_SENDER_CONFIG.outboxStorageKey,
+            JSON.stringify(outbox.slice(-MAIL_SENDER_CONFIG.outboxLimit))
+        );
+    }
+
+    /**
+     * Read messages kept by the local fallback
+     * @returns {Array} - Messages, oldest first
+     */
+    getOutbox() {
+        try {
+            return JSON.parse(localStorage.getItem(MAIL_SENDER_CONFIG.outboxStorageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+// ===== FILE TRANSPORT =====
+
+/**
+ * Base64 of a string's UTF-8 bytes
+ * @param {string} text
+ * @returns {string}
+ */
+function base64Utf8(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+/**
+ * Encode header text as RFC 2047 encoded words when it is not plain ASCII
+ * Each word holds whole characters and stays within the 75 character limit
+ * @param {string} text
+ * @returns {string} - The text unchanged, or encoded words folded onto separate lines
+ */
+function encodeHeaderText(text) {
+    if (/^[\x20-\x7e]*$/.test(text)) return text;
+
+    const words = [];
+    let chunk = '';
+    for (const char of text) {
+        // 45 bytes make 60 base64 characters, which fit with the =?UTF-8?B?...?= wrapper
+        if (new TextEncoder().encode(chunk + char).length > 45) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    words.push(chunk);
+
+    return words.map(word => `=?UTF-8?B?${base64Utf8(word)}?=`).join('\r\n ');
+}
+
+/**
+ * Encode the display names in an address list, leaving the addresses as they are
+ * @param {string} addresses - e.g. 'Zoë Müller <zoe@example.org>'
+ * @returns {string}
+ */
+function encodeAddressHeader(addresses) {
+    // Commas inside a quoted name ("Parker, Walt") do not separate addresses
+    return (String(addresses).match(/("[^"]*"|[^,])+/g) || [])
+        .map(address => {
+            const match = address.trim().match(/^"?(.*?)"?\s*<([^>]+)>$/);
+            const plain = !match || /^[\x20-\x7e]*$/.test(match[1]);
+            return plain ? address.trim() : `${encodeHeaderText(match[1])} <${match[2]}>`;
+        })
+        .join(', ');
+}
+
+/**
+ * A MIME body part: headers and the text base64 encoded in 76 character lines
+ * @param {string} contentType - e.g. 'text/plain'
+ * @param {string} text
+ * @returns {Array<string>} - Lines of the part
+ */
+function buildMimeBody(contentType, text) {
+    return [
+        `Content-Type: ${contentType}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        // Line breaks are CRLF in the encoded text, as MIME expects for text types
+        ...(base64Utf8((text || '').replace(/\r?\n/g, '\r\n')).match(/.{1,76}/g) || [])
+    ];
+}
+
+/**
+ * Build a MIME message with plain text and, when present, HTML alternatives
+ * @param {Object} message - Message as passed to a transport
+ * @returns {string} - Raw message in RFC 5322 format
+ */
+function buildMimeMessage(message) {
+    const headers = [
+        `From: ${encodeAddressHeader(message.from)}`,
+        `To: ${encodeAddressHeader(message.to)}`,
+        `Subject: ${encodeHeaderText(message.subject)}`,
+        `Date: ${new Date(message.sent_at || Date.now()).toUTCString()}`,
+        'MIME-Version: 1.0'
+    ];
+
+    if (!message.html) {
+        return [...headers, ...buildMimeBody('text/plain', message.text)].join('\r\n');
+    }
+
+    const boundary = `carclub-${Date.now().toString(36)}`;
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        ...buildMimeBody('text/plain', message.text),
+        `--${boundary}`,
+        ...buildMimeBody('text/html', message.html),
+        `--${boundary}--`
+    ].join('\r\n');
+}
+
+/**
+ * Transport that writes each message to an .eml file instead of sending it
+ * Node.js only; intended for testing newsletters and notifications end to end
+ * @param {string} directory - Folder for the files, created if missing
+ * @returns {Function} - Transport for mailSender.setTransport()
+ */
+function createFileTransport(directory) {
+    const fs = require('fs');
+    const path = require('path');
+    let counter = 0;
+
+    fs.mkdirSync(directory, { recursive: true });
+
+    return async (message) => {
+        counter += 1;
+        const recipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+        const fileName = `${Date.now()}-${String(counter).padStart(4, '0')}-${recipient}.eml`;
+        await fs.promises.writeFile(path.join(directory, fileName), buildMimeMessage(message), 'utf8');
+    };
+}
+
+// Shared instance used by pages that send email
+const mailSender = new MailSender();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MailSender, MAIL_SENDER_CONFIG, mailSender, buildMimeMessage, createFileTransport };
+}
@@ -0,0 +1,447 @@
+/**
+ * Markdown Renderer
+ * Turns Markdown article text into HTML and passes every piece of HTML shown
+ * on the site through an allowlist sanitizer
+ *
+ * USAGE:
+ * 1. Include this script after config.js
+ * 2. Use the global `markdown` instance, e.g.
+ *    - element.innerHTML = markdown.render(article.content)
+ *    - markdown.excerpt(article.content, 150)     (plain text for cards and tables)
+ *    - markdown.countWords(article.content)
+ *    - markdown.sanitize(html)                     (HTML from anywhere else)
+ *
+ * SUPPORTED MARKDOWN:
+ * - # to ###### headings, paragraphs, single line breaks kept as <br>
+ * - **bold**, *italic*, ~~strikethrough~~, `code` and ``` fenced code blocks
+ * - [links](https://example.com "title") and ![images](url "title")
+ * - "- item" and "1. item" lists (one level), "> quotes" and --- rules
+ *
+ * Raw HTML typed into an article is shown as text, never as markup.
+ *
+ * SANITIZER:
+ * Only the tags and attributes in MARKDOWN_CONFIG.allowedTags survive. Script-like
+ * elements are removed with their content, other unknown tags are unwrapped, and
+ * href/src must use an allowed scheme (images may also use inline data: URLs,
+ * which is how demo-mode gallery photos are stored).
+ */
+
+/**
+ * Configuration object for rendering and sanitizing
+ */
+const MARKDOWN_CONFIG = {
+    // Tag name -> attributes allowed on it
+    allowedTags: {
+        p: [], br: [], hr: [],
+        h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+        strong: [], em: [], del: [], code: [], pre: [], blockquote: [],
+        ul: [], ol: ['start'], li: [],
+        a: ['href', 'title'],
+        img: ['src', 'alt', 'title']
+    },
+    voidTags: ['br', 'hr', 'img'],
+    // Removed together with everything inside them
+    removeWithContent: ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math'],
+    allowedSchemes: ['http', 'https', 'mailto'],
+    imageDataPattern: /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i,
+    excerptLength: 200                              // Default excerpt length in characters
+};
+
+class MarkdownRenderer {
+    // ===== MARKDOWN TO HTML =====
+
+    /**
+     * Render Markdown to sanitized HTML
+     * @param {string} text - Markdown source
+     * @returns {string} - Safe HTML
+     */
+    render(text) {
+        return this.sanitize(this.toHtml(text));
+    }
+
+    /**
+     * Convert Markdown to HTML without sanitizing
+     * @param {string} text - Markdown source
+     * @returns {string}
+     */
+    toHtml(text) {
+        const lines = String(text ?? '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block, kept exactly as typed
+            const fence = line.match(/^\s*(```|~~~)/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i++]);
+                }
+                i++; // Skip the closing fence
+                blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                blocks.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (this.isRule(line)) {
+                blocks.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^\s*>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+                }
+                blocks.push(`<blockquote>${this.toHtml(quoted.join('\n'))}</blockquote>`);
+                continue;
+            }
+
+            const firstItem = this.matchListItem(line);
+            if (firstItem) {
+                const items = [];
+                while (i < lines.length) {
+                    const item = this.matchListItem(lines[i]);
+                    if (item && item.ordered === firstItem.ordered) {
+                        items.push(item.text);
+                        i++;
+                    } else if (item || !lines[i].trim() || this.startsBlock(lines[i])) {
+                        // A blank line ends the list unless the next item follows it
+                        const next = lines[i + 1] !== undefined ? this.matchListItem(lines[i + 1]) : null;
+                        if (!lines[i].trim() && next && next.ordered === firstItem.ordered) {
+                            i++;
+                            continue;
+                        }
+                        break;
+                    } else {
+                        // Indented or wrapped text belongs to the previous item
+                        items[items.length - 1] += '\n' + lines[i++].trim();
+                    }
+                }
+
+                const tag = firstItem.ordered ? 'ol' : 'ul';
+                const start = firstItem.ordered && firstItem.number !== 1 ? ` start="${firstItem.number}"` : '';
+                blocks.push(`<${tag}${start}>${items.map(item => `<li>${this.renderLines(item)}</li>`).join('')}</${tag}>`);
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const paragraph = [lines[i++]];
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines[i])) {
+                paragraph.push(lines[i++]);
+            }
+            blocks.push(`<p>${this.renderLines(paragraph.join('\n'))}</p>`);
+        }
+
+        return blocks.join('\n');
+    }
+
+    /**
+     * Check for a horizontal rule line such as --- or ***
+     * @param {string} line
+     * @returns {boolean}
+     */
+    isRule(line) {
+        return /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+    }
+
+    /**
+     * Match a list item line
+     * @param {string} line
+     * @returns {{ordered: boolean, number: number, text: string}|null}
+     */
+    matchListItem(line) {
+        if (this.isRule(line)) return null;
+
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        if (bullet) return { ordered: false, number: null, text: bullet[1] };
+
+        const numbered = line.match(/^\s*(\d{1,9})[.)]\s+(.*)$/);
+        if (numbered) return { ordered: true, number: parseInt(numbered[1], 10), text: numbered[2] };
+
+        return null;
+    }
+
+    /**
+     * Check whether a line starts a block other than a paragraph
+     * @param {string} line
+     * @returns {boolean}
+     */
+    startsBlock(line) {
+        return /^\s*(```|~~~|#{1,6}\s|>)/.test(line) || this.isRule(line) || !!this.matchListItem(line);
+    }
+
+    /**
+     * Render inline Markdown on each line and join them with <br>
+     * @param {string} text
+     * @returns {string}
+     */
+    renderLines(text) {
+        return text.split('\n').map(line => this.renderInline(line.trim())).join('<br>');
+    }
+
+    /**
+     * Render inline Markdown (emphasis, code, links and images)
+     * Code, links and images are set aside first so emphasis markers inside
+     * them, such as underscores in a URL, are left alone
+     * @param {string} text - One line of Markdown
+     * @returns {string}
+     */
+    renderInline(text) {
+        const stash = [];
+        const hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+        const title = value => value ? ` title="${value}"` : '';
+
+        let html = escapeHtml(text)
+            .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+            .replace(/!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g,
+                (match, alt, src, imageTitle) => hold(`<img src="${src}" alt="${alt}"${title(imageTitle)}>`))
+            .replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g,
+                (match, label, href, linkTitle) => hold(`<a href="${href}"${title(linkTitle)}>${this.renderEmphasis(label)}</a>`));
+
+        html = this.renderEmphasis(html);
+
+        // Restore set-aside pieces; link labels may hold code spans of their own
+        while (/\u0000\d+\u0000/.test(html)) {
+            html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+        }
+        return html;
+    }
+
+    /**
+     * Apply bold, italic and strikethrough markers
+     * @param {string} html - Escaped text
+     * @returns {string}
+     */
+    renderEmphasis(html) {
+        return html
+            .replace(/\*\*(?=\S)(.+?)\*\*|(^|[^\w])__(?=\S)(.+?)__(?!\w)/g,
+                (match, starred, before, underscored) => starred !== undefined ? `<strong>${starred}</strong>` : `${before}<strong>${underscored}</strong>`)
+            .replace(/\*(?=\S)(.+?)\*|(^|[^\w])_(?=\S)(.+?)_(?!\w)/g,
+                (match, starred, before, underscored) => starred !== undefined ? `<em>${starred}</em>` : `${before}<em>${underscored}</em>`)
+            .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+    }
+
+    // ===== PLAIN TEXT =====
+
+    /**
+     * Strip Markdown syntax, leaving readable text
+     * @param {string} text - Markdown source
+     * @param {boolean} showLinkUrls - Write links as "label (url)", e.g. for plain-text email
+     * @returns {string}
+     */
+    toPlainText(text, showLinkUrls = false) {
+        return String(text ?? '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/^\s*(```|~~~).*$/gm, '')
+            .replace(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/gm, '$1')
+            .replace(/^\s*>\s?/gm, '')
+            .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\(\s*([^\s)]+)[^)]*\)/g, (match, label, href) => showLinkUrls ? `${label} (${href})` : label)
+            .replace(/(\*\*|__|~~)(?=\S)(.+?)\1/g, '$2')
+            .replace(/(^|[^\w*])[*_](?=\S)(.+?)[*_](?!\w)/gm, '$1$2')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Short plain-text preview of an article
+     * @param {string} text - Markdown source
+     * @param {number} maxLength - Characters to keep
+     * @returns {string}
+     */
+    excerpt(text, maxLength = MARKDOWN_CONFIG.excerptLength) {
+        const plain = this.toPlainText(text).replace(/\s+/g, ' ');
+        if (plain.length <= maxLength) return plain;
+
+        // Cut at the last whole word that fits
+        const cut = plain.substring(0, maxLength);
+        const lastSpace = cut.lastIndexOf(' ');
+        return (lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : cut) + '...';
+    }
+
+    /**
+     * Count the words a reader sees, ignoring Markdown syntax
+     * @param {string} text - Markdown source
+     * @returns {number}
+     */
+    countWords(text) {
+        const plain = this.toPlainText(text);
+        return plain ? plain.split(/\s+/).length : 0;
+    }
+
+    // ===== SANITIZER =====
+
+    /**
+     * Keep only allowlisted tags and attributes
+     * @param {string} html - Untrusted HTML
+     * @returns {string} - Safe HTML with every allowed tag closed
+     */
+    sanitize(html) {
+        const source = String(html ?? '');
+        const tagPattern = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/;
+        const output = [];
+        const open = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const lt = source.indexOf('<', i);
+            if (lt === -1) {
+                output.push(this.escapeText(source.slice(i)));
+                break;
+            }
+            output.push(this.escapeText(source.slice(i, lt)));
+
+            // Comments are dropped entirely
+            if (source.startsWith('<!--', lt)) {
+                const end = source.indexOf('-->', lt + 4);
+                i = end === -1 ? source.length : end + 3;
+                continue;
+            }
+
+            // Anything that isn't a well-formed tag is shown as text
+            const match = source.slice(lt).match(tagPattern);
+            if (!match) {
+                output.push('&lt;');
+                i = lt + 1;
+                continue;
+            }
+            i = lt + match[0].length;
+
+            const closing = match[1] === '/';
+            const tag = match[2].toLowerCase();
+
+            if (MARKDOWN_CONFIG.removeWithContent.includes(tag)) {
+                if (!closing) {
+                    const close = source.toLowerCase().indexOf(`</${tag}`, i);
+                    const end = close === -1 ? -1 : source.indexOf('>', close);
+                    i = end === -1 ? source.length : end + 1;
+                }
+                continue;
+            }
+
+            // Unknown tags are unwrapped, keeping their text
+            if (!MARKDOWN_CONFIG.allowedTags[tag]) continue;
+
+            if (closing) {
+                const index = open.lastIndexOf(tag);
+                while (index !== -1 && open.length > index) {
+                    output.push(`</${open.pop()}>`);
+                }
+                continue;
+            }
+
+            const attributes = this.sanitizeAttributes(tag, match[3]);
+            if (tag === 'img' && !attributes.src) continue;
+
+            output.push(`<${tag}${Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('')}>`);
+            if (!MARKDOWN_CONFIG.voidTags.includes(tag)) open.push(tag);
+        }
+
+        while (open.length > 0) {
+            output.push(`</${open.pop()}>`);
+        }
+        return output.join('');
+    }
+
+    /**
+     * Escape text between tags, keeping entities that are already escaped
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeText(text) {
+        return text
+            .replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Pick the allowed attributes out of a tag
+     * @param {string} tag - Lowercase tag name
+     * @param {string} text - Attribute text from the tag
+     * @returns {Object} - Attribute name -> decoded value
+     */
+    sanitizeAttributes(tag, text) {
+        const allowed = MARKDOWN_CONFIG.allowedTags[tag];
+        const attributes = {};
+        const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const name = match[1].toLowerCase();
+            if (!allowed.includes(name) || name in attributes) continue;
+
+            let value = this.decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+
+            if (name === 'href' || name === 'src') {
+                value = this.safeUrl(value, tag);
+                if (value === null) continue;
+            }
+            if (name === 'start' && !/^\d{1,9}$/.test(value)) continue;
+
+            attributes[name] = value;
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Decode the character references a browser would decode in an attribute
+     * Values are escaped again on output, so the check and the browser see the same URL
+     * @param {string} value
+     * @returns {string}
+     */
+    decodeEntities(value) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return value.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (match, ref) => {
+            if (ref[0] === '#') {
+                const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+            }
+            return named[ref.toLowerCase()] ?? match;
+        });
+    }
+
+    /**
+     * Check a link or image address against the allowed schemes
+     * @param {string} value - Decoded URL
+     * @param {string} tag - 'a' or 'img'
+     * @returns {string|null} - The URL, or null when it isn't allowed
+     */
+    safeUrl(value, tag) {
+        const url = value.trim();
+        // Browsers ignore control characters and whitespace when reading the scheme
+        const scheme = url.replace(/[\u0000- \u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+
+        if (!scheme) return url; // Relative address
+        if (MARKDOWN_CONFIG.allowedSchemes.includes(scheme[1].toLowerCase())) return url;
+        if (tag === 'img' && MARKDOWN_CONFIG.imageDataPattern.test(url)) return url;
+        return null;
+    }
+}
+
+// Shared instance used by public and admin pages
+const markdown = new MarkdownRenderer();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarkdownRenderer, MARKDOWN_CONFIG };
+}
@@ -0,0 +1,430 @@
+/**
+ * Member Applications
+ * Review workflow for membership applications: an application arrives as
+ * 'pending', and a reviewer approves it (status 'active'), rejects it, or asks
+ * the applicant for more information ('needs_info') before deciding. Every
+ * decision is kept with the reviewer's notes, and the applicant is emailed at
+ * each step, with a welcome packet when they are approved. Admins are told
+ * about new applications through a notification shown on the dashboard.
+ *
+ * USAGE:
+ * 1. Include this script after config.js, data-store.js and mail-sender.js
+ *    (admin pages also need admin-session.js for the reviewer's name)
+ * 2. After inserting an application: `await memberApplications.processNewApplication(member)`
+ *    (emails the applicant and notifies the admins)
+ * 3. To decide on one: `await memberApplications.review(member, 'active', notes)`
+ * 4. Dashboard badge: `await memberApplications.countUnreadNotifications()`
+ *
+ * Emails go through mailSender, so they use whatever transport it has; for
+ * testing under Node.js, `mailSender.setTransport(createFileTransport('./test-outbox'), { from })`
+ * writes each one to an .eml file (see scripts/send-test-emails.js).
+ *
+ * DATABASE TABLES:
+ * member_application_reviews - id, member_id, from_status, to_status, notes,
+ *   reviewed_by, email_sent (boolean), created_at
+ * admin_notifications - id, type ('new_application'), member_id, title, message,
+ *   link, read_at (null until an admin dismisses it), created_at
+ *   The public application form inserts into this table, so it needs an RLS
+ *   policy allowing anonymous inserts (but not reads).
+ *
+ * DEMO MODE:
+ * Both tables live in the local backend of data-store.js, and mail goes to the
+ * local outbox unless a transport is set.
+ */
+
+/**
+ * Configuration object for the application workflow
+ */
+const APPLICATION_CONFIG = {
+    reviewsTable: 'member_application_reviews',
+    notificationsTable: 'admin_notifications',
+    myMembershipPath: '../pages/my-membership.html',    // Relative to admin/ and pages/
+    eventsPath: '../pages/events.html',
+    newsletterPath: '../pages/newsletter.html',
+    adminMembersPath: '../admin/admin-members.html',
+    // Statuses an application can still be decided from
+    openStatuses: ['pending', 'needs_info'],
+    // Decisions a reviewer can make, keyed by the member status they set
+    decisions: {
+        active: { label: 'Approve', pastTense: 'approved', template: 'approved', notesRequired: false },
+        needs_info: { label: 'Request more information', pastTense: 'asked for more information', template: 'needs_info', notesRequired: true },
+        rejected: { label: 'Reject', pastTense: 'rejected', template: 'rejected', notesRequired: true }
+    },
+    statusLabels: {
+        pending: 'Pending',
+        needs_info: 'Needs info',
+        active: 'Approved',
+        rejected: 'Rejected'
+    },
+    // Email templates. {{placeholders}} are filled from getTemplateValues();
+    // a paragraph or item whose placeholders are all empty is left out, so the
+    // notes paragraph only appears when the reviewer wrote some.
+    templates: {
+        received: {
+            subject: 'We received your {{club_name}} membership application',
+            body: [
+                'Hello {{first_name}},',
+                'Thank you for applying to join {{club_name}}. Your application for a {{membership_type}} membership is now with our membership team, and we usually respond within 2-3 business days.',
+                'You can check on it at any time from the My Membership page: {{my_membership_url}}',
+                'If you have any questions, reply to {{contact_email}}.'
+            ]
+        },
+        approved: {
+            subject: 'Welcome to {{club_name}}!',
+            body: [
+                'Hello {{first_name}},',
+                'Good news: your membership application has been approved, and we are delighted to welcome you to {{club_name}}.',
+                'A note from our membership team: {{notes}}',
+                'Here is your welcome packet with everything you need to get started.'
+            ],
+            packet: [
+                {
+                    heading: 'Your membership',
+                    items: [
+                        'Membership type: {{membership_type}}',
+                        'Annual dues: {{dues}}, payable at your first club meeting',
+                        'Log in to My Membership to keep your details, vehicles and RSVPs up to date: {{my_membership_url}}'
+                    ]
+                },
+                {
+                    heading: 'Club meetings',
+                    items: [
+                        'When: {{meeting_time}}',
+                        'Where: {{meeting_location}}, {{meeting_address}}',
+                        'New members are always welcome - introduce yourself when you arrive.'
+                    ]
+                },
+                {
+                    heading: 'Getting involved',
+                    items: [
+                        'See upcoming tours, workshops and shows, and RSVP: {{events_url}}',
+                        'Add your car to the club fleet from My Membership',
+                        'Get the club newsletter: {{newsletter_url}}'
+                    ]
+                },
+                {
+                    heading: 'Contact us',
+                    items: ['Email: {{contact_email}}', 'Phone: {{contact_phone}}']
+                }
+            ]
+        },
+        needs_info: {
+            subject: 'Your {{club_name}} membership application: more information needed',
+            body: [
+                'Hello {{first_name}},',
+                'Thank you for applying to join {{club_name}}. Before we can make a decision, our membership team needs a little more information:',
+                '{{notes}}',
+                'Please reply to {{contact_email}} with the details, or update your application from the My Membership page: {{my_membership_url}}'
+            ]
+        },
+        rejected: {
+            subject: 'Your {{club_name}} membership application',
+            body: [
+                'Hello {{first_name}},',
+                'Thank you for your interest in {{club_name}}. After reviewing your application, we are unable to approve your membership at this time.',
+                'A note from our membership team: {{notes}}',
+                'If you have any questions, please contact us at {{contact_email}}.'
+            ]
+        },
+        admin_new: {
+            subject: 'New membership application: {{member_name}}',
+            body: [
+                '{{member_name}} ({{email}}) has applied for a {{membership_type}} membership of {{club_name}}.',
+                'Review the application: {{admin_url}}'
+            ]
+        }
+    }
+};
+
+class MemberApplicationManager {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    /**
+     * Build a full link to a site page
+     * @param {string} path - Path relative to the current page
+     * @returns {string}
+     */
+    getPageUrl(path) {
+        return new URL(path, window.location.href).toString();
+    }
+
+    // ===== EMAIL TEMPLATES =====
+
+    /**
+     * Values for the template placeholders
+     * @param {Object} member - members row
+     * @param {string} notes - Reviewer notes, if any
+     * @returns {Object}
+     */
+    getTemplateValues(member, notes = '') {
+        const pricing = getMembershipPricing()[member.membership_type];
+        const club = CONFIG.CLUB_INFO;
+
+        return {
+            first_name: member.first_name,
+            member_name: `${member.first_name} ${member.last_name}`,
+            email: member.email,
+            membership_type: pricing ? pricing.name.toLowerCase() : member.membership_type,
+            dues: pricing ? `$${pricing.price}` : '',
+            notes: notes,
+            club_name: club.name || CONFIG.SITE_NAME,
+            meeting_time: club.meetingTime,
+            meeting_location: club.meetingLocation,
+            meeting_address: club.meetingAddress,
+            contact_email: club.contactEmail,
+            contact_phone: club.contactPhone,
+            my_membership_url: this.getPageUrl(APPLICATION_CONFIG.myMembershipPath),
+            events_url: this.getPageUrl(APPLICATION_CONFIG.eventsPath),
+            newsletter_url: this.getPageUrl(APPLICATION_CONFIG.newsletterPath),
+            admin_url: this.getPageUrl(APPLICATION_CONFIG.adminMembersPath)
+        };
+    }
+
+    /**
+     * Fill in a template line
+     * @param {string} line - Template text
+     * @param {Object} values - Placeholder values
+     * @returns {string|null} - null when every placeholder in the line is empty
+     */
+    fillPlaceholders(line, values) {
+        let filled = 0;
+        let placeholders = 0;
+        const text = line.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+            placeholders++;
+            const value = values[name] === undefined || values[name] === null ? '' : String(values[name]).trim();
+            if (value) filled++;
+            return value;
+        });
+        return placeholders > 0 && filled === 0 ? null : text;
+    }
+
+    /**
+     * Render an email template as a message for mailSender
+     * @param {string} name - Key of APPLICATION_CONFIG.templates
+     * @param {Object} values - Placeholder values
+     * @returns {{subject: string, text: string, html: string}}
+     */
+    renderEmail(name, values) {
+        const template = APPLICATION_CONFIG.templates[name];
+        if (!template) throw new Error(`Unknown email template: ${name}`);
+
+        const fill = lines => lines.map(line => this.fillPlaceholders(line, values)).filter(line => line !== null);
+        // Links in the plain text become clickable in the HTML version
+        const toHtml = text => escapeHtml(text)
+            .replace(/\n/g, '<br>')
+            .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`);
+
+        const body = fill(template.body);
+        const packet = (template.packet || []).map(section => ({ heading: section.heading, items: fill(section.items) }));
+
+        const text = [...body, ...packet.map(section =>
+            [section.heading.toUpperCase(), ...section.items.map(item => `- ${item}`)].join('\n')
+        )].join('\n\n');
+
+        const html = body.map(paragraph => `<p>${toHtml(paragraph)}</p>`).join('') +
+            packet.map(section =>
+                `<h3>${escapeHtml(section.heading)}</h3><ul>${section.items.map(item => `<li>${toHtml(item)}</li>`).join('')}</ul>`
+            ).join('');
+
+        return { subject: this.fillPlaceholders(template.subject, values) || '', text, html };
+    }
+
+    /**
+     * Render the email an applicant will get for a decision, for previewing
+     * @param {Object} member - members row
+     * @param {string} status - Key of APPLICATION_CONFIG.decisions
+     * @param {string} notes - Reviewer notes
+     * @returns {{subject: string, text: string, html: string}}
+     */
+    previewDecisionEmail(member, status, notes = '') {
+        const decision = APPLICATION_CONFIG.decisions[status];
+        if (!decision) throw new Error(`Unknown decision: ${status}`);
+        return this.renderEmail(decision.template, this.getTemplateValues(member, sanitizeInput(notes)));
+    }
+
+    // ===== NEW APPLICATIONS =====
+
+    /**
+     * Follow up a newly inserted application: acknowledge it to the applicant
+     * and notify the admins
+     * Mail problems are logged rather than thrown, so they never undo an application
+     * @param {Object} member - The inserted members row
+     */
+    async processNewApplication(member) {
+        const values = this.getTemplateValues(member);
+
+        // No .select() afterwards: applicants may add notifications but not read them
+        const { error } = await this.getClient()
+            .from(APPLICATION_CONFIG.notificationsTable)
+            .insert([{
+                type: 'new_application',
+                member_id: member.id,
+                title: `New membership application from ${values.member_name}`,
+                message: `${values.membership_type} membership, applied with ${member.email}`,
+                link: `admin-members.html?review=${member.id}`,
+                read_at: null,
+                created_at: new Date().toISOString()
+            }]);
+
+        if (error) throw error;
+
+        try {
+            await mailSender.send({ to: member.email, ...this.renderEmail('received', values) });
+        } catch (mailError) {
+            console.warn('Application saved, but the acknowledgement email was not sent:', mailError);
+        }
+
+        try {
+            await mailSender.send({ to: CONFIG.ADMIN_EMAIL, ...this.renderEmail('admin_new', values) });
+        } catch (mailError) {
+            console.warn('Application saved, but the admin notification email was not sent:', mailError);
+        }
+    }
+
+    // ===== REVIEWS =====
+
+    /**
+     * Record a decision on an application and email the applicant
+     * The status change stands even if the email fails; the review row records
+     * whether it was sent so the reviewer can follow up by hand
+     * @param {Object} member - members row (as loaded, so its current status is known)
+     * @param {string} status - 'active', 'needs_info' or 'rejected'
+     * @param {string} notes - Reviewer notes, sent to the applicant (required unless approving)
+     * @returns {Promise<{member: Object, review: Object, emailError: Error|null}>}
+     */
+    async review(member, status, notes = '') {
+        const decision = APPLICATION_CONFIG.decisions[status];
+        const cleanNotes = sanitizeInput(notes || '').trim();
+        const problems = [];
+
+        if (!decision) problems.push(`Unknown decision: ${status}`);
+        if (!APPLICATION_CONFIG.openStatuses.includes(member.status)) {
+            problems.push(`This application has already been ${(APPLICATION_CONFIG.statusLabels[member.status] || member.status).toLowerCase()}`);
+        }
+        if (decision && decision.notesRequired && !cleanNotes) {
+            problems.push('Please add a note for the applicant explaining the decision');
+        }
+        if (problems.length > 0) throw new Error(problems.join('; '));
+
+        const updated = await repositories.members.update(member.id, { status: status });
+
+        let emailError = null;
+        try {
+            await mailSender.send({ to: member.email, ...this.previewDecisionEmail(member, status, cleanNotes) });
+        } catch (error) {
+            console.warn('Decision saved, but the email to the applicant was not sent:', error);
+            emailError = error;
+        }
+
+        const user = adminSession.getCurrentUser();
+        const { data: review, error } = await this.getClient()
+            .from(APPLICATION_CONFIG.reviewsTable)
+            .insert([{
+                member_id: member.id,
+                from_status: member.status,
+                to_status: status,
+                notes: cleanNotes || null,
+                reviewed_by: user ? user.full_name || user.username : null,
+                email_sent: !emailError,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await this.markNotificationsRead({ memberId: member.id });
+
+        return { member: updated, review, emailError };
+    }
+
+    /**
+     * Load the decisions made on an application, newest first
+     * @param {number|string} memberId
+     * @returns {Promise<Array>} - member_application_reviews rows
+     */
+    async fetchReviews(memberId) {
+        const { data, error } = await this.getClient()
+            .from(APPLICATION_CONFIG.reviewsTable)
+            .select('*')
+            .eq('member_id', memberId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    // ===== ADMIN NOTIFICATIONS =====
+
+    /**
+     * Load notifications admins have not dismissed yet, newest first
+     * @param {number} limit - Most to return
+     * @returns {Promise<Array>} - admin_notifications rows
+     */
+    async fetchUnreadNotifications(limit = 10) {
+        const { data, error } = await this.getClient()
+            .from(APPLICATION_CONFIG.notificationsTable)
+            .select('*')
+            .is('read_at', null)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Count notifications admins have not dismissed yet
+     * @returns {Promise<number>}
+     */
+    async countUnreadNotifications() {
+        const { count, error } = await this.getClient()
+            .from(APPLICATION_CONFIG.notificationsTable)
+            .select('*', { count: 'exact', head: true })
+            .is('read_at', null);
+
+        if (error) throw error;
+        return count || 0;
+    }
+
+    /**
+     * Dismiss notifications
+     * @param {Object} options - { id } for one notification, { memberId } for one
+     *   applicant's, or nothing for all of them
+     */
+    async markNotificationsRead(options = {}) {
+        let query = this.getClient()
+            .from(APPLICATION_CONFIG.notificationsTable)
+            .update({ read_at: new Date().toISOString() })
+            .is('read_at', null);
+
+        if (options.id) query = query.eq('id', options.id);
+        if (options.memberId) query = query.eq('member_id', options.memberId);
+
+        const { error } = await query;
+        if (error) throw error;
+    }
+}
+
+// Shared instance used by the application forms and the admin pages
+const memberApplications = new MemberApplicationManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MemberApplicationManager, APPLICATION_CONFIG };
+}
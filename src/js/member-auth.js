@@ -0,0 +1,232 @@
+/**
+ * Member Authentication
+ * Member-facing login (email magic link) and access to the member's own record
+ *
+ * USAGE:
+ * 1. Include this script after config.js and data-store.js on public pages that
+ *    need the member
+ * 2. Use the global `memberAuth` instance:
+ *    - await memberAuth.sendLoginLink(email)
+ *    - await memberAuth.getCurrentMember()  -> members row or null
+ *    - await memberAuth.updateProfile(changes)
+ *    - await memberAuth.logout()
+ *
+ * HOW IDENTITY WORKS:
+ * Login uses Supabase Auth magic links. The signed-in auth user is matched to
+ * their `members` row by email address, so anyone who applied through the
+ * membership form can log in with the email they applied with. Member emails
+ * are stored in lower case so the match can be exact.
+ * Row-level security on `members` should allow select/update only where
+ * email = auth.email(), and only for the columns in MEMBER_AUTH_CONFIG.editableFields.
+ *
+ * Member records are read and written through getDataClient() (include
+ * data-store.js after config.js); only the login itself needs Supabase Auth.
+ *
+ * DEMO MODE:
+ * Whenever getDataClient() falls back to the local backend (Supabase not
+ * configured, or its library failed to load), entering the email of a member
+ * in the local backend logs in immediately, and profile edits are saved to
+ * that member's record.
+ */
+
+/**
+ * Configuration object for member login
+ */
+const MEMBER_AUTH_CONFIG = {
+    portalPage: 'my-membership.html',                   // Where login links send the member
+    demoSessionKey: 'carClub_demoMemberSession',        // localStorage key for the demo login
+    editableFields: [
+        'first_name', 'last_name', 'phone', 'model_a_owned',
+        'experience_level', 'interests', 'newsletter_signup'
+    ]
+};
+
+class MemberAuthManager {
+    constructor() {
+        this.client = null;
+        this.cachedMember = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * Only the Supabase client has Auth; the local backend uses the demo login
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    /**
+     * Run a callback when a member finishes signing in from a login link
+     * Does nothing in demo mode, where logging in is immediate
+     * @param {Function} callback - Called with no arguments after sign-in
+     */
+    onSignIn(callback) {
+        const client = this.getClient();
+        if (client.isLocal) return;
+
+        client.auth.onAuthStateChange((authEvent) => {
+            if (authEvent === 'SIGNED_IN') callback();
+        });
+    }
+
+    /**
+     * Find the newest application made with an email address
+     * Emails are stored in lower case, so this is an exact match; a pattern
+     * match would treat % and _ in the address as wildcards
+     * @param {string} email - Email address
+     * @returns {Promise<Object|null>} - members row
+     */
+    async findMemberByEmail(email) {
+        const { data, error } = await getDataClient()
+            .from('members')
+            .select('*')
+            .eq('email', String(email || '').trim().toLowerCase())
+            .is('deleted_at', null)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+        return data && data.length > 0 ? data[0] : null;
+    }
+
+    // ===== LOGIN =====
+
+    /**
+     * Send a one-time login link to a member's email address
+     * In demo mode the member is logged in straight away
+     * @param {string} email - Email used on the membership application
+     * @returns {Promise<{sent: boolean, demo: boolean}>}
+     */
+    async sendLoginLink(email) {
+        const normalizedEmail = (email || '').trim().toLowerCase();
+        if (!isValidEmail(normalizedEmail)) {
+            throw new Error('Please enter a valid email address');
+        }
+
+        const client = this.getClient();
+
+        if (client.isLocal) {
+            if (!(await this.findMemberByEmail(normalizedEmail))) {
+                throw new Error('No demo member uses that email address');
+            }
+            localStorage.setItem(MEMBER_AUTH_CONFIG.demoSessionKey, normalizedEmail);
+            this.cachedMember = null;
+            return { sent: false, demo: true };
+        }
+
+        const redirectUrl = new URL(MEMBER_AUTH_CONFIG.portalPage, window.location.href).href;
+        const { error } = await client.auth.signInWithOtp({
+            email: normalizedEmail,
+            options: { emailRedirectTo: redirectUrl }
+        });
+
+        if (error) throw error;
+        return { sent: true, demo: false };
+    }
+
+    /**
+     * Get the email address of the signed-in member
+     * @returns {Promise<string|null>}
+     */
+    async getSignedInEmail() {
+        const client = this.getClient();
+
+        if (client.isLocal) {
+            return localStorage.getItem(MEMBER_AUTH_CONFIG.demoSessionKey);
+        }
+
+        const { data, error } = await client.auth.getSession();
+        if (error) throw error;
+
+        return data.session ? data.session.user.email.toLowerCase() : null;
+    }
+
+    /**
+     * Check whether a member is signed in
+     * @returns {Promise<boolean>}
+     */
+    async isLoggedIn() {
+        return (await this.getSignedInEmail()) !== null;
+    }
+
+    /**
+     * Load the signed-in member's record
+     * @param {boolean} refresh - Ignore the cached copy
+     * @returns {Promise<Object|null>} - members row, or null if not signed in or no application found
+     */
+    async getCurrentMember(refresh = false) {
+        if (this.cachedMember && !refresh) return this.cachedMember;
+
+        const email = await this.getSignedInEmail();
+        if (!email) return null;
+
+        this.cachedMember = await this.findMemberByEmail(email);
+        return this.cachedMember;
+    }
+
+    /**
+     * Sign the member out
+     */
+    async logout() {
+        const client = this.getClient();
+        this.cachedMember = null;
+
+        if (client.isLocal) {
+            localStorage.removeItem(MEMBER_AUTH_CONFIG.demoSessionKey);
+            return;
+        }
+
+        const { error } = await client.auth.signOut();
+        if (error) throw error;
+    }
+
+    // ===== PROFILE =====
+
+    /**
+     * Update the signed-in member's own record
+     * Only fields in MEMBER_AUTH_CONFIG.editableFields are saved
+     * @param {Object} changes - Field values from the profile form
+     * @returns {Promise<Object>} - Updated member record
+     */
+    async updateProfile(changes) {
+        const member = await this.getCurrentMember(true);
+        if (!member) throw new Error('Please log in to update your membership');
+
+        const update = {};
+        MEMBER_AUTH_CONFIG.editableFields.forEach(field => {
+            if (changes[field] !== undefined) {
+                update[field] = typeof changes[field] === 'string' ? sanitizeInput(changes[field]) : changes[field];
+            }
+        });
+
+        if (update.first_name === '' || update.last_name === '') {
+            throw new Error('First and last name are required');
+        }
+
+        const { data, error } = await getDataClient()
+            .from('members')
+            .update(update)
+            .eq('id', member.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        this.cachedMember = data;
+        return data;
+    }
+}
+
+// Shared instance used by public pages
+const memberAuth = new MemberAuthManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MemberAuthManager, MEMBER_AUTH_CONFIG };
+}
@@ -0,0 +1,954 @@
+/**
+ * Member Import
+ * Brings an existing roster (a CSV file or an Excel .xlsx workbook) into the
+ * members table, and finds and merges duplicate member records.
+ *
+ * USAGE:
+ * 1. Include this script after data-store.js, admin-session.js and audit-log.js
+ * 2. Use the global `memberImport` instance, e.g.
+ *    - const sheet = await memberImport.readFile(file)            -> { headers, rows }
+ *    - const mapping = memberImport.guessMapping(sheet.headers)   -> { field: column index }
+ *    - const preview = await memberImport.previewImport(sheet, mapping)
+ *    - await memberImport.importRows(preview)
+ *    - memberImport.findDuplicatePairs(members)
+ *    - await memberImport.mergeMembers(primary, duplicate, choices)
+ *    - await memberImport.removeLinkedRecords(memberId)   (before purging a member)
+ *
+ * DUPLICATE DETECTION:
+ * Two records are the same person when their email addresses match (ignoring
+ * case), or when their phone numbers match (ignoring formatting) and their
+ * names are nearly the same - a Jaro-Winkler similarity of at least
+ * MEMBER_IMPORT_CONFIG.nameSimilarity, so "Jon Doe" finds "John Doe". A shared
+ * phone or a similar name alone is only a possible match (family members often
+ * share a phone), which is merged only when an admin chooses to.
+ *
+ * MERGING:
+ * A merge keeps one record (the primary) and folds the other into it: dues
+ * payments, vehicles, RSVPs, classifieds, supplier reviews, gallery photos,
+ * newsletter subscriptions, application reviews and admin notifications move to
+ * the primary, the chosen field values are written to it, and the other record
+ * is deleted. Where both records have an RSVP for the same event date, a review
+ * of the same supplier or a newsletter subscription, only one is kept (see
+ * MEMBER_IMPORT_CONFIG.linkedTables); if that frees a confirmed seat, the
+ * event's waitlist moves up. Both records as they were before the merge are
+ * kept in member_merges and the merge is written to the audit log. The merged
+ * record does not go to the Trash, since restoring it would bring back the
+ * duplicate without its payments and vehicles.
+ *
+ * DATABASE TABLE (member_merges):
+ * - id, member_id (the record kept), merged_member_id
+ * - primary_before, merged_record (jsonb): both records as they were
+ * - fields_from_merged (text[]): fields whose value was taken from the merged record
+ * - moved_records (jsonb): linked rows moved to the primary, counted by table
+ *   (plus "<table>_removed" for rows dropped because the primary already had one)
+ * - merged_by, created_at
+ *
+ * DEMO MODE:
+ * Members, dues, merges and the linked records use the local backend in
+ * data-store.js, so merging works the same way as on the live site.
+ */
+
+/**
+ * Configuration object for member import and merging
+ */
+const MEMBER_IMPORT_CONFIG = {
+    mergesTable: 'member_merges',               // Supabase table holding merge history
+    maxRows: 2000,                              // Largest file accepted in one import
+    nameSimilarity: 0.92,                       // Jaro-Winkler score for a possible name match
+    minPhoneDigits: 7,                          // Shorter numbers are never compared
+    defaultStatus: 'active',                    // Imported rosters are existing members
+    statuses: ['pending', 'active', 'inactive', 'lapsed', 'rejected'],
+    experienceLevels: ['beginner', 'intermediate', 'experienced', 'expert'],
+    // Member fields a file column can fill; headings matching an alias
+    // (ignoring case and punctuation) are mapped automatically
+    fields: {
+        full_name: { label: 'Full name', aliases: ['name', 'full name', 'member', 'member name'] },
+        first_name: { label: 'First name', aliases: ['first name', 'first', 'given name', 'forename'] },
+        last_name: { label: 'Last name', aliases: ['last name', 'last', 'surname', 'family name'] },
+        email: { label: 'Email', aliases: ['email', 'email address', 'e mail'] },
+        phone: { label: 'Phone', aliases: ['phone', 'phone number', 'telephone', 'mobile', 'cell'] },
+        membership_type: { label: 'Membership type', aliases: ['membership type', 'type', 'membership'] },
+        status: { label: 'Status', aliases: ['status', 'member status'] },
+        join_date: { label: 'Join date', aliases: ['join date', 'joined', 'member since', 'application date'] },
+        renewal_date: { label: 'Membership expires', aliases: ['membership expires', 'expires', 'expiry date', 'renewal date', 'paid to'] },
+        model_a_owned: { label: 'Owns a Model A', aliases: ['model a owned', 'owns model a', 'model a', 'owner'] },
+        model_year: { label: 'Model year', aliases: ['model year', 'year'] },
+        body_style: { label: 'Body style', aliases: ['body style', 'body'] },
+        experience_level: { label: 'Experience level', aliases: ['experience level', 'experience'] },
+        interests: { label: 'Interests', aliases: ['interests', 'areas of interest', 'notes'] },
+        how_heard: { label: 'How they heard', aliases: ['how heard', 'how they heard', 'referral', 'source'] },
+        newsletter_signup: { label: 'Newsletter', aliases: ['newsletter', 'newsletter signup'] }
+    },
+    dateFields: ['join_date', 'renewal_date'],
+    // Fields an admin chooses between when merging two records
+    mergeFields: [
+        'first_name', 'last_name', 'email', 'phone', 'membership_type', 'status',
+        'join_date', 'renewal_date', 'model_a_owned', 'model_year', 'body_style',
+        'experience_level', 'interests', 'how_heard', 'newsletter_signup'
+    ],
+    // Status kept by default when merging, most established first
+    statusRank: ['active', 'lapsed', 'inactive', 'pending', 'rejected'],
+    // Records that belong to a member and move to the kept record on a merge.
+    // oneEach lists the columns a member may hold only one row for ([] means one
+    // row per member); when both records have one, the row whose status comes
+    // first in keepOrder stays (the kept member's on a tie) and the other is deleted.
+    // When a member is purged from the Trash their rows are deleted, except
+    // detachOnPurge ones, which stay with member_id cleared.
+    linkedTables: [
+        { table: 'member_dues', label: 'Dues payments' },
+        { table: 'vehicles', label: 'Vehicles' },
+        { table: 'event_rsvps', label: 'RSVPs', oneEach: ['event_id', 'occurrence_date'], keepOrder: ['confirmed', 'waitlisted', 'cancelled'], detachOnPurge: true },
+        { table: 'classifieds', label: 'Classifieds' },
+        { table: 'supplier_reviews', label: 'Supplier reviews', oneEach: ['supplier_id'], keepOrder: ['approved', 'pending', 'rejected'] },
+        { table: 'photos', label: 'Gallery photos', detachOnPurge: true },
+        { table: 'newsletter_subscribers', label: 'Newsletter subscriptions', oneEach: [], keepOrder: ['subscribed', 'pending', 'unsubscribed'], detachOnPurge: true },
+        { table: 'member_application_reviews', label: 'Application reviews' },
+        { table: 'admin_notifications', label: 'Admin notifications' },
+        { table: 'member_merges', label: 'Merge history' }
+    ]
+};
+
+// ===== MATCHING HELPERS =====
+
+/**
+ * Reduce a column heading to lower-case words for matching aliases
+ * @param {string} heading
+ * @returns {string}
+ */
+function normalizeHeading(heading) {
+    return String(heading || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Reduce a name to lower-case letters so accents, punctuation and spacing don't matter
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizePersonName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reduce a phone number to its digits, dropping a leading US country code
+ * @param {string} phone
+ * @returns {string}
+ */
+function normalizePhoneDigits(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+/**
+ * Jaro-Winkler similarity of two strings, from 0 (nothing alike) to 1 (identical)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function jaroWinkler(a, b) {
+    if (a === b) return a ? 1 : 0;
+    if (!a || !b) return 0;
+
+    const reach = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+    const aMatched = new Array(a.length).fill(false);
+    const bMatched = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - reach);
+        const end = Math.min(i + reach + 1, b.length);
+        for (let j = start; j < end; j++) {
+            if (bMatched[j] || a[i] !== b[j]) continue;
+            aMatched[i] = bMatched[j] = true;
+            matches++;
+            break;
+        }
+    }
+    if (matches === 0) return 0;
+
+    // Matching characters that appear in a different order
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!aMatched[i]) continue;
+        while (!bMatched[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    // Boost strings sharing a prefix of up to four characters
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+class MemberImporter {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    // ===== READING FILES =====
+
+    /**
+     * Read a CSV or .xlsx file into a heading row and data rows
+     * @param {File} file - File chosen in the import wizard
+     * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>}
+     */
+    async readFile(file) {
+        const name = (file.name || '').toLowerCase();
+        let rows;
+
+        if (name.endsWith('.csv') || file.type === 'text/csv') {
+            rows = parseCsv(await file.text());
+        } else if (name.endsWith('.xlsx')) {
+            rows = await this.readXlsx(await file.arrayBuffer());
+        } else {
+            throw new Error('Please choose a .csv or .xlsx file (older .xls workbooks can be saved as .xlsx from Excel)');
+        }
+
+        if (rows.length < 2) throw new Error('The file needs a heading row and at least one member');
+        if (rows.length - 1 > MEMBER_IMPORT_CONFIG.maxRows) {
+            throw new Error(`The file has ${rows.length - 1} rows; please import at most ${MEMBER_IMPORT_CONFIG.maxRows} at a time`);
+        }
+
+        return {
+            headers: rows[0].map(heading => String(heading).trim()),
+            rows: rows.slice(1)
+        };
+    }
+
+    /**
+     * List the files inside a zip archive (an .xlsx workbook is a zip of XML files)
+     * @param {ArrayBuffer} buffer
+     * @returns {Object} - { path: { method, offset, size } }
+     */
+    readZipEntries(buffer) {
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder();
+
+        // The end-of-central-directory record sits in the last 64KB
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('The file is not a valid .xlsx workbook');
+
+        const entries = {};
+        let position = view.getUint32(end + 16, true);
+        const count = view.getUint16(end + 10, true);
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(position, true) !== 0x02014b50) break;
+
+            const nameLength = view.getUint16(position + 28, true);
+            const path = decoder.decode(new Uint8Array(buffer, position + 46, nameLength));
+            const localHeader = view.getUint32(position + 42, true);
+            const localLength = 30 + view.getUint16(localHeader + 26, true) + view.getUint16(localHeader + 28, true);
+
+            entries[path] = {
+                method: view.getUint16(position + 10, true),
+                offset: localHeader + localLength,
+                size: view.getUint32(position + 20, true)
+            };
+            position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Extract one text file from a zip archive
+     * @param {ArrayBuffer} buffer
+     * @param {Object} entries - From readZipEntries()
+     * @param {string} path
+     * @returns {Promise<string|null>} - File contents, or null if the archive doesn't have it
+     */
+    async readZipText(buffer, entries, path) {
+        const entry = entries[path];
+        if (!entry) return null;
+
+        const bytes = new Uint8Array(buffer, entry.offset, entry.size);
+        if (entry.method === 0) return new TextDecoder().decode(bytes);
+        if (entry.method !== 8) throw new Error('The workbook uses a compression method that cannot be read');
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+
+    /**
+     * Turn XML character references back into text
+     * @param {string} text
+     * @returns {string}
+     */
+    decodeXml(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return String(text).replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, ref) => {
+            if (ref[0] !== '#') return named[ref.toLowerCase()];
+            return String.fromCodePoint(ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10));
+        });
+    }
+
+    /**
+     * Join the text runs of a shared or inline string
+     * @param {string} xml - Contents of an <si> or <is> element
+     * @returns {string}
+     */
+    readXmlText(xml) {
+        return [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => this.decodeXml(m[1])).join('');
+    }
+
+    /**
+     * Read the first worksheet of an .xlsx workbook into rows of cells
+     * @param {ArrayBuffer} buffer
+     * @returns {Promise<Array<Array<string>>>}
+     */
+    async readXlsx(buffer) {
+        const entries = this.readZipEntries(buffer);
+
+        // The first sheet listed in the workbook, found through the workbook relationships
+        let sheetPath = 'xl/worksheets/sheet1.xml';
+        const workbook = await this.readZipText(buffer, entries, 'xl/workbook.xml');
+        const relations = await this.readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels');
+        const firstSheet = workbook && workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+        if (firstSheet && relations) {
+            const relation = [...relations.matchAll(/<Relationship\b[^>]*>/g)]
+                .map(m => m[0])
+                .find(tag => tag.includes(`Id="${firstSheet[1]}"`));
+            const target = relation && relation.match(/Target="([^"]+)"/);
+            if (target) sheetPath = target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+        }
+
+        const sheet = await this.readZipText(buffer, entries, sheetPath);
+        if (!sheet) throw new Error('The workbook has no worksheet to import');
+
+        const sharedXml = await this.readZipText(buffer, entries, 'xl/sharedStrings.xml') || '';
+        const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => this.readXmlText(m[1]));
+
+        const rows = [...sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)].map(rowMatch => {
+            const cells = [];
+            let next = 0;
+
+            for (const cell of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const attributes = cell[1];
+                const content = cell[2] || '';
+                const reference = attributes.match(/\br="([A-Z]+)\d+"/);
+                const type = (attributes.match(/\bt="([^"]+)"/) || [])[1];
+                const index = reference
+                    ? reference[1].split('').reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0) - 1
+                    : next;
+                const raw = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+                let value = '';
+                if (type === 's') value = shared[Number(raw)] || '';
+                else if (type === 'inlineStr') value = this.readXmlText(content);
+                else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+                else if (raw !== undefined) value = this.decodeXml(raw);
+
+                cells[index] = value;
+                next = index + 1;
+            }
+
+            return Array.from(cells, value => value || '');
+        });
+
+        return rows.filter(row => row.some(value => value.trim() !== ''));
+    }
+
+    // ===== COLUMN MAPPING =====
+
+    /**
+     * Guess which column fills each member field from the column headings
+     * @param {Array<string>} headers
+     * @returns {Object} - { field: column index }
+     */
+    guessMapping(headers) {
+        const mapping = {};
+        const used = new Set();
+
+        Object.entries(MEMBER_IMPORT_CONFIG.fields).forEach(([field, config]) => {
+            const index = headers.findIndex((heading, i) =>
+                !used.has(i) && config.aliases.includes(normalizeHeading(heading)));
+            if (index >= 0) {
+                mapping[field] = index;
+                used.add(index);
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Check a mapping has what every member needs
+     * @param {Object} mapping - { field: column index }
+     */
+    checkMapping(mapping) {
+        const problems = [];
+        if (mapping.email === undefined) problems.push('Choose the column holding email addresses');
+        if (mapping.full_name === undefined && (mapping.first_name === undefined || mapping.last_name === undefined)) {
+            problems.push('Choose a full name column, or both first and last name columns');
+        }
+        if (problems.length > 0) throw new Error(problems.join('; '));
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Read a yes/no cell
+     * @param {string} value
+     * @param {boolean|null} fallback - Used when the cell is empty
+     * @returns {boolean|null} - null when the cell isn't a yes/no answer
+     */
+    parseBoolean(value, fallback) {
+        const text = String(value || '').trim().toLowerCase();
+        if (!text) return fallback;
+        if (['yes', 'y', 'true', '1', 'x', 'on'].includes(text)) return true;
+        if (['no', 'n', 'false', '0', 'off'].includes(text)) return false;
+        return null;
+    }
+
+    /**
+     * Read a date cell written as YYYY-MM-DD, M/D/YYYY or an Excel date number
+     * @param {string} value
+     * @returns {string|null} - YYYY-MM-DD, or null when it isn't a date
+     */
+    parseDate(value) {
+        const text = String(value || '').trim();
+        let date = null;
+
+        if (/^\d{4}-\d{1,2}-\d{1,2}/.test(text)) {
+            const [year, month, day] = text.slice(0, 10).split('-').map(Number);
+            date = new Date(Date.UTC(year, month - 1, day));
+            if (date.getUTCMonth() !== month - 1) return null;
+        } else if (/^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(text)) {
+            const [month, day, year] = text.split('/').map(Number);
+            date = new Date(Date.UTC(year < 100 ? 2000 + year : year, month - 1, day));
+            if (date.getUTCMonth() !== month - 1) return null;
+        } else if (/^\d{4,5}(\.\d+)?$/.test(text)) {
+            // Excel counts days from 30 December 1899
+            date = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * 86400000);
+        }
+
+        return date && !isNaN(date) ? date.toISOString().split('T')[0] : null;
+    }
+
+    /**
+     * Match a membership type cell against the types and names on the Club Settings page
+     * @param {string} value
+     * @returns {string|null}
+     */
+    parseMembershipType(value) {
+        const text = String(value || '').trim().toLowerCase();
+        const pricing = getMembershipPricing();
+        if (!text) return 'individual';
+        return Object.keys(pricing).find(type =>
+            type === text || pricing[type].name.toLowerCase() === text || pricing[type].label.toLowerCase() === text) || null;
+    }
+
+    /**
+     * Build a member record from one row of the file
+     * Every problem is reported at once so the row can be fixed in one go
+     * @param {Array<string>} cells
+     * @param {Object} mapping - { field: column index }
+     * @returns {{fields: Object, errors: Array<string>}}
+     */
+    normalizeRow(cells, mapping) {
+        const cell = field => mapping[field] === undefined ? '' : String(cells[mapping[field]] || '').trim();
+        const errors = [];
+        const fields = {};
+
+        // A full name column fills whichever name parts have no column of their own
+        let firstName = cell('first_name');
+        let lastName = cell('last_name');
+        const fullName = cell('full_name');
+        if (fullName && (!firstName || !lastName)) {
+            const parts = fullName.includes(',')
+                ? fullName.split(',').map(p => p.trim()).reverse()        // "Doe, John"
+                : [fullName.split(/\s+/).slice(0, -1).join(' '), fullName.split(/\s+/).slice(-1)[0]];
+            firstName = firstName || parts[0];
+            lastName = lastName || parts[1];
+        }
+        fields.first_name = sanitizeInput(firstName || '', 100);
+        fields.last_name = sanitizeInput(lastName || '', 100);
+        if (!fields.first_name || !fields.last_name) errors.push('First and last name are required');
+
+        fields.email = cell('email').toLowerCase();
+        if (!fields.email) errors.push('Email address is required');
+        else if (!isValidEmail(fields.email)) errors.push(`"${fields.email}" is not a valid email address`);
+
+        fields.phone = sanitizeInput(cell('phone'), 30) || null;
+
+        fields.membership_type = this.parseMembershipType(cell('membership_type'));
+        if (!fields.membership_type) errors.push(`Unknown membership type "${cell('membership_type')}"`);
+
+        fields.status = cell('status').toLowerCase() || MEMBER_IMPORT_CONFIG.defaultStatus;
+        if (!MEMBER_IMPORT_CONFIG.statuses.includes(fields.status)) errors.push(`Unknown status "${cell('status')}"`);
+
+        MEMBER_IMPORT_CONFIG.dateFields.forEach(field => {
+            if (!cell(field)) return;
+            fields[field] = this.parseDate(cell(field));
+            if (!fields[field]) errors.push(`${MEMBER_IMPORT_CONFIG.fields[field].label} "${cell(field)}" is not a date`);
+        });
+
+        fields.model_year = cell('model_year') || null;
+        if (fields.model_year && !/^\d{4}$/.test(fields.model_year)) {
+            errors.push(`Model year "${fields.model_year}" should be four digits, e.g. 1929`);
+        }
+        fields.body_style = sanitizeInput(cell('body_style'), 100) || null;
+
+        fields.model_a_owned = this.parseBoolean(cell('model_a_owned'), !!fields.model_year);
+        if (fields.model_a_owned === null) errors.push(`Owns a Model A should be Yes or No, not "${cell('model_a_owned')}"`);
+
+        const experience = cell('experience_level').toLowerCase();
+        fields.experience_level = experience || null;
+        if (experience && !MEMBER_IMPORT_CONFIG.experienceLevels.includes(experience)) {
+            errors.push(`Experience level should be one of ${MEMBER_IMPORT_CONFIG.experienceLevels.join(', ')}`);
+        }
+
+        fields.interests = sanitizeInput(cell('interests')) || null;
+        fields.how_heard = sanitizeInput(cell('how_heard'), 100) || null;
+
+        // Nobody is signed up to the newsletter without saying so
+        fields.newsletter_signup = this.parseBoolean(cell('newsletter_signup'), false);
+        if (fields.newsletter_signup === null) errors.push(`Newsletter should be Yes or No, not "${cell('newsletter_signup')}"`);
+
+        return { fields, errors };
+    }
+
+    // ===== DUPLICATE DETECTION =====
+
+    /**
+     * Compare two people's details
+     * @param {Object} a - Member record or imported fields
+     * @param {Object} b - Member record or imported fields
+     * @returns {{reasons: Array<string>, strong: boolean}|null} - null when they don't look alike
+     */
+    compareMembers(a, b) {
+        const reasons = [];
+
+        if (a.email && b.email && a.email.trim().toLowerCase() === b.email.trim().toLowerCase()) {
+            reasons.push('email');
+        }
+
+        const phoneA = normalizePhoneDigits(a.phone);
+        if (phoneA.length >= MEMBER_IMPORT_CONFIG.minPhoneDigits && phoneA === normalizePhoneDigits(b.phone)) {
+            reasons.push('phone');
+        }
+
+        const nameA = normalizePersonName(`${a.first_name || ''} ${a.last_name || ''}`);
+        const nameB = normalizePersonName(`${b.first_name || ''} ${b.last_name || ''}`);
+        const swappedB = normalizePersonName(`${b.last_name || ''} ${b.first_name || ''}`);
+        if (nameA && Math.max(jaroWinkler(nameA, nameB), jaroWinkler(nameA, swappedB)) >= MEMBER_IMPORT_CONFIG.nameSimilarity) {
+            reasons.push('name');
+        }
+
+        if (reasons.length === 0) return null;
+        return { reasons, strong: reasons.includes('email') || (reasons.includes('phone') && reasons.includes('name')) };
+    }
+
+    /**
+     * Find existing members who may be the same person
+     * @param {Object} record - Member record or imported fields
+     * @param {Array} members - Existing members
+     * @returns {Array<{member: Object, reasons: Array<string>, strong: boolean}>} - Closest first
+     */
+    findMatches(record, members) {
+        return members
+            .filter(member => String(member.id) !== String(record.id))
+            .map(member => ({ member, ...this.compareMembers(record, member) }))
+            .filter(match => match.reasons)
+            .sort((a, b) => Number(b.strong) - Number(a.strong) || b.reasons.length - a.reasons.length);
+    }
+
+    /**
+     * Find pairs of existing members who may be the same person
+     * The older record of each pair comes first, as it is usually the one to keep
+     * @param {Array} members
+     * @returns {Array<{primary: Object, duplicate: Object, reasons: Array<string>, strong: boolean}>}
+     */
+    findDuplicatePairs(members) {
+        const pairs = [];
+        const byAge = [...members].sort((a, b) =>
+            String(a.join_date || a.created_at).localeCompare(String(b.join_date || b.created_at)));
+
+        byAge.forEach((member, i) => {
+            byAge.slice(i + 1).forEach(other => {
+                const match = this.compareMembers(member, other);
+                if (match) pairs.push({ primary: member, duplicate: other, ...match });
+            });
+        });
+
+        return pairs.sort((a, b) => Number(b.strong) - Number(a.strong) || b.reasons.length - a.reasons.length);
+    }
+
+    /**
+     * Describe why two records look alike, e.g. "Same email and similar name"
+     * @param {Array<string>} reasons
+     * @returns {string}
+     */
+    describeReasons(reasons) {
+        const text = { email: 'same email', phone: 'same phone', name: 'similar name' };
+        const parts = reasons.map(reason => text[reason]);
+        const sentence = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+        return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+    }
+
+    // ===== IMPORT =====
+
+    /**
+     * Validate every row and look for duplicates without saving anything
+     * Rows that are clearly an existing member default to merging into them;
+     * possible matches are added unless an admin says otherwise
+     * @param {Object} sheet - From readFile()
+     * @param {Object} mapping - { field: column index }
+     * @param {Array|null} members - Existing members; loaded when not passed
+     * @returns {Promise<Array<{line: number, fields: Object, errors: Array<string>, matches: Array, action: string, targetId: *}>>}
+     *          action is 'create', 'merge', 'skip' or 'error'
+     */
+    async previewImport(sheet, mapping, members = null) {
+        this.checkMapping(mapping);
+        const existing = members || await repositories.members.list();
+        const seenEmails = {};
+
+        return sheet.rows.map((cells, index) => {
+            const line = index + 2;
+            const { fields, errors } = this.normalizeRow(cells, mapping);
+
+            if (fields.email && seenEmails[fields.email]) {
+                errors.push(`Same email address as line ${seenEmails[fields.email]}`);
+            } else if (fields.email) {
+                seenEmails[fields.email] = line;
+            }
+
+            const matches = errors.length === 0 ? this.findMatches(fields, existing) : [];
+            const best = matches[0];
+
+            return {
+                line,
+                fields,
+                errors,
+                matches,
+                action: errors.length > 0 ? 'error' : (best && best.strong ? 'merge' : 'create'),
+                targetId: best && best.strong ? best.member.id : null
+            };
+        });
+    }
+
+    /**
+     * Fields from an imported row that would fill gaps in an existing record
+     * Values already on the record are never overwritten by an import
+     * @param {Object} member - Existing record
+     * @param {Object} fields - Imported fields
+     * @returns {Object}
+     */
+    getFillableFields(member, fields) {
+        const isBlank = value => value === null || value === undefined || value === '';
+        const changes = {};
+
+        Object.entries(fields).forEach(([field, value]) => {
+            if (!isBlank(value) && isBlank(member[field])) changes[field] = value;
+        });
+
+        // An imported car means the member owns a Model A
+        if (fields.model_a_owned && !member.model_a_owned) changes.model_a_owned = true;
+
+        return changes;
+    }
+
+    /**
+     * Save the previewed rows as chosen in the wizard
+     * @param {Array} rows - Rows returned by previewImport()
+     * @returns {Promise<{created: Array, merged: Array, skipped: number, failed: Array<{line: number, error: string}>}>}
+     *          created holds new member records and merged holds { before, after } pairs
+     */
+    async importRows(rows) {
+        const summary = { created: [], merged: [], skipped: 0, failed: [] };
+
+        for (const row of rows) {
+            if (row.action === 'error' || row.action === 'skip') {
+                summary.skipped++;
+                continue;
+            }
+
+            try {
+                if (row.action === 'merge') {
+                    const member = await repositories.members.get(row.targetId);
+                    const changes = this.getFillableFields(member, row.fields);
+                    const saved = Object.keys(changes).length > 0
+                        ? await repositories.members.update(member.id, changes)
+                        : member;
+                    summary.merged.push({ before: member, after: saved, line: row.line });
+                } else {
+                    const fields = { ...row.fields };
+                    Object.keys(fields).forEach(field => { if (fields[field] === null) delete fields[field]; });
+                    summary.created.push(await repositories.members.create(fields));
+                }
+            } catch (error) {
+                const message = error.code === '23505'
+                    ? 'A member with this email address already exists'
+                    : error.message;
+                summary.failed.push({ line: row.line, error: message });
+            }
+        }
+
+        return summary;
+    }
+
+    // ===== MERGING =====
+
+    /**
+     * Choose which record each merged field comes from by default:
+     * the primary's value unless it is blank, the earlier join date,
+     * the later renewal date and the more established status
+     * @param {Object} primary - Record being kept
+     * @param {Object} duplicate - Record being merged into it
+     * @returns {Object} - { field: 'primary' | 'duplicate' }
+     */
+    getDefaultChoices(primary, duplicate) {
+        const isBlank = value => value === null || value === undefined || value === '';
+        const choices = {};
+
+        MEMBER_IMPORT_CONFIG.mergeFields.forEach(field => {
+            choices[field] = isBlank(primary[field]) && !isBlank(duplicate[field]) ? 'duplicate' : 'primary';
+        });
+
+        if (duplicate.join_date && primary.join_date && duplicate.join_date < primary.join_date) {
+            choices.join_date = 'duplicate';
+        }
+        if (duplicate.renewal_date && (!primary.renewal_date || duplicate.renewal_date > primary.renewal_date)) {
+            choices.renewal_date = 'duplicate';
+        }
+
+        const rank = status => {
+            const index = MEMBER_IMPORT_CONFIG.statusRank.indexOf(status);
+            return index < 0 ? MEMBER_IMPORT_CONFIG.statusRank.length : index;
+        };
+        choices.status = rank(duplicate.status) < rank(primary.status) ? 'duplicate' : 'primary';
+        choices.model_a_owned = !primary.model_a_owned && duplicate.model_a_owned ? 'duplicate' : 'primary';
+
+        return choices;
+    }
+
+    /**
+     * Delete the rows of a linked table that would leave the kept member with two
+     * of something they may only have one of, e.g. two RSVPs for the same event date
+     * @param {Object} link - Entry of MEMBER_IMPORT_CONFIG.linkedTables with oneEach
+     * @param {number|string} fromId - Member being merged away
+     * @param {number|string} toId - Member being kept
+     * @returns {Promise<Array>} - Rows deleted
+     */
+    async removeClashingRecords(link, fromId, toId) {
+        const client = this.getClient();
+        const { data, error } = await client
+            .from(link.table)
+            .select('*')
+            .in('member_id', [fromId, toId]);
+
+        if (error) throw error;
+
+        const rank = row => {
+            const index = link.keepOrder.indexOf(row.status);
+            return index < 0 ? link.keepOrder.length : index;
+        };
+        const keyOf = row => link.oneEach.map(column => String(row[column] ?? '')).join('|');
+        const rows = data || [];
+        const removed = [];
+
+        rows.filter(row => String(row.member_id) === String(fromId)).forEach(row => {
+            const kept = rows.find(other => String(other.member_id) === String(toId) && keyOf(other) === keyOf(row));
+            if (!kept) return;
+            const loser = rank(row) < rank(kept) ? kept : row;
+            if (!removed.includes(loser)) removed.push(loser);
+        });
+
+        if (removed.length > 0) {
+            const { error: deleteError } = await client
+                .from(link.table)
+                .delete()
+                .in('id', removed.map(row => row.id));
+
+            if (deleteError) throw deleteError;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Move a member's linked records to another member
+     * @param {number|string} fromId - Member being merged away
+     * @param {number|string} toId - Member being kept
+     * @returns {Promise<Object>} - { table: rows moved, "<table>_removed": clashing rows deleted }
+     */
+    async moveLinkedRecords(fromId, toId) {
+        const moved = {};
+
+        for (const link of MEMBER_IMPORT_CONFIG.linkedTables) {
+            if (link.oneEach) {
+                const removed = await this.removeClashingRecords(link, fromId, toId);
+                if (removed.length > 0) moved[`${link.table}_removed`] = removed.length;
+
+                // A person holding two confirmed seats gives one back
+                if (link.table === 'event_rsvps' && typeof eventRSVP !== 'undefined') {
+                    const freed = removed.filter(row => row.status === 'confirmed');
+                    for (const row of freed) {
+                        try {
+                            await eventRSVP.promoteFromWaitlist(row.event_id, row.occurrence_date || null);
+                        } catch (promoteError) {
+                            console.warn(`Merged, but the waitlist for event ${row.event_id} was not moved up:`, promoteError);
+                        }
+                    }
+                }
+            }
+
+            const { data, error } = await this.getClient()
+                .from(link.table)
+                .update({ member_id: toId })
+                .eq('member_id', fromId)
+                .select('id');
+
+            if (error) throw error;
+            moved[link.table] = (data || []).length;
+        }
+
+        return moved;
+    }
+
+    /**
+     * Remove a member's linked records before the member is purged for good
+     * RSVPs, gallery photos and newsletter subscriptions are kept without the
+     * member_id, since the attendee, the photo and the email address still stand
+     * on their own; everything else is deleted, classified photos included
+     * @param {number|string} memberId
+     * @returns {Promise<Object>} - { table: rows deleted or detached }
+     */
+    async removeLinkedRecords(memberId) {
+        const client = this.getClient();
+        const removed = {};
+
+        for (const link of MEMBER_IMPORT_CONFIG.linkedTables) {
+            let query;
+            if (link.detachOnPurge) {
+                query = client.from(link.table).update({ member_id: null });
+            } else if (link.table === 'classifieds' && typeof classifieds !== 'undefined') {
+                // Listings go through their module so their photos leave storage too
+                const { data: listings, error } = await client.from(link.table).select('*').eq('member_id', memberId);
+                if (error) throw error;
+                for (const listing of listings || []) await classifieds.deleteListing(listing);
+                removed[link.table] = (listings || []).length;
+                continue;
+            } else {
+                query = client.from(link.table).delete();
+            }
+
+            const { data, error } = await query.eq('member_id', memberId).select('id');
+
+            if (error) throw error;
+            removed[link.table] = (data || []).length;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Merge a duplicate record into the primary one
+     * The history row is written first, so both records survive even if a later step fails
+     * @param {Object} primary - Record being kept
+     * @param {Object} duplicate - Record being merged into it and deleted
+     * @param {Object} choices - { field: 'primary' | 'duplicate' }, see getDefaultChoices()
+     * @returns {Promise<{member: Object, merge: Object}>} - The updated primary and the history row
+     */
+    async mergeMembers(primary, duplicate, choices = {}) {
+        if (String(primary.id) === String(duplicate.id)) throw new Error('Choose two different members to merge');
+
+        const selected = { ...this.getDefaultChoices(primary, duplicate), ...choices };
+        const changes = {};
+        MEMBER_IMPORT_CONFIG.mergeFields.forEach(field => {
+            if (selected[field] === 'duplicate' && duplicate[field] !== primary[field]) {
+                changes[field] = duplicate[field] === undefined ? null : duplicate[field];
+            }
+        });
+
+        const user = adminSession.getCurrentUser();
+        const client = this.getClient();
+
+        const { data: merge, error } = await client
+            .from(MEMBER_IMPORT_CONFIG.mergesTable)
+            .insert([{
+                member_id: primary.id,
+                merged_member_id: duplicate.id,
+                primary_before: primary,
+                merged_record: duplicate,
+                fields_from_merged: Object.keys(changes),
+                moved_records: {},
+                merged_by: user ? user.full_name || user.username : null,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const moved = await this.moveLinkedRecords(duplicate.id, primary.id);
+
+        // Delete the duplicate before updating the primary, which may take its email address
+        await repositories.members.remove(duplicate.id);
+        const member = Object.keys(changes).length > 0
+            ? await repositories.members.update(primary.id, changes)
+            : primary;
+
+        const { error: historyError } = await client
+            .from(MEMBER_IMPORT_CONFIG.mergesTable)
+            .update({ moved_records: moved })
+            .eq('id', merge.id);
+
+        if (historyError) console.warn('Merged, but the moved record counts were not saved:', historyError);
+
+        return { member, merge: { ...merge, moved_records: moved } };
+    }
+
+    /**
+     * Load the records that have been merged into a member, newest first
+     * @param {number|string} memberId
+     * @returns {Promise<Array>} - member_merges rows
+     */
+    async fetchMergeHistory(memberId) {
+        const { data, error } = await this.getClient()
+            .from(MEMBER_IMPORT_CONFIG.mergesTable)
+            .select('*')
+            .eq('member_id', memberId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+// Shared instance used by the admin members page
+const memberImport = new MemberImporter();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MemberImporter, MEMBER_IMPORT_CONFIG, jaroWinkler, normalizePhoneDigits };
+}
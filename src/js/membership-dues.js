@@ -0,0 +1,281 @@
+/**
+ * Membership Dues
+ * Records annual dues payments, works out when each membership expires and
+ * lapses memberships that stay unpaid past the grace period.
+ *
+ * USAGE:
+ * 1. Include this script after config.js
+ * 2. Use the global `membershipDues` instance, e.g.
+ *    - membershipDues.getExpiryDate(member)
+ *    - membershipDues.getRenewalState(member)   -> 'current' | 'expiring' | 'grace' | 'lapsed' | null
+ *    - await membershipDues.recordPayment(member, { amount, paid_date, method, notes })
+ *    - await membershipDues.lapseOverdueMembers(members)
+ *
+ * DATABASE TABLE (member_dues):
+ * - id, member_id, amount, period_start, period_end, paid_date
+ * - method: one of DUES_CONFIG.paymentMethods
+ * - notes, recorded_by, created_at
+ *
+ * MEMBERS COLUMNS:
+ * - renewal_date (date): when the current paid period ends; set on each payment
+ * - status gains 'lapsed' for members who did not renew within the grace period
+ *
+ * LAPSING:
+ * Admin pages call lapseOverdueMembers() when they load the member list, but
+ * only for roles with members.manage. Each member lapsed is written to the
+ * audit log on pages that load audit-log.js.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, payments and member changes are kept in the
+ * local backend in data-store.js (include it after config.js).
+ */
+
+/**
+ * Configuration object for dues and renewals
+ */
+const DUES_CONFIG = {
+    tableName: 'member_dues',                   // Supabase table holding payments
+    periodMonths: 12,                           // Length of a paid membership period
+    gracePeriodDays: 30,                        // Days after expiry before a member lapses
+    expiringWindowDays: 30,                     // "Expiring soon" window for renewals due
+    paymentMethods: {
+        cash: 'Cash',
+        check: 'Check',
+        card: 'Card',
+        online: 'Online',
+        other: 'Other'
+    }
+};
+
+class MembershipDuesManager {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    // ===== EXPIRY CALCULATIONS =====
+
+    /**
+     * Add whole months to a date without changing the original
+     * @param {Date|string} date - Starting date
+     * @param {number} months - Months to add
+     * @returns {Date}
+     */
+    addMonths(date, months) {
+        const result = new Date(date);
+        result.setMonth(result.getMonth() + months);
+        return result;
+    }
+
+    /**
+     * Convert a date to a YYYY-MM-DD string for date columns
+     * @param {Date} date - Date to convert
+     * @returns {string}
+     */
+    toDateString(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Work out when a membership expires
+     * Uses renewal_date when dues have been recorded, otherwise one period after joining
+     * @param {Object} member - members row
+     * @returns {Date|null}
+     */
+    getExpiryDate(member) {
+        if (member.renewal_date) return new Date(member.renewal_date);
+
+        const joined = member.join_date || member.created_at;
+        return joined ? this.addMonths(joined, DUES_CONFIG.periodMonths) : null;
+    }
+
+    /**
+     * Whole days from today until a membership expires (negative once expired)
+     * @param {Object} member - members row
+     * @returns {number|null}
+     */
+    getDaysUntilExpiry(member) {
+        const expiry = this.getExpiryDate(member);
+        if (!expiry) return null;
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return Math.round((expiry - today) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Classify where a member is in the renewal cycle
+     * Only active and lapsed members have a renewal state
+     * @param {Object} member - members row
+     * @returns {string|null} - 'current', 'expiring', 'grace', 'lapsed' or null
+     */
+    getRenewalState(member) {
+        if (member.status === 'lapsed') return 'lapsed';
+        if (member.status !== 'active') return null;
+
+        const days = this.getDaysUntilExpiry(member);
+        if (days === null) return null;
+        if (days < -DUES_CONFIG.gracePeriodDays) return 'lapsed';
+        if (days < 0) return 'grace';
+        if (days <= DUES_CONFIG.expiringWindowDays) return 'expiring';
+        return 'current';
+    }
+
+    /**
+     * Members who need to renew: expiring soon, in the grace period or lapsed
+     * @param {Array} members - members rows
+     * @returns {Array} - Matching members, earliest expiry first
+     */
+    getRenewalsDue(members) {
+        return members
+            .filter(m => ['expiring', 'grace', 'lapsed'].includes(this.getRenewalState(m)))
+            .sort((a, b) => this.getExpiryDate(a) - this.getExpiryDate(b));
+    }
+
+    /**
+     * Count active members whose membership expires within the next window
+     * @param {Array} members - members rows
+     * @param {number} days - Window length in days
+     * @returns {number}
+     */
+    countExpiringWithin(members, days = DUES_CONFIG.expiringWindowDays) {
+        return members.filter(m => {
+            if (m.status !== 'active') return false;
+            const remaining = this.getDaysUntilExpiry(m);
+            return remaining !== null && remaining >= 0 && remaining <= days;
+        }).length;
+    }
+
+    // ===== PAYMENTS =====
+
+    /**
+     * Fetch the payment history for a member, newest first
+     * @param {number|string} memberId - ID of the member
+     * @returns {Promise<Array>} - Payment records
+     */
+    async fetchDues(memberId) {
+        const { data, error } = await this.getClient()
+            .from(DUES_CONFIG.tableName)
+            .select('*')
+            .eq('member_id', memberId)
+            .order('paid_date', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Record a dues payment and extend the membership
+     * A renewal paid before the member lapses (including in the grace period) continues
+     * from the current expiry date so the anniversary is kept;
+     * otherwise the new period starts on the payment date.
+     * @param {Object} member - members row
+     * @param {Object} payment - { amount, paid_date, method, notes, recorded_by }
+     * @returns {Promise<{payment: Object, member: Object}>} - Stored payment and updated member fields
+     */
+    async recordPayment(member, payment) {
+        const amount = parseFloat(payment.amount);
+        if (isNaN(amount) || amount < 0) throw new Error('Please enter a valid amount');
+        if (!DUES_CONFIG.paymentMethods[payment.method]) throw new Error('Please choose a payment method');
+        if (!payment.paid_date) throw new Error('Please enter the date paid');
+
+        const paidDate = new Date(payment.paid_date);
+        const currentExpiry = this.getExpiryDate(member);
+        const continues = ['current', 'expiring', 'grace'].includes(this.getRenewalState(member));
+        const periodStart = continues ? currentExpiry : paidDate;
+        const periodEnd = this.addMonths(periodStart, DUES_CONFIG.periodMonths);
+
+        const record = {
+            member_id: member.id,
+            amount: amount,
+            period_start: this.toDateString(periodStart),
+            period_end: this.toDateString(periodEnd),
+            paid_date: this.toDateString(paidDate),
+            method: payment.method,
+            notes: payment.notes ? sanitizeInput(payment.notes) : null,
+            recorded_by: payment.recorded_by || null
+        };
+
+        // Paying brings a lapsed member back to active
+        const memberUpdate = {
+            renewal_date: record.period_end,
+            status: ['active', 'lapsed'].includes(member.status) ? 'active' : member.status
+        };
+
+        const client = this.getClient();
+
+        const { data, error } = await client
+            .from(DUES_CONFIG.tableName)
+            .insert([record])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const { error: memberError } = await client
+            .from('members')
+            .update(memberUpdate)
+            .eq('id', member.id);
+
+        if (memberError) throw memberError;
+
+        return { payment: data, member: memberUpdate };
+    }
+
+    // ===== STATUS UPKEEP =====
+
+    /**
+     * Mark active members as lapsed once they are past the grace period
+     * Updates the passed-in rows so callers can redisplay them without reloading
+     * @param {Array} members - members rows
+     * @returns {Promise<Array>} - Members that were lapsed
+     */
+    async lapseOverdueMembers(members) {
+        const overdue = members.filter(m => m.status === 'active' && this.getRenewalState(m) === 'lapsed');
+        if (overdue.length === 0) return [];
+
+        const { error } = await this.getClient()
+            .from('members')
+            .update({ status: 'lapsed' })
+            .in('id', overdue.map(m => m.id));
+
+        if (error) throw error;
+
+        for (const member of overdue) {
+            member.status = 'lapsed';
+            console.log(`Membership lapsed: ${member.first_name} ${member.last_name}`);
+
+            if (typeof auditLog === 'undefined') continue;
+            await auditLog.record({
+                action: 'status',
+                entity_type: 'member',
+                entity_id: member.id,
+                summary: `${member.first_name} ${member.last_name} (not renewed within the grace period)`,
+                before: { status: 'active' },
+                after: { status: 'lapsed' }
+            });
+        }
+
+        return overdue;
+    }
+}
+
+// Shared instance used by admin and member pages
+const membershipDues = new MembershipDuesManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MembershipDuesManager, DUES_CONFIG };
+}
@@ -0,0 +1,681 @@
+/**
+ * Newsletter
+ * Subscribers with double opt-in, issues composed from club news and upcoming
+ * events, and a send queue that delivers each issue through mailSender.
+ *
+ * USAGE:
+ * 1. Include this script after config.js, data-store.js, mail-sender.js, markdown.js,
+ *    club-news.js and event-calendar.js
+ * 2. Use the global `newsletter` instance, e.g.
+ *    - await newsletter.subscribe({ email, name })       -> sends a confirmation link
+ *    - await newsletter.confirm(token) / await newsletter.unsubscribe(token)
+ *    - await newsletter.saveIssue({ subject, intro, news_ids, event_ids }, 'admin')
+ *    - await newsletter.queueIssue(issue)                 -> one queue row per subscriber
+ *    - await newsletter.processQueue(issueId, { onProgress })
+ *    - await newsletter.getSentIssues()                   -> public archive
+ * 3. Delivery uses whatever transport mailSender has; for tests under Node.js use
+ *    `mailSender.setTransport(createFileTransport('./test-outbox'), { from })`
+ *    (see mail-sender.js and scripts/send-test-emails.js)
+ *
+ * DATABASE TABLES:
+ * newsletter_subscribers
+ * - id, email, name, member_id (null for non-members)
+ * - status: 'pending' (waiting for the confirmation link) | 'subscribed' | 'unsubscribed'
+ * - confirm_token, unsubscribe_token, created_at, confirmed_at, unsubscribed_at
+ * newsletter_issues
+ * - id, subject, intro, news_ids (int[]), event_ids (int[])
+ * - html, text: rendered copy, with {{unsubscribe_url}} filled in per recipient
+ * - status: 'draft' | 'sending' | 'sent'
+ * - recipient_count, created_by, created_at, updated_at, sent_at
+ * newsletter_queue
+ * - id, issue_id, subscriber_id, email, unsubscribe_token
+ * - status: 'queued' | 'sent' | 'failed', attempts, error, sent_at
+ *
+ * Active members who ticked the newsletter box on their application or profile
+ * are subscribed automatically when an issue is queued (their membership was
+ * already confirmed by an officer). Unsubscribing also clears that box.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, subscribers, issues and the queue are kept in
+ * the local backend in data-store.js, with subscribers and issues seeded from
+ * generateDemoData(). Members always come from repositories.members, so demo
+ * changes to members count.
+ */
+
+/**
+ * Configuration object for the newsletter
+ */
+const NEWSLETTER_CONFIG = {
+    subscribersTable: 'newsletter_subscribers',
+    issuesTable: 'newsletter_issues',
+    queueTable: 'newsletter_queue',
+    pagePath: '../pages/newsletter.html',       // Newsletter page, relative to admin/ and pages/
+    unsubscribePlaceholder: '{{unsubscribe_url}}',
+    maxAttempts: 3,                             // Deliveries to try before giving up on a recipient
+    newsLimit: 10                               // Recent articles offered in the composer
+};
+
+class NewsletterManager {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    /**
+     * Random token for confirmation and unsubscribe links
+     * @returns {string} - 32 hex characters
+     */
+    generateToken() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(16)))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Absolute link to the newsletter page
+     * @param {Object} params - Query parameters, e.g. { unsubscribe: token }
+     * @returns {string}
+     */
+    getPageUrl(params = {}) {
+        const url = new URL(NEWSLETTER_CONFIG.pagePath, window.location.href);
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+        return url.toString();
+    }
+
+    // ===== SUBSCRIBERS =====
+
+    /**
+     * Fetch subscribers, newest first
+     * @param {Object} filters - { status }
+     * @returns {Promise<Array>}
+     */
+    async fetchSubscribers(filters = {}) {
+        let query = this.getClient()
+            .from(NEWSLETTER_CONFIG.subscribersTable)
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (filters.status) query = query.eq('status', filters.status);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Find one subscriber by a column value
+     * @param {string} column - 'email', 'confirm_token' or 'unsubscribe_token'
+     * @param {string} value - Value to match
+     * @returns {Promise<Object|null>}
+     */
+    async findSubscriber(column, value) {
+        const { data, error } = await this.getClient()
+            .from(NEWSLETTER_CONFIG.subscribersTable)
+            .select('*')
+            .eq(column, value)
+            .limit(1);
+
+        if (error) throw error;
+        return (data && data[0]) || null;
+    }
+
+    /**
+     * Insert or update a subscriber row
+     * @param {Object} subscriber - Row with id to update, or without to insert
+     * @returns {Promise<Object>} - Stored row
+     */
+    async saveSubscriber(subscriber) {
+        const client = this.getClient();
+        const { id, ...fields } = subscriber;
+        const query = id
+            ? client.from(NEWSLETTER_CONFIG.subscribersTable).update(fields).eq('id', id)
+            : client.from(NEWSLETTER_CONFIG.subscribersTable).insert([fields]);
+
+        const { data, error } = await query.select().single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Start a subscription and email the confirmation link
+     * Someone already subscribed gets no email, but the same answer, so the form
+     * does not reveal who is on the list
+     * @param {Object} details - { email, name }
+     * @returns {Promise<Object>} - The subscriber row
+     */
+    async subscribe(details) {
+        const email = sanitizeInput(details.email || '').toLowerCase();
+        if (!isValidEmail(email)) throw new Error('Please enter a valid email address');
+
+        const existing = await this.findSubscriber('email', email);
+        if (existing && existing.status === 'subscribed') return existing;
+
+        const subscriber = await this.saveSubscriber({
+            ...(existing ? { id: existing.id } : { created_at: new Date().toISOString(), member_id: null }),
+            email: email,
+            name: sanitizeInput(details.name || '').slice(0, 100) || (existing && existing.name) || null,
+            status: 'pending',
+            confirm_token: this.generateToken(),
+            unsubscribe_token: (existing && existing.unsubscribe_token) || this.generateToken(),
+            confirmed_at: null,
+            unsubscribed_at: null
+        });
+
+        const confirmUrl = this.getPageUrl({ confirm: subscriber.confirm_token });
+        await mailSender.send({
+            to: email,
+            subject: `Please confirm your ${CONFIG.SITE_NAME} newsletter subscription`,
+            text: `Hello${subscriber.name ? ` ${subscriber.name}` : ''},\n\n` +
+                  `Please confirm that you would like to receive the ${CONFIG.SITE_NAME} newsletter:\n${confirmUrl}\n\n` +
+                  'If you did not ask to subscribe, you can ignore this email and you will not hear from us again.',
+            html: `<p>Hello${subscriber.name ? ` ${escapeHtml(subscriber.name)}` : ''},</p>` +
+                  `<p>Please confirm that you would like to receive the ${escapeHtml(CONFIG.SITE_NAME)} newsletter:</p>` +
+                  `<p><a href="${escapeHtml(confirmUrl)}">Confirm my subscription</a></p>` +
+                  '<p>If you did not ask to subscribe, you can ignore this email and you will not hear from us again.</p>'
+        });
+
+        return subscriber;
+    }
+
+    /**
+     * Complete a subscription from the confirmation link
+     * @param {string} token - confirm_token from the link
+     * @returns {Promise<Object>} - The confirmed subscriber
+     */
+    async confirm(token) {
+        const subscriber = token ? await this.findSubscriber('confirm_token', token) : null;
+        if (!subscriber || subscriber.status !== 'pending') {
+            throw new Error('This confirmation link is invalid or has already been used');
+        }
+
+        return this.saveSubscriber({
+            id: subscriber.id,
+            status: 'subscribed',
+            confirm_token: null,
+            confirmed_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Unsubscribe from the link at the bottom of every issue
+     * Members also have the newsletter box on their profile cleared
+     * @param {string} token - unsubscribe_token from the link
+     * @returns {Promise<Object>} - The unsubscribed subscriber
+     */
+    async unsubscribe(token) {
+        const subscriber = token ? await this.findSubscriber('unsubscribe_token', token) : null;
+        if (!subscriber) throw new Error('This unsubscribe link is not valid');
+
+        const updated = await this.saveSubscriber({
+            id: subscriber.id,
+            status: 'unsubscribed',
+            unsubscribed_at: new Date().toISOString()
+        });
+
+        if (subscriber.member_id) {
+            try {
+                await repositories.members.update(subscriber.member_id, { newsletter_signup: false });
+            } catch (error) {
+                console.warn('Subscriber removed but member profile was not updated:', error);
+            }
+        }
+
+        return updated;
+    }
+
+    /**
+     * Delete a subscriber outright
+     * @param {number|string} subscriberId - ID of the subscriber
+     */
+    async deleteSubscriber(subscriberId) {
+        const { error } = await this.getClient()
+            .from(NEWSLETTER_CONFIG.subscribersTable)
+            .delete()
+            .eq('id', subscriberId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Bring member subscriptions in line with the newsletter box on their profiles
+     * @returns {Promise<{added: number, updated: number}>}
+     */
+    async syncMemberSubscribers() {
+        const members = await repositories.members.list({
+            columns: 'id, first_name, last_name, email, status, newsletter_signup'
+        });
+        const subscribers = await this.fetchSubscribers();
+        const result = { added: 0, updated: 0 };
+
+        for (const member of members) {
+            if (!member.email) continue;
+
+            const wanted = member.status === 'active' && member.newsletter_signup !== false;
+            const email = member.email.toLowerCase();
+            const existing = subscribers.find(s =>
+                String(s.member_id) === String(member.id) || s.email === email);
+
+            if (wanted && !existing) {
+                const now = new Date().toISOString();
+                await this.saveSubscriber({
+                    email: email,
+                    name: `${member.first_name} ${member.last_name}`,
+                    member_id: member.id,
+                    status: 'subscribed',
+                    confirm_token: null,
+                    unsubscribe_token: this.generateToken(),
+                    created_at: now,
+                    confirmed_at: now
+                });
+                result.added += 1;
+            } else if (existing && existing.member_id && wanted !== (existing.status === 'subscribed')) {
+                await this.saveSubscriber({
+                    id: existing.id,
+                    status: wanted ? 'subscribed' : 'unsubscribed',
+                    ...(wanted ? { confirmed_at: new Date().toISOString() } : { unsubscribed_at: new Date().toISOString() })
+                });
+                result.updated += 1;
+            } else if (existing && !existing.member_id && wanted) {
+                // A member who subscribed before joining
+                await this.saveSubscriber({ id: existing.id, member_id: member.id });
+            }
+        }
+
+        return result;
+    }
+
+    // ===== COMPOSER CONTENT =====
+
+    /**
+     * Recently published club news articles the composer can include
+     * @returns {Promise<Array>}
+     */
+    async fetchRecentNews() {
+        return clubNews.getPublishedArticles(NEWSLETTER_CONFIG.newsLimit);
+    }
+
+    /**
+     * Upcoming events the composer can include, soonest first
+     * Repeating events are listed once, at their next date
+     * @returns {Promise<Array>}
+     */
+    async fetchUpcomingEvents() {
+        return eventCalendar.getUpcomingOccurrences({ onePerSeries: true });
+    }
+
+    // ===== RENDERING =====
+
+    /**
+     * Render an issue as email-friendly HTML and plain text
+     * Both contain NEWSLETTER_CONFIG.unsubscribePlaceholder, replaced per recipient
+     * @param {Object} issue - { subject, intro }
+     * @param {Array} articles - club_news rows to include, in order
+     * @param {Array} events - events rows to include, in order
+     * @returns {{html: string, text: string}}
+     */
+    renderIssue(issue, articles, events) {
+        const placeholder = NEWSLETTER_CONFIG.unsubscribePlaceholder;
+        const clubName = CONFIG.CLUB_INFO.name || CONFIG.SITE_NAME;
+        const paragraphs = text => escapeHtml(text).split(/\n{2,}/).map(p => p.replace(/\n/g, '<br>'));
+        // Email clients ignore stylesheets, so rendered articles get inline styles
+        const articleBody = content => markdown.render(content)
+            .replace(/<p>/g, '<p style="margin: 0 0 12px;">')
+            .replace(/<img /g, '<img style="max-width: 100%; height: auto;" ');
+        const eventWhen = event => `${formatDate(event.event_date)}${event.event_time ? `, ${formatTime(event.event_time)}` : ''}`;
+
+        const section = (title, body) => `
+            <tr><td style="padding: 24px 32px 8px; font-family: Georgia, serif; font-size: 20px; color: #2c3e50; border-top: 1px solid #e0e6ed;">${title}</td></tr>
+            <tr><td style="padding: 0 32px 16px;">${body}</td></tr>`;
+
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(issue.subject)}</title></head>
+<body style="margin: 0; padding: 0; background: #f4f4f4;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background: #f4f4f4;">
+        <tr><td align="center" style="padding: 24px 12px;">
+            <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; background: #ffffff; font-family: Arial, sans-serif; font-size: 15px; line-height: 1.5; color: #333333;">
+                <tr><td style="padding: 24px 32px; background: #2c3e50; color: #ffffff; font-family: Georgia, serif;">
+                    <div style="font-size: 14px; letter-spacing: 1px; text-transform: uppercase;">${escapeHtml(clubName)}</div>
+                    <div style="font-size: 26px; margin-top: 4px;">${escapeHtml(issue.subject)}</div>
+                </td></tr>
+                ${issue.intro ? `<tr><td style="padding: 24px 32px 8px;">${paragraphs(issue.intro).map(p => `<p style="margin: 0 0 12px;">${p}</p>`).join('')}</td></tr>` : ''}
+                ${articles.length > 0 ? section('Club News', articles.map(article => `
+                    <h3 style="margin: 16px 0 4px; font-size: 17px; color: #2c3e50;">${escapeHtml(article.title)}</h3>
+                    <div style="font-size: 13px; color: #7f8c8d; margin-bottom: 8px;">${formatDate(article.publish_date)}${article.author ? ` &middot; ${escapeHtml(article.author)}` : ''}</div>
+                    ${articleBody(article.content)}`).join('')) : ''}
+                ${events.length > 0 ? section('Coming Up', events.map(event => `
+                    <h3 style="margin: 16px 0 4px; font-size: 17px; color: #2c3e50;">${escapeHtml(event.title)}</h3>
+                    <div style="font-size: 13px; color: #7f8c8d; margin-bottom: 8px;">${eventWhen(event)}${event.location ? ` &middot; ${escapeHtml(event.location)}` : ''}</div>
+                    ${event.description ? `<p style="margin: 0 0 12px;">${escapeHtml(event.description)}</p>` : ''}`).join('')) : ''}
+                <tr><td style="padding: 24px 32px; background: #f8f9fa; font-size: 12px; color: #7f8c8d;">
+                    You are receiving this because you subscribed to the ${escapeHtml(clubName)} newsletter.<br>
+                    <a href="${placeholder}" style="color: #3498db;">Unsubscribe</a> &middot; ${escapeHtml(CONFIG.CLUB_INFO.contactEmail)}
+                </td></tr>
+            </table>
+        </td></tr>
+    </table>
+</body>
+</html>`;
+
+        const lines = [clubName.toUpperCase(), issue.subject, '='.repeat(issue.subject.length), ''];
+        if (issue.intro) lines.push(issue.intro, '');
+
+        if (articles.length > 0) {
+            lines.push('CLUB NEWS', '---------', '');
+            articles.forEach(article => {
+                lines.push(article.title, `${formatDate(article.publish_date)}${article.author ? ` - ${article.author}` : ''}`, '', markdown.toPlainText(article.content, true), '');
+            });
+        }
+
+        if (events.length > 0) {
+            lines.push('COMING UP', '---------', '');
+            events.forEach(event => {
+                lines.push(event.title, `${eventWhen(event)}${event.location ? ` - ${event.location}` : ''}`);
+                if (event.description) lines.push(event.description);
+                lines.push('');
+            });
+        }
+
+        lines.push('--', `You are receiving this because you subscribed to the ${clubName} newsletter.`, `Unsubscribe: ${placeholder}`);
+
+        return { html: html, text: lines.join('\n') };
+    }
+
+    /**
+     * Fill in the per-recipient parts of a rendered issue
+     * @param {string} content - Rendered HTML or text
+     * @param {string} unsubscribeUrl - Link for this recipient
+     * @returns {string}
+     */
+    personalize(content, unsubscribeUrl) {
+        return (content || '').split(NEWSLETTER_CONFIG.unsubscribePlaceholder).join(unsubscribeUrl);
+    }
+
+    // ===== ISSUES =====
+
+    /**
+     * Fetch issues, newest first
+     * @param {Object} filters - { status }
+     * @returns {Promise<Array>}
+     */
+    async fetchIssues(filters = {}) {
+        let query = this.getClient()
+            .from(NEWSLETTER_CONFIG.issuesTable)
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (filters.status) query = query.eq('status', filters.status);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return this.renderSeededIssues(data || []);
+    }
+
+    /**
+     * Fill in the copy of demo issues, which only name their articles and events
+     * Issues saved through saveIssue() are already rendered and pass through unchanged
+     * @param {Array} issues - Issue records
+     * @returns {Promise<Array>}
+     */
+    async renderSeededIssues(issues) {
+        if (issues.every(issue => issue.html)) return issues;
+
+        const [news, events] = await Promise.all([repositories.news.list(), repositories.events.list()]);
+
+        return issues.map(issue => issue.html ? issue : {
+            ...issue,
+            ...this.renderIssue(
+                issue,
+                news.filter(a => (issue.news_ids || []).map(String).includes(String(a.id))),
+                events.filter(e => (issue.event_ids || []).map(String).includes(String(e.id)))
+            )
+        });
+    }
+
+    /**
+     * Issues that have gone out, for the public archive
+     * @returns {Promise<Array>}
+     */
+    async getSentIssues() {
+        const issues = await this.fetchIssues({ status: 'sent' });
+        return issues.sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at));
+    }
+
+    /**
+     * Update fields on an issue
+     * @param {number|string} issueId - ID of the issue
+     * @param {Object} changes - Columns to update
+     */
+    async updateIssue(issueId, changes) {
+        const { error } = await this.getClient()
+            .from(NEWSLETTER_CONFIG.issuesTable)
+            .update(changes)
+            .eq('id', issueId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Create or update a draft issue, rendering it from the chosen news and events
+     * @param {Object} details - { id, subject, intro, news_ids, event_ids }
+     * @param {string} author - Username of the admin composing it
+     * @returns {Promise<Object>} - Stored issue
+     */
+    async saveIssue(details, author = null) {
+        const subject = sanitizeInput(details.subject || '').slice(0, 150);
+        if (!subject) throw new Error('Please give the issue a subject line');
+
+        const newsIds = (details.news_ids || []).map(String);
+        const eventIds = (details.event_ids || []).map(String);
+        if (newsIds.length === 0 && eventIds.length === 0 && !details.intro) {
+            throw new Error('Please add an introduction or choose at least one article or event');
+        }
+
+        const [news, events] = await Promise.all([this.fetchRecentNews(), this.fetchUpcomingEvents()]);
+        const articles = news.filter(a => newsIds.includes(String(a.id)));
+        const chosenEvents = events.filter(e => eventIds.includes(String(e.id)));
+
+        const fields = {
+            subject: subject,
+            intro: String(details.intro || '').trim() || null,
+            news_ids: articles.map(a => a.id),
+            event_ids: chosenEvents.map(e => e.id),
+            ...this.renderIssue({ subject: subject, intro: details.intro }, articles, chosenEvents),
+            updated_at: new Date().toISOString()
+        };
+
+        if (details.id) {
+            const existing = (await this.fetchIssues()).find(i => String(i.id) === String(details.id));
+            if (!existing) throw new Error('Issue not found');
+            if (existing.status !== 'draft') throw new Error('Only draft issues can be edited');
+
+            await this.updateIssue(details.id, fields);
+            return { ...existing, ...fields };
+        }
+
+        const record = {
+            ...fields,
+            status: 'draft',
+            recipient_count: 0,
+            created_by: author,
+            created_at: fields.updated_at,
+            sent_at: null
+        };
+
+        const { data, error } = await this.getClient()
+            .from(NEWSLETTER_CONFIG.issuesTable)
+            .insert([record])
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Delete a draft issue
+     * @param {Object} issue - Issue record
+     */
+    async deleteIssue(issue) {
+        if (issue.status !== 'draft') throw new Error('Issues that have been sent stay in the archive');
+
+        const { error } = await this.getClient()
+            .from(NEWSLETTER_CONFIG.issuesTable)
+            .delete()
+            .eq('id', issue.id);
+
+        if (error) throw error;
+    }
+
+    // ===== SEND QUEUE =====
+
+    /**
+     * Queue a draft issue for every current subscriber
+     * @param {Object} issue - Draft issue record
+     * @returns {Promise<number>} - Number of recipients queued
+     */
+    async queueIssue(issue) {
+        if (issue.status !== 'draft') throw new Error('This issue has already been sent');
+
+        await this.syncMemberSubscribers();
+        const subscribers = await this.fetchSubscribers({ status: 'subscribed' });
+        if (subscribers.length === 0) throw new Error('There are no confirmed subscribers to send to');
+
+        const rows = subscribers.map(subscriber => ({
+            issue_id: issue.id,
+            subscriber_id: subscriber.id,
+            email: subscriber.email,
+            unsubscribe_token: subscriber.unsubscribe_token,
+            status: 'queued',
+            attempts: 0,
+            error: null,
+            sent_at: null
+        }));
+
+        const { error } = await this.getClient()
+            .from(NEWSLETTER_CONFIG.queueTable)
+            .insert(rows);
+
+        if (error) throw error;
+
+        await this.updateIssue(issue.id, { status: 'sending', recipient_count: rows.length });
+        issue.status = 'sending';
+        issue.recipient_count = rows.length;
+        return rows.length;
+    }
+
+    /**
+     * Queue rows for an issue
+     * @param {number|string} issueId - ID of the issue
+     * @returns {Promise<Array>}
+     */
+    async fetchQueue(issueId) {
+        const { data, error } = await this.getClient()
+            .from(NEWSLETTER_CONFIG.queueTable)
+            .select('*')
+            .eq('issue_id', issueId);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Update a queue row
+     * @param {number|string} rowId - ID of the queue row
+     * @param {Object} changes - Columns to update
+     */
+    async updateQueueRow(rowId, changes) {
+        const { error } = await this.getClient()
+            .from(NEWSLETTER_CONFIG.queueTable)
+            .update(changes)
+            .eq('id', rowId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Count queue rows by outcome
+     * @param {Array} rows - Queue rows of one issue
+     * @returns {{sent: number, failed: number, waiting: number}}
+     */
+    summarizeQueue(rows) {
+        const retryable = row => row.status === 'queued' ||
+            (row.status === 'failed' && row.attempts < NEWSLETTER_CONFIG.maxAttempts);
+
+        return {
+            sent: rows.filter(r => r.status === 'sent').length,
+            failed: rows.filter(r => r.status === 'failed').length,
+            waiting: rows.filter(retryable).length
+        };
+    }
+
+    /**
+     * Deliver queued (and retryable failed) messages for an issue, one at a time
+     * The issue is marked sent once nothing is left to try. Safe to call again
+     * after an interruption; rows already sent are skipped.
+     * @param {number|string} issueId - ID of the issue
+     * @param {Object} options - { onProgress(done, total) }
+     * @returns {Promise<{sent: number, failed: number, waiting: number}>}
+     */
+    async processQueue(issueId, options = {}) {
+        const issue = (await this.fetchIssues()).find(i => String(i.id) === String(issueId));
+        if (!issue) throw new Error('Issue not found');
+
+        const rows = await this.fetchQueue(issueId);
+        const pending = rows.filter(row => row.status === 'queued' ||
+            (row.status === 'failed' && row.attempts < NEWSLETTER_CONFIG.maxAttempts));
+
+        for (const [index, row] of pending.entries()) {
+            const unsubscribeUrl = this.getPageUrl({ unsubscribe: row.unsubscribe_token });
+            let changes;
+
+            try {
+                await mailSender.send({
+                    to: row.email,
+                    subject: issue.subject,
+                    text: this.personalize(issue.text, unsubscribeUrl),
+                    html: this.personalize(issue.html, unsubscribeUrl)
+                });
+                changes = { status: 'sent', attempts: row.attempts + 1, error: null, sent_at: new Date().toISOString() };
+            } catch (error) {
+                console.error(`Newsletter delivery to ${row.email} failed:`, error);
+                changes = { status: 'failed', attempts: row.attempts + 1, error: error.message };
+            }
+
+            await this.updateQueueRow(row.id, changes);
+            Object.assign(row, changes);
+
+            if (options.onProgress) options.onProgress(index + 1, pending.length);
+        }
+
+        const summary = this.summarizeQueue(rows);
+        if (summary.waiting === 0 && issue.status !== 'sent') {
+            await this.updateIssue(issue.id, { status: 'sent', sent_at: new Date().toISOString() });
+        }
+
+        return summary;
+    }
+}
+
+// Shared instance used by public and admin pages
+const newsletter = new NewsletterManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NewsletterManager, NEWSLETTER_CONFIG };
+}
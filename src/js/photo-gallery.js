@@ -0,0 +1,234 @@
+/**
+ * Photo Gallery Manager
+ * Gallery photos, the member upload moderation queue and per-event albums
+ *
+ * USAGE:
+ * 1. Include this script after config.js and photo-storage.js
+ * 2. Use the global `photoGallery` instance, e.g.
+ *    - await photoGallery.submitPhoto(file, { title, event_id, ... })   (member upload, pending)
+ *    - await photoGallery.getApprovedPhotos()
+ *    - await photoGallery.getAlbums()
+ *    - await photoGallery.setStatus(photoId, 'approved')
+ *
+ * DATABASE TABLE (photos):
+ * - id, title, description
+ * - image_url, thumbnail_url, storage_path, thumbnail_path
+ * - event_id (nullable): the event album the photo belongs to
+ * - status: 'pending' | 'approved' | 'rejected'
+ * - is_featured (boolean)
+ * - member_id (nullable), submitter_name, submitter_email
+ * - upload_date, reviewed_by, reviewed_at
+ *
+ * Only approved photos are shown on the public site.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, photo records are kept in the local backend
+ * in data-store.js (include it after config.js) and images go to photoStorage's
+ * local stand-in.
+ */
+
+/**
+ * Configuration object for the gallery
+ */
+const GALLERY_CONFIG = {
+    tableName: 'photos',                        // Supabase table holding photo records
+    statuses: ['pending', 'approved', 'rejected'],
+    homepageLimit: 8                            // Photos shown on the home page
+};
+
+class PhotoGalleryManager {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Fetch photos, optionally limited to a status and/or event album
+     * @param {Object} filters - { status, eventId, limit }
+     * @returns {Promise<Array>} - Photo records, featured first then newest
+     */
+    async fetchPhotos(filters = {}) {
+        let query = this.getClient()
+            .from(GALLERY_CONFIG.tableName)
+            .select('*')
+            .order('is_featured', { ascending: false })
+            .order('upload_date', { ascending: false });
+
+        if (filters.status) query = query.eq('status', filters.status);
+        if (filters.eventId) query = query.eq('event_id', filters.eventId);
+        if (filters.limit) query = query.limit(filters.limit);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Photos visible on the public site
+     * @param {number} limit - Maximum number of photos
+     * @returns {Promise<Array>}
+     */
+    async getApprovedPhotos(limit = null) {
+        return this.fetchPhotos({ status: 'approved', limit: limit });
+    }
+
+    /**
+     * Group approved photos into one album per event
+     * Photos without an event form a "Club Life" album
+     * @param {Array} events - Event records used to name albums
+     * @returns {Promise<Array<{eventId: *, title: string, date: string|null, photos: Array}>>} - Newest event first
+     */
+    async getAlbums(events = []) {
+        const photos = await this.getApprovedPhotos();
+        const albums = new Map();
+
+        photos.forEach(photo => {
+            const key = photo.event_id ? String(photo.event_id) : '';
+            if (!albums.has(key)) {
+                const event = events.find(e => String(e.id) === key);
+                albums.set(key, {
+                    eventId: photo.event_id || null,
+                    title: event ? event.title : (photo.event_id ? 'Club Event' : 'Club Life'),
+                    date: event ? event.event_date : null,
+                    photos: []
+                });
+            }
+            albums.get(key).photos.push(photo);
+        });
+
+        return Array.from(albums.values())
+            .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+    }
+
+    // ===== UPLOADS =====
+
+    /**
+     * Upload a photo and create its gallery record
+     * @param {File} file - Image chosen by the user
+     * @param {Object} details - { title, description, event_id, member_id, submitter_name, submitter_email }
+     * @param {Object} options - { approve: true to publish immediately (admin uploads), reviewer }
+     * @returns {Promise<Object>} - Stored photo record
+     */
+    async submitPhoto(file, details, options = {}) {
+        const title = sanitizeInput(details.title || '');
+        if (!title) throw new Error('Please give the photo a title');
+
+        const folder = details.event_id ? `events/${details.event_id}` : 'uploads';
+        const stored = await photoStorage.upload(file, folder);
+        const now = new Date().toISOString();
+
+        const record = {
+            title: title,
+            description: sanitizeInput(details.description || '') || null,
+            ...stored,
+            event_id: details.event_id || null,
+            status: options.approve ? 'approved' : 'pending',
+            is_featured: false,
+            member_id: details.member_id || null,
+            submitter_name: details.submitter_name || null,
+            submitter_email: details.submitter_email || null,
+            upload_date: now,
+            reviewed_by: options.approve ? (options.reviewer || null) : null,
+            reviewed_at: options.approve ? now : null
+        };
+
+        try {
+            const { data, error } = await this.getClient()
+                .from(GALLERY_CONFIG.tableName)
+                .insert([record])
+                .select()
+                .single();
+
+            if (error) throw error;
+            return data;
+
+        } catch (error) {
+            // The record could not be saved, so don't keep the files
+            await photoStorage.remove([stored.storage_path, stored.thumbnail_path]).catch(() => {});
+            throw error;
+        }
+    }
+
+    // ===== MODERATION =====
+
+    /**
+     * Update fields on a photo record
+     * @param {number|string} photoId - ID of the photo
+     * @param {Object} changes - Columns to update
+     */
+    async updatePhoto(photoId, changes) {
+        const { error } = await this.getClient()
+            .from(GALLERY_CONFIG.tableName)
+            .update(changes)
+            .eq('id', photoId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Approve or reject a photo in the moderation queue
+     * Rejected photos are never featured
+     * @param {number|string} photoId - ID of the photo
+     * @param {string} status - 'approved' | 'rejected' | 'pending'
+     * @param {string} reviewer - Username of the admin making the decision
+     */
+    async setStatus(photoId, status, reviewer = null) {
+        if (!GALLERY_CONFIG.statuses.includes(status)) throw new Error(`Unknown photo status: ${status}`);
+
+        const changes = { status: status, reviewed_by: reviewer, reviewed_at: new Date().toISOString() };
+        if (status !== 'approved') changes.is_featured = false;
+
+        await this.updatePhoto(photoId, changes);
+    }
+
+    /**
+     * Feature or unfeature an approved photo (featured photos are shown first)
+     * @param {number|string} photoId - ID of the photo
+     * @param {boolean} featured - New featured state
+     */
+    async setFeatured(photoId, featured) {
+        await this.updatePhoto(photoId, { is_featured: !!featured });
+    }
+
+    /**
+     * Delete a photo record and its stored files
+     * @param {Object} photo - Photo record
+     */
+    async deletePhoto(photo) {
+        const { error } = await this.getClient()
+            .from(GALLERY_CONFIG.tableName)
+            .delete()
+            .eq('id', photo.id);
+
+        if (error) throw error;
+
+        try {
+            await photoStorage.remove([photo.storage_path, photo.thumbnail_path]);
+        } catch (error) {
+            console.warn('Photo record deleted but its files could not be removed:', error);
+        }
+    }
+}
+
+// Shared instance used by public and admin pages
+const photoGallery = new PhotoGalleryManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhotoGalleryManager, GALLERY_CONFIG };
+}
@@ -0,0 +1,246 @@
+/**
+ * Photo Storage
+ * Prepares uploaded images in the browser (resized copy plus thumbnail) and
+ * stores them through a pluggable storage adapter.
+ *
+ * USAGE:
+ * 1. Include this script after config.js and data-store.js
+ * 2. Store an image with `await photoStorage.upload(file)`; the result has
+ *    image_url, thumbnail_url, storage_path and thumbnail_path
+ * 3. Delete with `await photoStorage.remove([storage_path, thumbnail_path])`
+ * 4. To store images elsewhere, register a custom adapter:
+ *    `photoStorage.setAdapter({ put: async (path, blob) => url, remove: async (paths) => {} })`
+ *
+ * ADAPTERS:
+ * - Supabase Storage (default when the data client is Supabase): public bucket
+ *   PHOTO_STORAGE_CONFIG.bucket
+ * - Local stand-in (demo mode): images kept as data URLs in localStorage.
+ *   Browsers allow only a few MB here, so this is for trying the flow, not for real use.
+ */
+
+/**
+ * Configuration object for image processing and storage
+ */
+const PHOTO_STORAGE_CONFIG = {
+    bucket: 'gallery',                              // Supabase Storage bucket
+    localStorageKey: 'carClub_demoPhotoFiles',      // localStorage key for the local stand-in
+    acceptedTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+    maxUploadBytes: 15 * 1024 * 1024,               // Largest original file accepted
+    maxDimension: 1600,                             // Long edge of the stored image
+    thumbnailDimension: 400,                        // Long edge of the thumbnail
+    jpegQuality: 0.85                               // Quality for re-encoded images
+};
+
+// ===== IMAGE PROCESSING =====
+
+/**
+ * Load an image file into an <img> element
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('That file could not be read as an image'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Draw an image scaled down to fit a maximum dimension and encode it as JPEG
+ * Images already smaller than the limit keep their size
+ * @param {HTMLImageElement} image - Loaded image
+ * @param {number} maxDimension - Longest allowed edge in pixels
+ * @returns {Promise<Blob>}
+ */
+function resizeImage(image, maxDimension) {
+    const scale = Math.min(maxDimension / Math.max(image.naturalWidth, image.naturalHeight), 1);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';  // Transparent PNGs would otherwise turn black as JPEG
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            blob => blob ? resolve(blob) : reject(new Error('Image could not be processed')),
+            'image/jpeg',
+            PHOTO_STORAGE_CONFIG.jpegQuality
+        );
+    });
+}
+
+/**
+ * Check an uploaded file before processing it
+ * @param {File} file - File chosen by the user
+ */
+function validateImageFile(file) {
+    if (!file) throw new Error('Please choose a photo to upload');
+    if (!PHOTO_STORAGE_CONFIG.acceptedTypes.includes(file.type)) {
+        throw new Error('Please upload a JPEG, PNG, WebP or GIF image');
+    }
+    if (file.size > PHOTO_STORAGE_CONFIG.maxUploadBytes) {
+        throw new Error(`Photos must be smaller than ${Math.round(PHOTO_STORAGE_CONFIG.maxUploadBytes / (1024 * 1024))} MB`);
+    }
+}
+
+// ===== ADAPTERS =====
+
+/**
+ * Storage adapter for a public Supabase Storage bucket
+ * @param {Object} client - Supabase client
+ * @returns {{put: Function, remove: Function}}
+ */
+function createSupabaseStorageAdapter(client) {
+    const bucket = () => client.storage.from(PHOTO_STORAGE_CONFIG.bucket);
+
+    return {
+        async put(path, blob) {
+            const { error } = await bucket().upload(path, blob, { contentType: blob.type, upsert: false });
+            if (error) throw error;
+            return bucket().getPublicUrl(path).data.publicUrl;
+        },
+
+        async remove(paths) {
+            const { error } = await bucket().remove(paths);
+            if (error) throw error;
+        }
+    };
+}
+
+/**
+ * Local stand-in adapter that keeps images as data URLs in localStorage
+ * @returns {{put: Function, remove: Function}}
+ */
+function createLocalStorageAdapter() {
+    const readFiles = () => {
+        try {
+            return JSON.parse(localStorage.getItem(PHOTO_STORAGE_CONFIG.localStorageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    };
+
+    const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+
+    return {
+        async put(path, blob) {
+            const files = readFiles();
+            files[path] = await blobToDataUrl(blob);
+
+            try {
+                localStorage.setItem(PHOTO_STORAGE_CONFIG.localStorageKey, JSON.stringify(files));
+            } catch (error) {
+                throw new Error('Local photo storage is full. Delete some demo photos or configure Supabase Storage.');
+            }
+            return files[path];
+        },
+
+        async remove(paths) {
+            const files = readFiles();
+            paths.forEach(path => delete files[path]);
+            localStorage.setItem(PHOTO_STORAGE_CONFIG.localStorageKey, JSON.stringify(files));
+        }
+    };
+}
+
+class PhotoStorage {
+    constructor() {
+        this.adapter = null;
+    }
+
+    /**
+     * Replace the storage adapter
+     * @param {{put: Function, remove: Function}} adapter - put(path, blob) resolves to a public URL
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Pick the adapter for the current configuration
+     * @returns {{put: Function, remove: Function}}
+     */
+    getAdapter() {
+        if (!this.adapter) {
+            const client = getDataClient();
+            this.adapter = client.isLocal
+                ? createLocalStorageAdapter()
+                : createSupabaseStorageAdapter(client);
+        }
+        return this.adapter;
+    }
+
+    /**
+     * Resize an image, make its thumbnail and store both
+     * @param {File} file - Image chosen by the user
+     * @param {string} folder - Folder within storage, e.g. 'events/3' or 'uploads'
+     * @returns {Promise<{image_url: string, thumbnail_url: string, storage_path: string, thumbnail_path: string}>}
+     */
+    async upload(file, folder = 'uploads') {
+        validateImageFile(file);
+
+        const image = await loadImageFile(file);
+        const [fullBlob, thumbBlob] = await Promise.all([
+            resizeImage(image, PHOTO_STORAGE_CONFIG.maxDimension),
+            resizeImage(image, PHOTO_STORAGE_CONFIG.thumbnailDimension)
+        ]);
+
+        const baseName = `${folder}/${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const storagePath = `${baseName}.jpg`;
+        const thumbnailPath = `${baseName}-thumb.jpg`;
+
+        const adapter = this.getAdapter();
+        const imageUrl = await adapter.put(storagePath, fullBlob);
+
+        let thumbnailUrl;
+        try {
+            thumbnailUrl = await adapter.put(thumbnailPath, thumbBlob);
+        } catch (error) {
+            // Don't leave a full-size image behind without its thumbnail
+            await adapter.remove([storagePath]).catch(() => {});
+            throw error;
+        }
+
+        return {
+            image_url: imageUrl,
+            thumbnail_url: thumbnailUrl,
+            storage_path: storagePath,
+            thumbnail_path: thumbnailPath
+        };
+    }
+
+    /**
+     * Delete stored files
+     * @param {Array<string>} paths - Storage paths to delete (empty values are ignored)
+     */
+    async remove(paths) {
+        const existing = paths.filter(Boolean);
+        if (existing.length === 0) return;
+        await this.getAdapter().remove(existing);
+    }
+}
+
+// Shared instance used by pages that upload photos
+const photoStorage = new PhotoStorage();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhotoStorage, PHOTO_STORAGE_CONFIG };
+}
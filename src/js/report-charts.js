@@ -0,0 +1,237 @@
+/**
+ * Report Charts
+ * Column, line and bar charts drawn as inline SVG, so the reports page needs
+ * no charting library or CDN and the charts print as crisply as the text.
+ *
+ * USAGE:
+ * 1. Include this script after config.js
+ * 2. Each function returns an HTML string to put in a container:
+ *    - renderColumnChart({ labels, series: [{ name, values, color }], stacked, title })
+ *    - renderLineChart({ labels, series: [{ name, values, color }], title })
+ *    - renderBarList([{ label, value }], { color, title })
+ *    Series without a color take the next one from REPORT_CHARTS_CONFIG.palette.
+ *
+ * Charts scale to the width of their container (the SVG uses a viewBox), and
+ * every column, point and bar has a tooltip with its exact value.
+ */
+
+/**
+ * Configuration object for report charts
+ */
+const REPORT_CHARTS_CONFIG = {
+    width: 640,
+    height: 260,
+    padding: { top: 16, right: 16, bottom: 44, left: 44 },
+    gridLines: 4,
+    maxAxisLabels: 12,          // Longer ranges label every second, third... column
+    barHeight: 22,              // Height of one row in a bar list
+    palette: ['#8b4513', '#1565c0', '#2e7d32', '#d4af37', '#8e24aa', '#c62828', '#00838f', '#607d8b']
+};
+
+// ===== SCALES =====
+
+/**
+ * Round a maximum up to a tidy axis value (1, 2 or 5 times a power of ten),
+ * divisible into whole grid steps
+ * @param {number} value - Largest value on the chart
+ * @returns {number}
+ */
+function getNiceMaximum(value) {
+    const steps = REPORT_CHARTS_CONFIG.gridLines;
+    if (!(value > 0)) return steps;
+
+    const rawStep = value / steps;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 5, 10].map(n => n * magnitude).find(n => n >= rawStep);
+    return Math.max(Math.ceil(step) * steps, steps);
+}
+
+/**
+ * Give every series a colour
+ * @param {Array} series
+ * @returns {Array}
+ */
+function withSeriesColors(series) {
+    return series.map((s, index) => ({
+        ...s,
+        color: s.color || REPORT_CHARTS_CONFIG.palette[index % REPORT_CHARTS_CONFIG.palette.length]
+    }));
+}
+
+/**
+ * Format an axis or tooltip number without trailing decimals
+ * @param {number} value
+ * @returns {string}
+ */
+function formatChartNumber(value) {
+    return Number.isInteger(value) ? value.toLocaleString('en-US') : value.toLocaleString('en-US', { maximumFractionDigits: 1 });
+}
+
+// ===== CHART PARTS =====
+
+/**
+ * Horizontal grid lines and y-axis values
+ * @param {number} maximum - Value at the top of the chart
+ * @returns {string} - SVG markup
+ */
+function renderChartGrid(maximum) {
+    const { width, height, padding, gridLines } = REPORT_CHARTS_CONFIG;
+    const plotHeight = height - padding.top - padding.bottom;
+    let markup = '';
+
+    for (let i = 0; i <= gridLines; i++) {
+        const value = (maximum / gridLines) * i;
+        const y = padding.top + plotHeight - (plotHeight * i / gridLines);
+        markup += `<line x1="${padding.left}" y1="${y}" x2="${width - padding.right}" y2="${y}" stroke="#e5e1dc" stroke-width="1"/>`;
+        markup += `<text x="${padding.left - 6}" y="${y + 4}" text-anchor="end" font-size="11" fill="#666">${formatChartNumber(value)}</text>`;
+    }
+    return markup;
+}
+
+/**
+ * Category labels under the chart, thinned out when there are many
+ * @param {Array<string>} labels
+ * @param {Function} xOf - Centre x position of label i
+ * @returns {string} - SVG markup
+ */
+function renderChartAxisLabels(labels, xOf) {
+    const { height, padding, maxAxisLabels } = REPORT_CHARTS_CONFIG;
+    const every = Math.ceil(labels.length / maxAxisLabels);
+
+    return labels.map((label, i) => i % every !== 0 ? '' :
+        `<text x="${xOf(i)}" y="${height - padding.bottom + 18}" text-anchor="middle" font-size="11" fill="#666">${escapeHtml(label)}</text>`
+    ).join('');
+}
+
+/**
+ * Colour key for charts with more than one series
+ * @param {Array} series - Series with colours
+ * @returns {string} - HTML
+ */
+function renderChartLegend(series) {
+    if (series.length < 2) return '';
+    return `
+        <div class="chart-legend">
+            ${series.map(s => `<span><i style="background: ${escapeHtml(s.color)};"></i>${escapeHtml(s.name)}</span>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Wrap chart markup in a responsive SVG
+ * @param {string} body - SVG content
+ * @param {string} title - Accessible name of the chart
+ * @param {number} height - viewBox height
+ * @returns {string}
+ */
+function wrapChartSvg(body, title, height = REPORT_CHARTS_CONFIG.height) {
+    return `<svg class="report-chart" viewBox="0 0 ${REPORT_CHARTS_CONFIG.width} ${height}" role="img" aria-label="${escapeHtml(title || 'Chart')}" preserveAspectRatio="xMidYMid meet">${body}</svg>`;
+}
+
+// ===== CHARTS =====
+
+/**
+ * Column chart, one group (or stack) of columns per label
+ * @param {Object} chart - { labels, series: [{ name, values, color }], stacked, title }
+ * @returns {string} - HTML
+ */
+function renderColumnChart(chart) {
+    const { width, height, padding } = REPORT_CHARTS_CONFIG;
+    const series = withSeriesColors(chart.series);
+    const labels = chart.labels;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const totals = labels.map((_, i) => chart.stacked
+        ? series.reduce((sum, s) => sum + (s.values[i] || 0), 0)
+        : Math.max(0, ...series.map(s => s.values[i] || 0)));
+    const maximum = getNiceMaximum(Math.max(0, ...totals));
+
+    const slot = plotWidth / Math.max(labels.length, 1);
+    const groupWidth = slot * 0.7;
+    const columnWidth = chart.stacked ? groupWidth : groupWidth / Math.max(series.length, 1);
+    const xOf = i => padding.left + slot * i + slot / 2;
+    const heightOf = value => plotHeight * value / maximum;
+
+    let columns = '';
+    labels.forEach((label, i) => {
+        let stackTop = padding.top + plotHeight;
+        series.forEach((s, index) => {
+            const value = s.values[i] || 0;
+            if (value <= 0) return;
+
+            const barHeight = heightOf(value);
+            const x = chart.stacked ? xOf(i) - groupWidth / 2 : xOf(i) - groupWidth / 2 + columnWidth * index;
+            const y = chart.stacked ? stackTop - barHeight : padding.top + plotHeight - barHeight;
+            if (chart.stacked) stackTop -= barHeight;
+
+            columns += `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${columnWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${escapeHtml(s.color)}">` +
+                `<title>${escapeHtml(label)}: ${escapeHtml(s.name)} ${formatChartNumber(value)}</title></rect>`;
+        });
+    });
+
+    return wrapChartSvg(renderChartGrid(maximum) + columns + renderChartAxisLabels(labels, xOf), chart.title) +
+        renderChartLegend(series);
+}
+
+/**
+ * Line chart, one line per series
+ * @param {Object} chart - { labels, series: [{ name, values, color }], title }
+ * @returns {string} - HTML
+ */
+function renderLineChart(chart) {
+    const { width, height, padding } = REPORT_CHARTS_CONFIG;
+    const series = withSeriesColors(chart.series);
+    const labels = chart.labels;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const maximum = getNiceMaximum(Math.max(0, ...series.flatMap(s => s.values)));
+    const xOf = i => labels.length < 2 ? padding.left + plotWidth / 2 : padding.left + plotWidth * i / (labels.length - 1);
+    const yOf = value => padding.top + plotHeight - plotHeight * value / maximum;
+
+    const lines = series.map(s => {
+        const points = s.values.map((value, i) => `${xOf(i).toFixed(1)},${yOf(value || 0).toFixed(1)}`).join(' ');
+        const dots = s.values.map((value, i) =>
+            `<circle cx="${xOf(i).toFixed(1)}" cy="${yOf(value || 0).toFixed(1)}" r="3" fill="${escapeHtml(s.color)}">` +
+            `<title>${escapeHtml(labels[i])}: ${escapeHtml(s.name)} ${formatChartNumber(value || 0)}</title></circle>`
+        ).join('');
+        return `<polyline points="${points}" fill="none" stroke="${escapeHtml(s.color)}" stroke-width="2"/>${dots}`;
+    }).join('');
+
+    return wrapChartSvg(renderChartGrid(maximum) + lines + renderChartAxisLabels(labels, xOf), chart.title) +
+        renderChartLegend(series);
+}
+
+/**
+ * Horizontal bars for a breakdown, largest first, with counts and shares
+ * @param {Array<{label: string, value: number}>} items
+ * @param {Object} options - { color, title }
+ * @returns {string} - HTML
+ */
+function renderBarList(items, options = {}) {
+    const { width, barHeight } = REPORT_CHARTS_CONFIG;
+    const color = options.color || REPORT_CHARTS_CONFIG.palette[0];
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    const largest = Math.max(1, ...items.map(item => item.value));
+    const labelWidth = 170;
+    const valueWidth = 90;
+    const barSpace = width - labelWidth - valueWidth;
+    const rowHeight = barHeight + 8;
+
+    const rows = items.map((item, i) => {
+        const y = i * rowHeight + 4;
+        const share = total ? Math.round(item.value / total * 100) : 0;
+        return `<text x="${labelWidth - 8}" y="${y + barHeight / 2 + 4}" text-anchor="end" font-size="12" fill="#333">${escapeHtml(item.label)}</text>` +
+            `<rect x="${labelWidth}" y="${y}" width="${(barSpace * item.value / largest).toFixed(1)}" height="${barHeight}" fill="${escapeHtml(color)}" rx="3">` +
+            `<title>${escapeHtml(item.label)}: ${formatChartNumber(item.value)}</title></rect>` +
+            `<text x="${width - valueWidth + 8}" y="${y + barHeight / 2 + 4}" font-size="12" fill="#666">${formatChartNumber(item.value)} (${share}%)</text>`;
+    }).join('');
+
+    return wrapChartSvg(rows, options.title, Math.max(items.length * rowHeight + 8, rowHeight));
+}
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPORT_CHARTS_CONFIG, getNiceMaximum, renderColumnChart, renderLineChart, renderBarList };
+}
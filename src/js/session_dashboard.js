@@ -1,4 +0,0 @@
-function loadPageData() {
-    loadDashboardStats();
-    loadRecentActivity();
-}
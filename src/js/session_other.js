@@ -1,3 +0,0 @@
-function loadPageData() {
-    loadEvents();
-}
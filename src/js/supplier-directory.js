@@ -0,0 +1,502 @@
+/**
+ * Supplier Directory
+ * Parts suppliers shown on the public Parts Suppliers page: validation,
+ * create/edit/delete, CSV import/export and the "club recommended" workflow.
+ *
+ * USAGE:
+ * 1. Include this script after config.js
+ * 2. Use the global `supplierDirectory` instance, e.g.
+ *    - await supplierDirectory.getPublicSuppliers()
+ *    - await supplierDirectory.saveSupplier({ name, main_website_url, ... })
+ *    - await supplierDirectory.setRecommendation(supplier, 'nominated', { note, by })
+ *    - supplierDirectory.toCsv(suppliers)
+ *    - await supplierDirectory.previewImport(csvText) then importRows(rows)
+ *
+ * DATABASE TABLE (parts_suppliers):
+ * - id, name, description, main_website_url, support_contact_url
+ * - phone, email, address
+ * - specialties (text[]), parts_categories (text[])
+ * - years_in_business, ships_internationally, accepts_returns,
+ *   warranty_offered, catalog_available (booleans)
+ * - member_discount (boolean), discount_percentage
+ * - club_recommended (boolean): read by the public page, kept in step with
+ *   recommendation_status
+ * - recommendation_status: 'none' | 'nominated' | 'recommended'
+ * - recommendation_note, nominated_by, nominated_at, recommended_by, recommended_at
+ * - is_active (boolean): inactive suppliers are hidden from the public page
+ * - created_at, updated_at
+ *
+ * RECOMMENDATION WORKFLOW:
+ * An officer nominates a supplier with a note on why; an officer with the
+ * suppliers.recommend capability approves or declines the nomination and can
+ * later withdraw the recommendation. Saving a supplier never changes its
+ * recommendation.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, suppliers are kept in the local backend in
+ * data-store.js (include it after config.js), so the public page shows admin edits.
+ */
+
+/**
+ * Configuration object for the supplier directory
+ */
+const SUPPLIER_CONFIG = {
+    tableName: 'parts_suppliers',               // Supabase table holding suppliers
+    listFields: ['specialties', 'parts_categories'],
+    booleanFields: [
+        'ships_internationally', 'accepts_returns', 'warranty_offered',
+        'catalog_available', 'member_discount', 'is_active'
+    ],
+    // Columns written by CSV export and understood by CSV import, in order
+    csvColumns: [
+        'name', 'description', 'main_website_url', 'support_contact_url',
+        'phone', 'email', 'address', 'specialties', 'parts_categories',
+        'years_in_business', 'ships_internationally', 'accepts_returns',
+        'warranty_offered', 'catalog_available', 'member_discount',
+        'discount_percentage', 'club_recommended', 'is_active'
+    ],
+    recommendationStatuses: {
+        none: 'Not recommended',
+        nominated: 'Nominated',
+        recommended: 'Club Recommended'
+    }
+};
+
+class SupplierDirectory {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Read a yes/no value from a checkbox, boolean or CSV cell
+     * @param {*} value - Raw value
+     * @returns {boolean}
+     */
+    parseBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        return ['true', 'yes', 'y', '1', 'on'].includes(String(value || '').trim().toLowerCase());
+    }
+
+    /**
+     * Read a list from an array or a comma/semicolon separated string
+     * @param {Array|string} value - Raw value
+     * @returns {Array<string>} - Lower-case, de-duplicated entries
+     */
+    parseList(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(/[;,]/);
+        return [...new Set(items
+            .map(item => sanitizeInput(String(item)).toLowerCase())
+            .filter(item => item))];
+    }
+
+    /**
+     * Check a web address, adding https:// when the scheme is missing
+     * @param {string} value - Raw URL
+     * @param {string} label - Field name for error messages
+     * @returns {string|null} - Normalized URL or null when empty
+     */
+    normalizeUrl(value, label) {
+        let url = String(value || '').trim();
+        if (!url) return null;
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) url = `https://${url}`;
+
+        try {
+            const parsed = new URL(url);
+            if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname.includes('.')) {
+                throw new Error('not a web address');
+            }
+            return parsed.href;
+        } catch (error) {
+            throw new Error(`${label} is not a valid web address`);
+        }
+    }
+
+    /**
+     * Check a phone number: digits with optional spaces, brackets, dots, dashes,
+     * a leading + and an extension
+     * @param {string} value - Raw phone number
+     * @returns {string|null} - Trimmed phone number or null when empty
+     */
+    normalizePhone(value) {
+        const phone = String(value || '').trim();
+        if (!phone) return null;
+
+        const [number] = phone.split(/\s*(?:x|ext\.?)\s*(?=\d+$)/i);
+        const digits = number.replace(/\D/g, '');
+
+        if (!/^\+?[\d\s().-]+$/.test(number) || digits.length < 7 || digits.length > 15) {
+            throw new Error('Phone number is not valid');
+        }
+        return phone;
+    }
+
+    /**
+     * Clean and check supplier fields from a form or CSV row
+     * Every problem is reported at once so a CSV row can be fixed in one go
+     * @param {Object} supplier - Raw field values
+     * @returns {Object} - Fields ready to store (recommendation fields are not included)
+     */
+    normalizeSupplier(supplier) {
+        const problems = [];
+        const check = (fn) => {
+            try {
+                return fn();
+            } catch (error) {
+                problems.push(error.message);
+                return null;
+            }
+        };
+
+        const name = sanitizeInput(supplier.name || '');
+        if (!name) problems.push('Name is required');
+
+        const email = String(supplier.email || '').trim();
+        if (email && !isValidEmail(email)) problems.push('Email address is not valid');
+
+        const years = String(supplier.years_in_business ?? '').trim();
+        if (years && !(/^\d+$/.test(years) && Number(years) <= 200)) {
+            problems.push('Years in business must be a whole number');
+        }
+
+        const memberDiscount = this.parseBoolean(supplier.member_discount);
+        const discount = String(supplier.discount_percentage ?? '').replace('%', '').trim();
+        if (memberDiscount && !(Number(discount) > 0 && Number(discount) <= 100)) {
+            problems.push('Member discount needs a percentage between 1 and 100');
+        }
+
+        const fields = {
+            name: name,
+            description: sanitizeInput(supplier.description || '') || null,
+            main_website_url: check(() => this.normalizeUrl(supplier.main_website_url, 'Website')),
+            support_contact_url: check(() => this.normalizeUrl(supplier.support_contact_url, 'Support/contact page')),
+            phone: check(() => this.normalizePhone(supplier.phone)),
+            email: email || null,
+            address: sanitizeInput(supplier.address || '') || null,
+            specialties: this.parseList(supplier.specialties),
+            parts_categories: this.parseList(supplier.parts_categories),
+            years_in_business: years ? Number(years) : null,
+            member_discount: memberDiscount,
+            discount_percentage: memberDiscount ? Number(discount) : null
+        };
+
+        SUPPLIER_CONFIG.booleanFields.forEach(field => {
+            if (field === 'member_discount') return;
+            // Suppliers are active unless a value says otherwise
+            fields[field] = field === 'is_active' && (supplier[field] === undefined || supplier[field] === '')
+                ? true
+                : this.parseBoolean(supplier[field]);
+        });
+
+        if (problems.length > 0) throw new Error(problems.join('; '));
+        return fields;
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Fetch suppliers, recommended first then by name
+     * @param {Object} options - { includeInactive: true for the admin list }
+     * @returns {Promise<Array>}
+     */
+    async fetchSuppliers(options = {}) {
+        let query = this.getClient()
+            .from(SUPPLIER_CONFIG.tableName)
+            .select('*');
+
+        if (!options.includeInactive) query = query.eq('is_active', true);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        return (data || []).sort((a, b) =>
+            (b.club_recommended ? 1 : 0) - (a.club_recommended ? 1 : 0) ||
+            a.name.localeCompare(b.name)
+        );
+    }
+
+    /**
+     * Suppliers listed on the public Parts Suppliers page
+     * @returns {Promise<Array>}
+     */
+    async getPublicSuppliers() {
+        return this.fetchSuppliers();
+    }
+
+    /**
+     * Find a supplier with the same name (names are matched case-insensitively)
+     * @param {Array} suppliers - Suppliers to search
+     * @param {string} name - Supplier name
+     * @returns {Object|undefined}
+     */
+    findByName(suppliers, name) {
+        const key = String(name || '').trim().toLowerCase();
+        return suppliers.find(s => s.name.trim().toLowerCase() === key);
+    }
+
+    // ===== SUPPLIER OPERATIONS =====
+
+    /**
+     * Add a supplier or update an existing one
+     * @param {Object} supplier - Supplier fields; include id to update
+     * @returns {Promise<Object>} - Stored supplier
+     */
+    async saveSupplier(supplier) {
+        const fields = this.normalizeSupplier(supplier);
+        const now = new Date().toISOString();
+        const client = this.getClient();
+
+        const duplicate = this.findByName(await this.fetchSuppliers({ includeInactive: true }), fields.name);
+        if (duplicate && String(duplicate.id) !== String(supplier.id || '')) {
+            throw new Error(`A supplier named "${duplicate.name}" already exists`);
+        }
+
+        const query = supplier.id
+            ? client.from(SUPPLIER_CONFIG.tableName)
+                .update({ ...fields, updated_at: now })
+                .eq('id', supplier.id)
+            : client.from(SUPPLIER_CONFIG.tableName)
+                .insert([{ ...fields, club_recommended: false, recommendation_status: 'none' }]);
+
+        const { data, error } = await query.select().single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Delete a supplier
+     * @param {number|string} supplierId - ID of the supplier
+     */
+    async deleteSupplier(supplierId) {
+        const { error } = await this.getClient()
+            .from(SUPPLIER_CONFIG.tableName)
+            .delete()
+            .eq('id', supplierId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Update fields on a supplier record without validation
+     * @param {number|string} supplierId - ID of the supplier
+     * @param {Object} changes - Columns to update
+     */
+    async updateSupplier(supplierId, changes) {
+        const update = { ...changes, updated_at: new Date().toISOString() };
+
+        const { error } = await this.getClient()
+            .from(SUPPLIER_CONFIG.tableName)
+            .update(update)
+            .eq('id', supplierId);
+
+        if (error) throw error;
+    }
+
+    // ===== RECOMMENDATION WORKFLOW =====
+
+    /**
+     * Current recommendation status, treating older rows that only have
+     * club_recommended as recommended
+     * @param {Object} supplier - Supplier record
+     * @returns {string} - 'none' | 'nominated' | 'recommended'
+     */
+    getRecommendationStatus(supplier) {
+        if (supplier.recommendation_status) return supplier.recommendation_status;
+        return supplier.club_recommended ? 'recommended' : 'none';
+    }
+
+    /**
+     * Move a supplier through the recommendation workflow
+     * - none → nominated: an officer proposes the supplier (a note is required)
+     * - nominated → recommended / none: the nomination is approved or declined
+     * - none → recommended: direct recommendation by an officer who may approve
+     * - recommended → none: the recommendation is withdrawn
+     * @param {Object} supplier - Supplier record
+     * @param {string} status - New status
+     * @param {Object} details - { note, by: username of the officer }
+     * @returns {Promise<Object>} - The changes made
+     */
+    async setRecommendation(supplier, status, details = {}) {
+        const current = this.getRecommendationStatus(supplier);
+        const allowed = {
+            none: ['nominated', 'recommended'],
+            nominated: ['recommended', 'none'],
+            recommended: ['none']
+        };
+
+        if (!(allowed[current] || []).includes(status)) {
+            throw new Error(`A ${SUPPLIER_CONFIG.recommendationStatuses[current].toLowerCase()} supplier cannot be changed to ${SUPPLIER_CONFIG.recommendationStatuses[status] || status}`);
+        }
+
+        const note = sanitizeInput(details.note || '') || null;
+        const now = new Date().toISOString();
+        const changes = { recommendation_status: status, club_recommended: status === 'recommended' };
+
+        if (status === 'nominated') {
+            if (!note) throw new Error('Please say why this supplier should be recommended');
+            Object.assign(changes, {
+                recommendation_note: note,
+                nominated_by: details.by || null,
+                nominated_at: now,
+                recommended_by: null,
+                recommended_at: null
+            });
+        } else if (status === 'recommended') {
+            Object.assign(changes, {
+                recommendation_note: note || supplier.recommendation_note || null,
+                recommended_by: details.by || null,
+                recommended_at: now
+            });
+        } else {
+            Object.assign(changes, {
+                recommendation_note: null,
+                nominated_by: null,
+                nominated_at: null,
+                recommended_by: null,
+                recommended_at: null
+            });
+        }
+
+        await this.updateSupplier(supplier.id, changes);
+        return changes;
+    }
+
+    // ===== CSV IMPORT / EXPORT =====
+
+    /**
+     * Build a CSV file of suppliers using SUPPLIER_CONFIG.csvColumns
+     * Lists are joined with semicolons and yes/no fields written as Yes/No
+     * @param {Array} suppliers - Supplier records
+     * @returns {string}
+     */
+    toCsv(suppliers) {
+        const lines = [SUPPLIER_CONFIG.csvColumns.join(',')];
+
+        suppliers.forEach(supplier => {
+            lines.push(SUPPLIER_CONFIG.csvColumns.map(column => {
+                const value = supplier[column];
+                if (SUPPLIER_CONFIG.listFields.includes(column)) return toCsvCell((value || []).join('; '));
+                if (column === 'is_active') return value === false ? 'No' : 'Yes';
+                if (column === 'club_recommended' || SUPPLIER_CONFIG.booleanFields.includes(column)) {
+                    return value ? 'Yes' : 'No';
+                }
+                return toCsvCell(value);
+            }).join(','));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Parse and validate a CSV file without saving anything
+     * Rows are matched to existing suppliers by name; an existing supplier keeps
+     * its current values for any column the file does not have
+     * @param {string} text - CSV file contents with a header row
+     * @returns {Promise<Array<{line: number, name: string, action: string, fields: Object|null, existingId: *, recommend: boolean, error: string|null}>>}
+     *          action is 'create', 'update' or 'error'
+     */
+    async previewImport(text) {
+        const rows = parseCsv(text);
+        if (rows.length < 2) throw new Error('The file has no supplier rows');
+
+        // Accept headers in any order and case, e.g. "Main Website URL"
+        const headers = rows[0].map(h => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+        if (!headers.includes('name')) throw new Error('The file needs a "name" column');
+
+        const unknown = headers.filter(h => h && !SUPPLIER_CONFIG.csvColumns.includes(h));
+        if (unknown.length > 0) {
+            console.warn('Ignoring unknown supplier CSV columns:', unknown);
+        }
+
+        const existing = await this.fetchSuppliers({ includeInactive: true });
+        const seenNames = new Set();
+
+        return rows.slice(1).map((cells, index) => {
+            const raw = {};
+            headers.forEach((header, i) => {
+                if (SUPPLIER_CONFIG.csvColumns.includes(header)) raw[header] = (cells[i] || '').trim();
+            });
+
+            const result = { line: index + 2, name: raw.name || '', action: 'error', fields: null, existingId: null, recommend: false, error: null };
+
+            try {
+                const key = String(raw.name || '').trim().toLowerCase();
+                if (key && seenNames.has(key)) throw new Error('This supplier appears more than once in the file');
+                seenNames.add(key);
+
+                const match = this.findByName(existing, sanitizeInput(raw.name || ''));
+                result.fields = this.normalizeSupplier(match ? { ...match, ...raw } : raw);
+                result.existingId = match ? match.id : null;
+                result.action = match ? 'update' : 'create';
+                result.recommend = this.parseBoolean(raw.club_recommended) &&
+                    !(match && this.getRecommendationStatus(match) === 'recommended');
+            } catch (error) {
+                result.error = error.message;
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     * Save the valid rows from previewImport()
+     * Rows marked club recommended are recommended directly when the importer may approve
+     * recommendations, otherwise they are nominated for review
+     * @param {Array} rows - Rows returned by previewImport()
+     * @param {Object} options - { by: username, canRecommend: boolean }
+     * @returns {Promise<{created: number, updated: number, failed: Array<{line: number, error: string}>}>}
+     */
+    async importRows(rows, options = {}) {
+        const summary = { created: 0, updated: 0, failed: [] };
+
+        for (const row of rows) {
+            if (row.action === 'error') continue;
+
+            try {
+                const saved = await this.saveSupplier({ ...row.fields, id: row.existingId });
+                summary[row.action === 'update' ? 'updated' : 'created']++;
+
+                if (row.recommend) {
+                    const current = row.action === 'update' ? { ...saved, id: row.existingId } : saved;
+                    const status = this.getRecommendationStatus(current);
+                    const target = options.canRecommend ? 'recommended' : 'nominated';
+
+                    if (status !== target) {
+                        await this.setRecommendation(current, target, {
+                            note: 'Marked club recommended in a CSV import',
+                            by: options.by
+                        });
+                    }
+                }
+            } catch (error) {
+                summary.failed.push({ line: row.line, error: error.message });
+            }
+        }
+
+        return summary;
+    }
+}
+
+// Shared instance used by public and admin pages
+const supplierDirectory = new SupplierDirectory();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SupplierDirectory, SUPPLIER_CONFIG };
+}
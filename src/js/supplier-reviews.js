@@ -0,0 +1,278 @@
+/**
+ * Supplier Reviews
+ * Member ratings and short reviews of parts suppliers, held for moderation
+ * before they appear on the Parts Suppliers page.
+ *
+ * USAGE:
+ * 1. Include this script after config.js and data-store.js (and member-auth.js on pages where members write reviews)
+ * 2. Use the global `supplierReviews` instance, e.g.
+ *    - await supplierReviews.submitReview(member, supplierId, { part_quality: 5, shipping_speed: 4, accuracy: 5, comment })
+ *    - await supplierReviews.getRatingSummaries()   -> { [supplierId]: { average, count, aspects } }
+ *    - await supplierReviews.getApprovedReviews(supplierId)
+ *    - await supplierReviews.setStatus(reviewId, 'approved', 'admin')
+ *
+ * DATABASE TABLE (supplier_reviews):
+ * - id, supplier_id, member_id, reviewer_name (first name and last initial)
+ * - part_quality, shipping_speed, accuracy: ratings from 1 to 5 (see REVIEW_CONFIG.aspects)
+ * - rating: average of the three aspects, used for sorting
+ * - comment
+ * - status: 'pending' | 'approved' | 'rejected'
+ * - created_at, updated_at, reviewed_by, reviewed_at
+ *
+ * Each member has at most one review per supplier. Editing it sends it back
+ * to the moderation queue. Only approved reviews count towards ratings.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, reviews are kept in the local backend in
+ * data-store.js, seeded from generateDemoData().supplierReviews.
+ */
+
+/**
+ * Configuration object for supplier reviews
+ */
+const REVIEW_CONFIG = {
+    tableName: 'supplier_reviews',                  // Supabase table holding reviews
+    aspects: {
+        part_quality: 'Part Quality',
+        shipping_speed: 'Shipping Speed',
+        accuracy: 'Accuracy to Original'
+    },
+    statuses: ['pending', 'approved', 'rejected'],
+    maxCommentLength: 1000
+};
+
+class SupplierReviewManager {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Clean and check a review from the form
+     * @param {Object} review - { part_quality, shipping_speed, accuracy, comment }
+     * @returns {Object} - Fields ready to store, including the overall rating
+     */
+    normalizeReview(review) {
+        const fields = {};
+
+        Object.entries(REVIEW_CONFIG.aspects).forEach(([aspect, label]) => {
+            const value = Number(review[aspect]);
+            if (!Number.isInteger(value) || value < 1 || value > 5) {
+                throw new Error(`Please rate ${label.toLowerCase()} from 1 to 5 stars`);
+            }
+            fields[aspect] = value;
+        });
+
+        // Check the length before sanitizeInput, which would cut the text short silently
+        if (String(review.comment || '').trim().length > REVIEW_CONFIG.maxCommentLength) {
+            throw new Error(`Reviews are limited to ${REVIEW_CONFIG.maxCommentLength} characters`);
+        }
+        const comment = sanitizeInput(review.comment || '', REVIEW_CONFIG.maxCommentLength);
+
+        fields.comment = comment || null;
+        fields.rating = this.averageOf(Object.keys(REVIEW_CONFIG.aspects).map(aspect => fields[aspect]));
+        return fields;
+    }
+
+    /**
+     * Average of numbers rounded to one decimal place
+     * @param {Array<number>} values - Values to average
+     * @returns {number|null} - null when there are no values
+     */
+    averageOf(values) {
+        if (values.length === 0) return null;
+        return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Fetch reviews, newest first
+     * @param {Object} filters - { status, supplierId, memberId }
+     * @returns {Promise<Array>}
+     */
+    async fetchReviews(filters = {}) {
+        let query = this.getClient()
+            .from(REVIEW_CONFIG.tableName)
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (filters.status) query = query.eq('status', filters.status);
+        if (filters.supplierId) query = query.eq('supplier_id', filters.supplierId);
+        if (filters.memberId) query = query.eq('member_id', filters.memberId);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Published reviews for one supplier
+     * @param {number|string} supplierId - ID of the supplier
+     * @returns {Promise<Array>}
+     */
+    async getApprovedReviews(supplierId) {
+        return this.fetchReviews({ status: 'approved', supplierId: supplierId });
+    }
+
+    /**
+     * Summarize a set of reviews
+     * @param {Array} reviews - Approved reviews of one supplier
+     * @returns {{average: number|null, count: number, aspects: Object}}
+     */
+    summarize(reviews) {
+        const aspects = {};
+        Object.keys(REVIEW_CONFIG.aspects).forEach(aspect => {
+            aspects[aspect] = this.averageOf(reviews.map(r => r[aspect]));
+        });
+
+        return {
+            average: this.averageOf(reviews.map(r => r.rating)),
+            count: reviews.length,
+            aspects: aspects
+        };
+    }
+
+    /**
+     * Rating summary for every supplier with approved reviews
+     * @returns {Promise<Object>} - { [supplierId]: { average, count, aspects } }
+     */
+    async getRatingSummaries() {
+        const reviews = await this.fetchReviews({ status: 'approved' });
+        const bySupplier = {};
+
+        reviews.forEach(review => {
+            (bySupplier[review.supplier_id] = bySupplier[review.supplier_id] || []).push(review);
+        });
+
+        const summaries = {};
+        Object.entries(bySupplier).forEach(([supplierId, supplierReviews]) => {
+            summaries[supplierId] = this.summarize(supplierReviews);
+        });
+        return summaries;
+    }
+
+    /**
+     * The signed-in member's review of a supplier, if any
+     * @param {Object} member - members row
+     * @param {number|string} supplierId - ID of the supplier
+     * @returns {Promise<Object|null>}
+     */
+    async getMemberReview(member, supplierId) {
+        const reviews = await this.fetchReviews({ supplierId: supplierId, memberId: member.id });
+        return reviews[0] || null;
+    }
+
+    // ===== SUBMISSION =====
+
+    /**
+     * Add or replace a member's review of a supplier
+     * The review (new or edited) waits for moderation before it is shown
+     * @param {Object} member - members row of the reviewer
+     * @param {number|string} supplierId - ID of the supplier
+     * @param {Object} review - { part_quality, shipping_speed, accuracy, comment }
+     * @returns {Promise<Object>} - Stored review
+     */
+    async submitReview(member, supplierId, review) {
+        if (!member || member.status !== 'active') {
+            throw new Error('Only active members can review suppliers');
+        }
+
+        const fields = {
+            ...this.normalizeReview(review),
+            supplier_id: supplierId,
+            member_id: member.id,
+            reviewer_name: `${member.first_name} ${(member.last_name || '').charAt(0)}.`,
+            status: 'pending',
+            reviewed_by: null,
+            reviewed_at: null,
+            updated_at: new Date().toISOString()
+        };
+
+        const existing = await this.getMemberReview(member, supplierId);
+        const client = this.getClient();
+
+        const query = existing
+            ? client.from(REVIEW_CONFIG.tableName).update(fields).eq('id', existing.id)
+            : client.from(REVIEW_CONFIG.tableName).insert([fields]);
+
+        const { data, error } = await query.select().single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    // ===== MODERATION =====
+
+    /**
+     * Approve or reject a review
+     * @param {number|string} reviewId - ID of the review
+     * @param {string} status - 'approved' | 'rejected' | 'pending'
+     * @param {string} reviewer - Username of the admin making the decision
+     */
+    async setStatus(reviewId, status, reviewer = null) {
+        if (!REVIEW_CONFIG.statuses.includes(status)) throw new Error(`Unknown review status: ${status}`);
+
+        const changes = { status: status, reviewed_by: reviewer, reviewed_at: new Date().toISOString() };
+
+        const { error } = await this.getClient()
+            .from(REVIEW_CONFIG.tableName)
+            .update(changes)
+            .eq('id', reviewId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Delete a review
+     * @param {number|string} reviewId - ID of the review
+     */
+    async deleteReview(reviewId) {
+        const { error } = await this.getClient()
+            .from(REVIEW_CONFIG.tableName)
+            .delete()
+            .eq('id', reviewId);
+
+        if (error) throw error;
+    }
+
+    // ===== DISPLAY HELPERS =====
+
+    /**
+     * Star icons for a rating, using Font Awesome
+     * @param {number} rating - Rating from 0 to 5 (halves are shown as half stars)
+     * @returns {string} - HTML
+     */
+    renderStars(rating) {
+        const rounded = Math.round((rating || 0) * 2) / 2;
+        let html = '';
+        for (let i = 1; i <= 5; i++) {
+            const icon = rounded >= i ? 'fas fa-star' : rounded >= i - 0.5 ? 'fas fa-star-half-alt' : 'far fa-star';
+            html += `<i class="${icon}"></i>`;
+        }
+        return `<span class="rating-stars" title="${rating ? rating.toFixed(1) : 'No'} out of 5">${html}</span>`;
+    }
+}
+
+// Shared instance used by public and admin pages
+const supplierReviews = new SupplierReviewManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SupplierReviewManager, REVIEW_CONFIG };
+}
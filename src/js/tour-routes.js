@@ -0,0 +1,497 @@
+/**
+ * Tour Routes
+ * Multi-stop itineraries for tour and drive events: ordered waypoints, planned
+ * arrival and departure times at Model A touring speeds, fuel and rest
+ * reminders, GPX export for navigators and a small map drawn from any
+ * slippy-map tile provider.
+ *
+ * USAGE:
+ * 1. Include this script after config.js and event-calendar.js
+ * 2. Use the global `tourRoutes` instance, e.g.
+ *    - const plan = tourRoutes.planRoute(event.route, event.event_time)
+ *    - await tourRoutes.saveRoute(eventId, { start_time, average_speed_mph, notes, waypoints })
+ *    - tourRoutes.downloadGPX(event)
+ *    - tourRoutes.renderMap(container, plan.stops)            (shows a notice when no map can be drawn)
+ *    - tourRoutes.setTileProvider({ url, attribution, maxZoom }) or null to turn maps off
+ *
+ * DATABASE TABLE (events):
+ * - route (jsonb, null when the event has no itinerary):
+ *   { start_time: 'HH:MM' (defaults to event_time), average_speed_mph, notes,
+ *     waypoints: [{ name, address, lat, lng, stop_type, stop_minutes,
+ *                   distance_miles (from the previous stop, optional), notes }] }
+ *   Leg distances use distance_miles when it is filled in, otherwise the
+ *   straight-line distance between coordinates times TOUR_ROUTE_CONFIG.roadFactor.
+ *
+ * OFFLINE:
+ * The itinerary is plain data, so route sheets always show the text version.
+ * The map is replaced by a short notice when the browser is offline, no stop
+ * has coordinates, or none of the map tiles load.
+ */
+
+/**
+ * Configuration object for tour routes
+ */
+const TOUR_ROUTE_CONFIG = {
+    stopTypes: {
+        start: 'Start',
+        waypoint: 'Waypoint',
+        fuel: 'Fuel Stop',
+        rest: 'Rest Stop',
+        meal: 'Meal Stop',
+        sight: 'Point of Interest',
+        finish: 'Finish'
+    },
+    defaultSpeedMph: 30,        // Comfortable Model A touring speed on back roads
+    minSpeedMph: 10,
+    maxSpeedMph: 45,            // Faster than this is not a realistic average for a Model A
+    roadFactor: 1.3,            // Roads are longer than the straight line between stops
+    fuelRangeMiles: 100,        // 10-gallon tank, keeping a generous reserve
+    restAfterMinutes: 90,       // Suggest a break after this much driving
+    maxWaypoints: 40,
+    tileProvider: {
+        url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '&copy; OpenStreetMap contributors',
+        maxZoom: 16,
+        tileSize: 256
+    },
+    mapHeight: 360,             // Pixels
+    mapUnavailableMessage: 'Map unavailable - follow the itinerary below.'
+};
+
+// ===== ROUTE HELPERS =====
+
+/**
+ * Straight-line distance between two points
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number} - Miles
+ */
+function haversineMiles(from, to) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const earthRadiusMiles = 3958.8;
+    const dLat = radians(to.lat - from.lat);
+    const dLng = radians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * earthRadiusMiles * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * @param {Object} waypoint
+ * @returns {boolean} - Whether the waypoint has usable coordinates
+ */
+function hasCoordinates(waypoint) {
+    return typeof waypoint.lat === 'number' && typeof waypoint.lng === 'number';
+}
+
+/**
+ * Minutes since midnight for an HH:MM time
+ * @param {string} time
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * HH:MM for minutes since midnight (wrapping past midnight)
+ * @param {number} minutes
+ * @returns {string}
+ */
+function minutesToTime(minutes) {
+    const rounded = Math.round(minutes) % 1440;
+    return `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Escape text for XML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+class TourRouteManager {
+    constructor() {
+        this.tileProvider = TOUR_ROUTE_CONFIG.tileProvider;
+    }
+
+    // ===== EDITING =====
+
+    /**
+     * Read "lat, lng" as typed or pasted from a map app
+     * @param {string} text - e.g. '41.7004, -73.9210'
+     * @returns {{lat: number, lng: number}|null} - null when blank
+     */
+    parseCoordinates(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+
+        const match = value.match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+        if (!match) throw new Error(`"${value}" is not a coordinate pair like 41.7004, -73.9210`);
+
+        const lat = parseFloat(match[1]);
+        const lng = parseFloat(match[2]);
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) throw new Error(`"${value}" is outside the valid latitude/longitude range`);
+
+        return { lat, lng };
+    }
+
+    /**
+     * Check a route from the editor and fill in defaults
+     * @param {Object} route - { start_time, average_speed_mph, notes, waypoints }
+     * @returns {Object}
+     */
+    normalizeRoute(route) {
+        const waypoints = (route.waypoints || []).filter(w => String(w.name || '').trim() || String(w.address || '').trim());
+
+        if (waypoints.length < 2) throw new Error('A route needs at least a start and a finish');
+        if (waypoints.length > TOUR_ROUTE_CONFIG.maxWaypoints) {
+            throw new Error(`A route can have at most ${TOUR_ROUTE_CONFIG.maxWaypoints} stops`);
+        }
+
+        const speed = parseFloat(route.average_speed_mph) || TOUR_ROUTE_CONFIG.defaultSpeedMph;
+        if (speed < TOUR_ROUTE_CONFIG.minSpeedMph || speed > TOUR_ROUTE_CONFIG.maxSpeedMph) {
+            throw new Error(`Average speed must be between ${TOUR_ROUTE_CONFIG.minSpeedMph} and ${TOUR_ROUTE_CONFIG.maxSpeedMph} mph`);
+        }
+
+        if (route.start_time && !/^\d{1,2}:\d{2}/.test(route.start_time)) throw new Error('Departure time must be HH:MM');
+
+        return {
+            start_time: route.start_time ? String(route.start_time).slice(0, 5) : null,
+            average_speed_mph: speed,
+            notes: String(route.notes || '').trim() || null,
+            waypoints: waypoints.map((waypoint, index) => {
+                const name = String(waypoint.name || '').trim() || String(waypoint.address).trim();
+                const stopType = TOUR_ROUTE_CONFIG.stopTypes[waypoint.stop_type] ? waypoint.stop_type :
+                    index === 0 ? 'start' : index === waypoints.length - 1 ? 'finish' : 'waypoint';
+                const stopMinutes = parseInt(waypoint.stop_minutes, 10) || 0;
+                const distance = waypoint.distance_miles === '' || waypoint.distance_miles === null || waypoint.distance_miles === undefined ?
+                    null : parseFloat(waypoint.distance_miles);
+
+                if (stopMinutes < 0) throw new Error(`Stop time at ${name} can't be negative`);
+                if (distance !== null && (isNaN(distance) || distance < 0)) throw new Error(`Distance to ${name} must be a positive number of miles`);
+
+                return {
+                    name: name,
+                    address: String(waypoint.address || '').trim() || null,
+                    lat: hasCoordinates(waypoint) ? waypoint.lat : null,
+                    lng: hasCoordinates(waypoint) ? waypoint.lng : null,
+                    stop_type: stopType,
+                    stop_minutes: stopMinutes,
+                    distance_miles: index === 0 ? null : distance,
+                    notes: String(waypoint.notes || '').trim() || null
+                };
+            })
+        };
+    }
+
+    /**
+     * Store an event's route
+     * @param {number|string} eventId
+     * @param {Object|null} route - Route from the editor, or null to remove it
+     * @returns {Promise<Object>} - The updated event
+     */
+    async saveRoute(eventId, route) {
+        return eventCalendar.writeEvent(eventId, {
+            route: route ? this.normalizeRoute(route) : null,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    // ===== PLANNING =====
+
+    /**
+     * Work out distances, times and reminders for every stop
+     * @param {Object} route - Stored route
+     * @param {string|null} eventTime - Used when the route has no departure time
+     * @returns {{stops: Array, total_miles: number, driving_minutes: number, stop_minutes: number,
+     *   start_time: string|null, finish_time: string|null, has_estimates: boolean, warnings: Array<string>}}
+     *   Each stop adds leg_miles, leg_estimated, leg_minutes, total_miles, arrive and depart (HH:MM or null)
+     */
+    planRoute(route, eventTime = null) {
+        const speed = route.average_speed_mph || TOUR_ROUTE_CONFIG.defaultSpeedMph;
+        const startTime = route.start_time || (eventTime ? String(eventTime).slice(0, 5) : null);
+        const warnings = [];
+        const stops = [];
+
+        let clock = startTime ? timeToMinutes(startTime) : null;
+        let totalMiles = 0;
+        let drivingMinutes = 0;
+        let stopMinutes = 0;
+        let milesSinceFuel = 0;
+        let drivingSinceRest = 0;
+        let unknownLegs = 0;
+
+        route.waypoints.forEach((waypoint, index) => {
+            const previous = route.waypoints[index - 1];
+            let legMiles = null;
+            let estimated = false;
+
+            if (previous) {
+                if (waypoint.distance_miles !== null && waypoint.distance_miles !== undefined) {
+                    legMiles = waypoint.distance_miles;
+                } else if (hasCoordinates(previous) && hasCoordinates(waypoint)) {
+                    legMiles = haversineMiles(previous, waypoint) * TOUR_ROUTE_CONFIG.roadFactor;
+                    estimated = true;
+                } else {
+                    unknownLegs++;
+                }
+            }
+
+            const legMinutes = legMiles !== null ? legMiles / speed * 60 : null;
+            let arrive = null;
+
+            if (previous) {
+                totalMiles += legMiles || 0;
+                drivingMinutes += legMinutes || 0;
+                milesSinceFuel += legMiles || 0;
+                drivingSinceRest += legMinutes || 0;
+                if (clock !== null && legMinutes !== null) clock += legMinutes;
+                arrive = clock !== null ? minutesToTime(clock) : null;
+            }
+
+            if (previous && milesSinceFuel > TOUR_ROUTE_CONFIG.fuelRangeMiles) {
+                warnings.push(`${Math.round(milesSinceFuel)} miles without a fuel stop by ${waypoint.name} - plan fuel every ${TOUR_ROUTE_CONFIG.fuelRangeMiles} miles`);
+                milesSinceFuel = 0;
+            }
+            if (previous && drivingSinceRest > TOUR_ROUTE_CONFIG.restAfterMinutes) {
+                warnings.push(`${Math.round(drivingSinceRest)} minutes of driving without a break by ${waypoint.name} - add a rest stop`);
+                drivingSinceRest = 0;
+            }
+
+            // Stops reset the reminders; every stop of 15 minutes or more counts as a break
+            if (waypoint.stop_type === 'fuel') milesSinceFuel = 0;
+            if (waypoint.stop_minutes >= 15) drivingSinceRest = 0;
+
+            const isLast = index === route.waypoints.length - 1;
+            stopMinutes += isLast ? 0 : waypoint.stop_minutes;
+            if (clock !== null && !isLast) clock += waypoint.stop_minutes;
+
+            stops.push({
+                ...waypoint,
+                index: index,
+                leg_miles: legMiles,
+                leg_estimated: estimated,
+                leg_minutes: legMinutes,
+                total_miles: totalMiles,
+                arrive: arrive,
+                depart: !isLast && clock !== null ? minutesToTime(clock) : null
+            });
+        });
+
+        if (unknownLegs > 0) {
+            warnings.push(`${unknownLegs} leg${unknownLegs === 1 ? ' has' : 's have'} no distance - enter the miles or coordinates for both stops`);
+        }
+
+        return {
+            stops: stops,
+            total_miles: totalMiles,
+            driving_minutes: drivingMinutes,
+            stop_minutes: stopMinutes,
+            start_time: startTime,
+            finish_time: clock !== null ? minutesToTime(clock) : null,
+            has_estimates: stops.some(s => s.leg_estimated),
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Format a duration for the itinerary, e.g. "1 hr 25 min"
+     * @param {number|null} minutes
+     * @returns {string}
+     */
+    formatDuration(minutes) {
+        if (minutes === null || minutes === undefined) return '—';
+        const rounded = Math.round(minutes);
+        const hours = Math.floor(rounded / 60);
+        return hours > 0 ? `${hours} hr ${rounded % 60} min` : `${rounded} min`;
+    }
+
+    /**
+     * Label for a stop type
+     * @param {string} stopType
+     * @returns {string}
+     */
+    getStopLabel(stopType) {
+        return TOUR_ROUTE_CONFIG.stopTypes[stopType] || stopType;
+    }
+
+    // ===== GPX EXPORT =====
+
+    /**
+     * Build a GPX 1.1 file with the stops as waypoints and as a route
+     * Stops without coordinates can't be placed and are left out
+     * @param {Object} event - Event with a route
+     * @returns {string}
+     */
+    toGPX(event) {
+        const plan = this.planRoute(event.route, event.event_time);
+        const located = plan.stops.filter(hasCoordinates);
+        const point = (tag, stop) => `    <${tag} lat="${stop.lat}" lon="${stop.lng}">
+      <name>${escapeXml(`${stop.index + 1}. ${stop.name}`)}</name>
+      ${[stop.address, stop.notes].filter(Boolean).length > 0 ? `<desc>${escapeXml([stop.address, stop.notes].filter(Boolean).join(' - '))}</desc>` : ''}
+      <type>${escapeXml(this.getStopLabel(stop.stop_type))}</type>
+    </${tag}>`;
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${escapeXml(CONFIG.CLUB_INFO.name)}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(event.title)}</name>
+    <desc>${escapeXml([event.event_date, event.route.notes].filter(Boolean).join(' - '))}</desc>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${located.map(stop => point('wpt', stop).replace(/^ {2}/gm, '')).join('\n')}
+  <rte>
+    <name>${escapeXml(event.title)}</name>
+${located.map(stop => point('rtept', stop)).join('\n')}
+  </rte>
+</gpx>
+`.replace(/\n\s*\n/g, '\n');
+    }
+
+    /**
+     * Download an event's route as a .gpx file
+     * @param {Object} event - Event with a route
+     */
+    downloadGPX(event) {
+        const blob = new Blob([this.toGPX(event)], { type: 'application/gpx+xml' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = eventCalendar.icsFilename(event).replace(/\.ics$/, '.gpx');
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    // ===== MAP =====
+
+    /**
+     * Use a different slippy-map tile provider
+     * @param {{url: string, attribution: string, maxZoom: number, tileSize: number}|null} provider -
+     *   url contains {z}, {x} and {y}; null turns maps off so only the itinerary is shown
+     */
+    setTileProvider(provider) {
+        this.tileProvider = provider ? { ...TOUR_ROUTE_CONFIG.tileProvider, ...provider } : null;
+    }
+
+    /**
+     * Web Mercator pixel position of a point at a zoom level
+     * @param {{lat: number, lng: number}} point
+     * @param {number} zoom
+     * @returns {{x: number, y: number}}
+     */
+    project(point, zoom) {
+        const size = this.tileProvider.tileSize * 2 ** zoom;
+        const sin = Math.sin(point.lat * Math.PI / 180);
+        return {
+            x: (point.lng + 180) / 360 * size,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+        };
+    }
+
+    /**
+     * Draw the route over map tiles
+     * @param {HTMLElement} container - Element to draw in; its width sets the map width
+     * @param {Array} stops - Stops from planRoute()
+     * @returns {boolean} - False when no map could be drawn (offline, no provider or no coordinates)
+     */
+    renderMap(container, stops) {
+        const located = stops.filter(hasCoordinates);
+        const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+
+        if (!this.tileProvider || !online || located.length === 0) {
+            this.showMapUnavailable(container);
+            return false;
+        }
+
+        const provider = this.tileProvider;
+        const width = container.clientWidth || 600;
+        const height = TOUR_ROUTE_CONFIG.mapHeight;
+        const padding = 40;
+
+        // Closest zoom that still fits every stop
+        let zoom = provider.maxZoom;
+        for (; zoom > 1; zoom--) {
+            const points = located.map(stop => this.project(stop, zoom));
+            const spanX = Math.max(...points.map(p => p.x)) - Math.min(...points.map(p => p.x));
+            const spanY = Math.max(...points.map(p => p.y)) - Math.min(...points.map(p => p.y));
+            if (spanX <= width - padding * 2 && spanY <= height - padding * 2) break;
+        }
+
+        const points = located.map(stop => this.project(stop, zoom));
+        const left = (Math.min(...points.map(p => p.x)) + Math.max(...points.map(p => p.x))) / 2 - width / 2;
+        const top = (Math.min(...points.map(p => p.y)) + Math.max(...points.map(p => p.y))) / 2 - height / 2;
+        const tileCount = 2 ** zoom;
+        const tiles = [];
+
+        for (let x = Math.floor(left / provider.tileSize); x <= Math.floor((left + width) / provider.tileSize); x++) {
+            for (let y = Math.floor(top / provider.tileSize); y <= Math.floor((top + height) / provider.tileSize); y++) {
+                if (y < 0 || y >= tileCount) continue;
+                const url = provider.url
+                    .replace('{z}', zoom)
+                    .replace('{x}', ((x % tileCount) + tileCount) % tileCount)
+                    .replace('{y}', y);
+                tiles.push(`<img class="route-map-tile" src="${escapeHtml(url)}" alt="" loading="lazy"
+                    style="left: ${Math.round(x * provider.tileSize - left)}px; top: ${Math.round(y * provider.tileSize - top)}px; width: ${provider.tileSize}px; height: ${provider.tileSize}px;">`);
+            }
+        }
+
+        const line = points.map(p => `${(p.x - left).toFixed(1)},${(p.y - top).toFixed(1)}`).join(' ');
+        const markers = located.map((stop, i) => `
+            <g class="route-map-marker route-stop-${stop.stop_type}" transform="translate(${(points[i].x - left).toFixed(1)}, ${(points[i].y - top).toFixed(1)})">
+                <circle r="11"></circle>
+                <text y="4" text-anchor="middle">${stop.index + 1}</text>
+                <title>${escapeHtml(`${stop.index + 1}. ${stop.name}`)}</title>
+            </g>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="route-map" style="height: ${height}px;">
+                ${tiles.join('')}
+                <svg class="route-map-overlay" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                    <polyline points="${line}"></polyline>
+                    ${markers}
+                </svg>
+                <div class="route-map-attribution">${provider.attribution}</div>
+            </div>
+        `;
+
+        // Without any tiles (offline, blocked provider) the map is no use, so fall back to the itinerary
+        const images = container.querySelectorAll('.route-map-tile');
+        let failed = 0;
+        images.forEach(image => {
+            image.addEventListener('error', () => {
+                image.remove();
+                if (++failed === images.length) this.showMapUnavailable(container);
+            });
+        });
+
+        return true;
+    }
+
+    /**
+     * Replace the map with a short notice pointing to the text itinerary
+     * @param {HTMLElement} container
+     */
+    showMapUnavailable(container) {
+        container.innerHTML = `<p class="route-map-unavailable"><i class="fas fa-map"></i> ${TOUR_ROUTE_CONFIG.mapUnavailableMessage}</p>`;
+    }
+}
+
+// Shared instance used by public and admin pages
+const tourRoutes = new TourRouteManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TourRouteManager, TOUR_ROUTE_CONFIG };
+}
@@ -0,0 +1,293 @@
+/**
+ * Trash
+ * Soft deletion for events, news articles, members and admin users. Deleting
+ * from an admin page moves the record to the Trash, where it can be restored
+ * or permanently purged; anything left longer than the retention period is
+ * purged automatically.
+ *
+ * USAGE:
+ * 1. Include this script after data-store.js and admin-session.js (and
+ *    event-calendar.js / club-news.js / member-import.js on pages that handle
+ *    those records)
+ * 2. Delete with `await trash.moveToTrash('event', event)` and then
+ *    `trash.offerUndo('event', event, loadEvents)` to show the Undo toast
+ * 3. The Trash page uses fetchTrash(), restore(), purge() and purgeExpired()
+ *
+ * DATABASE COLUMNS (events, club_news, members, admin_users):
+ * - deleted_at (timestamptz, null while the record is live)
+ * - deleted_by (text): name of the admin who deleted it
+ * Every query that lists live records filters on `deleted_at is null`.
+ * purgeExpired() runs when the Trash page opens; a scheduled job such as
+ *   delete from events where deleted_at < now() - interval '30 days';
+ * keeps the tables tidy even if nobody visits it (for members it has to clear
+ * the tables in MEMBER_IMPORT_CONFIG.linkedTables first, as purge() does).
+ *
+ * Moving to the Trash, restoring and purging by hand are written to the
+ * audit log; the automatic purge is not.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, the same columns are set on the records in
+ * the local backend (data-store.js), so the Trash works exactly as it does live.
+ */
+
+/**
+ * Configuration object for the Trash
+ */
+const TRASH_CONFIG = {
+    retentionDays: 30,                          // Purged automatically after this many days
+    undoSeconds: 10,                            // How long the Undo toast stays up
+    types: {
+        event: { tableName: 'events', label: 'Event', icon: 'fa-calendar-alt', capability: 'events.delete', columns: '*' },
+        news: { tableName: 'club_news', label: 'News Article', icon: 'fa-newspaper', capability: 'news.delete', columns: '*' },
+        member: { tableName: 'members', label: 'Member', icon: 'fa-user', capability: 'members.manage', columns: '*' },
+        admin_user: {
+            tableName: 'admin_users', label: 'Admin User', icon: 'fa-user-shield', capability: 'users.manage',
+            columns: 'id, username, email, full_name, role, is_active, created_at, deleted_at, deleted_by'
+        }
+    }
+};
+
+class TrashManager {
+    constructor() {
+        this.client = null;
+        this.toastTimer = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    // ===== DELETING AND RESTORING =====
+
+    /**
+     * Move a record to the Trash
+     * @param {string} type - Key of TRASH_CONFIG.types
+     * @param {Object} record - The record being deleted (needs at least id)
+     * @returns {Promise<Object>} - { deleted_at, deleted_by }
+     */
+    async moveToTrash(type, record) {
+        const config = TRASH_CONFIG.types[type];
+        const user = adminSession.getCurrentUser();
+        const fields = {
+            deleted_at: new Date().toISOString(),
+            deleted_by: user ? user.full_name || user.username : null
+        };
+
+        const { error } = await this.getClient()
+            .from(config.tableName)
+            .update(fields)
+            .eq('id', record.id);
+
+        if (error) throw error;
+
+        await this.recordChange('delete', type, record, record, null);
+        return fields;
+    }
+
+    /**
+     * Put a trashed record back
+     * @param {string} type - Key of TRASH_CONFIG.types
+     * @param {number|string} id
+     * @returns {Promise<Object>} - The restored record
+     */
+    async restore(type, id) {
+        const item = await this.getTrashedItem(type, id);
+        const cleared = { deleted_at: null, deleted_by: null };
+
+        const { error } = await this.getClient()
+            .from(TRASH_CONFIG.types[type].tableName)
+            .update(cleared)
+            .eq('id', id);
+
+        if (error) throw error;
+
+        await this.recordChange('restore', type, item,
+            { deleted_at: item.deleted_at, deleted_by: item.deleted_by }, cleared);
+        return { ...item, ...cleared };
+    }
+
+    /**
+     * Permanently delete a trashed record
+     * @param {string} type - Key of TRASH_CONFIG.types
+     * @param {number|string} id
+     * @param {boolean} automatic - True for the retention purge, which is not audited
+     */
+    async purge(type, id, automatic = false) {
+        const item = await this.getTrashedItem(type, id);
+
+        // Events and articles go through their modules so related rows are removed too,
+        // and a member's dues, vehicles, listings and the like go before the member
+        if (type === 'event') {
+            await eventCalendar.deleteEvent(id);
+        } else if (type === 'news') {
+            await clubNews.deleteArticle(id);
+        } else {
+            if (type === 'member') {
+                await memberImport.removeLinkedRecords(id);
+            }
+
+            const { error } = await this.getClient()
+                .from(TRASH_CONFIG.types[type].tableName)
+                .delete()
+                .eq('id', id)
+                .not('deleted_at', 'is', null);
+
+            if (error) throw error;
+        }
+
+        if (!automatic) {
+            await this.recordChange('purge', type, item, item, null);
+        }
+    }
+
+    /**
+     * Purge everything that has been in the Trash longer than the retention period
+     * @param {Array<string>} types - Types to check (defaults to every type)
+     * @returns {Promise<number>} - How many records were purged
+     */
+    async purgeExpired(types = Object.keys(TRASH_CONFIG.types)) {
+        const now = Date.now();
+        const expired = (await this.fetchTrash(types)).filter(item => this.getPurgeDate(item).getTime() <= now);
+
+        for (const item of expired) {
+            await this.purge(item.entity_type, item.id, true);
+        }
+        return expired.length;
+    }
+
+    /**
+     * Write a Trash action to the audit log (on pages that load audit-log.js)
+     * @param {string} action - 'delete', 'restore' or 'purge'
+     * @param {string} type
+     * @param {Object} record
+     * @param {Object|null} before
+     * @param {Object|null} after
+     */
+    async recordChange(action, type, record, before, after) {
+        if (typeof auditLog === 'undefined') return;
+        await auditLog.record({
+            action: action,
+            entity_type: type,
+            entity_id: record.id,
+            summary: this.getTitle(type, record),
+            before: before,
+            after: after
+        });
+    }
+
+    // ===== QUERIES =====
+
+    /**
+     * Everything in the Trash, most recently deleted first
+     * @param {Array<string>} types - Types to list (defaults to every type)
+     * @returns {Promise<Array>} - Records with entity_type added
+     */
+    async fetchTrash(types = Object.keys(TRASH_CONFIG.types)) {
+        let items = [];
+
+        for (const type of types) {
+            const { data, error } = await this.getClient()
+                .from(TRASH_CONFIG.types[type].tableName)
+                .select(TRASH_CONFIG.types[type].columns)
+                .not('deleted_at', 'is', null);
+
+            if (error) throw error;
+            items = items.concat((data || []).map(r => ({ ...r, entity_type: type })));
+        }
+
+        return items.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+    }
+
+    /**
+     * Find one trashed record
+     * @param {string} type
+     * @param {number|string} id
+     * @returns {Promise<Object>}
+     */
+    async getTrashedItem(type, id) {
+        const item = (await this.fetchTrash([type])).find(i => String(i.id) === String(id));
+        if (!item) throw new Error(`${TRASH_CONFIG.types[type].label} is not in the Trash`);
+        return item;
+    }
+
+    // ===== DISPLAY HELPERS =====
+
+    /**
+     * Name to show for a record
+     * @param {string} type
+     * @param {Object} record
+     * @returns {string}
+     */
+    getTitle(type, record) {
+        if (type === 'member') return `${record.first_name || ''} ${record.last_name || ''}`.trim();
+        if (type === 'admin_user') return record.username;
+        return record.title;
+    }
+
+    /**
+     * When a trashed record will be purged automatically
+     * @param {Object} item - Trashed record
+     * @returns {Date}
+     */
+    getPurgeDate(item) {
+        const date = new Date(item.deleted_at);
+        date.setDate(date.getDate() + TRASH_CONFIG.retentionDays);
+        return date;
+    }
+
+    /**
+     * Show a toast with an Undo button after a record was moved to the Trash
+     * @param {string} type
+     * @param {Object} record - The record that was deleted
+     * @param {Function} onRestored - Called after Undo puts the record back, e.g. to reload the list
+     */
+    offerUndo(type, record, onRestored) {
+        const existing = document.getElementById('undoToast');
+        if (existing) existing.remove();
+        clearTimeout(this.toastTimer);
+
+        const toast = document.createElement('div');
+        toast.id = 'undoToast';
+        toast.className = 'undo-toast';
+        toast.innerHTML = `
+            <span><i class="fas fa-trash-alt"></i> ${escapeHtml(this.getTitle(type, record) || TRASH_CONFIG.types[type].label)} moved to the Trash.</span>
+            <button type="button" class="btn btn-sm btn-warning"><i class="fas fa-undo"></i> Undo</button>
+        `;
+
+        const close = () => {
+            clearTimeout(this.toastTimer);
+            toast.remove();
+        };
+
+        toast.querySelector('button').addEventListener('click', async () => {
+            close();
+            try {
+                await this.restore(type, record.id);
+                if (onRestored) onRestored();
+            } catch (error) {
+                console.error('Error undoing delete:', error);
+                alert('Could not undo the delete. The record can still be restored from the Trash.');
+            }
+        });
+
+        document.body.appendChild(toast);
+        this.toastTimer = setTimeout(close, TRASH_CONFIG.undoSeconds * 1000);
+    }
+}
+
+// Shared instance used by the admin pages
+const trash = new TrashManager();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrashManager, TRASH_CONFIG };
+}
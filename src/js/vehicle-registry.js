@@ -0,0 +1,245 @@
+/**
+ * Vehicle Registry
+ * Keeps the Model A cars owned by each member. A member can register any
+ * number of vehicles and choose which ones appear on the public Club Fleet page.
+ *
+ * USAGE:
+ * 1. Include this script after config.js and data-store.js
+ * 2. Use the global `vehicleRegistry` instance, e.g.
+ *    - await vehicleRegistry.getMemberVehicles(member)
+ *    - await vehicleRegistry.saveVehicle(member, vehicle)
+ *    - await vehicleRegistry.getFleet()
+ *
+ * DATABASE TABLE (vehicles):
+ * - id, member_id, year, body_style, engine_number, color
+ * - restoration_status: one of VEHICLE_CONFIG.restorationStatuses
+ * - photo_urls (text[]), notes
+ * - show_in_fleet (boolean): member opt-in for the public Club Fleet page
+ * - created_at, updated_at
+ *
+ * Engine numbers are kept for the owner and club officers only and are never
+ * shown on the public fleet page. Only active members can opt a vehicle in,
+ * and the fleet page leaves out vehicles whose owner is no longer active (or
+ * has been moved to the Trash).
+ *
+ * The membership application still records one model_year/body_style on the
+ * members row; getMemberVehicles() offers that car as an unsaved vehicle until
+ * it has been added to the registry.
+ *
+ * DEMO MODE:
+ * When Supabase is not configured, vehicles are kept in the local backend in
+ * data-store.js, seeded from generateDemoData().vehicles. Owners on the fleet
+ * page come from repositories.members on either backend.
+ */
+
+/**
+ * Configuration object for the vehicle registry
+ */
+const VEHICLE_CONFIG = {
+    tableName: 'vehicles',                      // Supabase table holding vehicles
+    modelYears: ['1928', '1929', '1930', '1931'],
+    bodyStyles: [
+        'Tudor Sedan', 'Fordor Sedan', 'Town Sedan', 'Coupe', 'Sport Coupe',
+        'Business Coupe', 'Roadster', 'Phaeton', 'Cabriolet', 'Victoria',
+        'Station Wagon', 'Pickup', 'Other'
+    ],
+    restorationStatuses: {
+        original: 'Original / Unrestored',
+        restored: 'Fully Restored',
+        driver: 'Driver Quality',
+        in_progress: 'Restoration in Progress',
+        project: 'Project Car'
+    }
+};
+
+class VehicleRegistry {
+    constructor() {
+        this.client = null;
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    /**
+     * Get the data client, creating it on first use
+     * @returns {Object} - Supabase client, or the local backend in demo mode
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = getDataClient();
+        }
+        return this.client;
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Clean and check vehicle fields from a form
+     * @param {Object} vehicle - Raw field values
+     * @returns {Object} - Fields ready to store
+     */
+    normalizeVehicle(vehicle) {
+        const year = String(vehicle.year || '').trim();
+        if (!/^\d{4}$/.test(year)) {
+            throw new Error('Please enter the model year as four digits, e.g. 1929');
+        }
+
+        const bodyStyle = sanitizeInput(vehicle.body_style || '');
+        if (!bodyStyle) throw new Error('Please choose a body style');
+
+        const status = vehicle.restoration_status || 'original';
+        if (!VEHICLE_CONFIG.restorationStatuses[status]) {
+            throw new Error('Please choose a restoration status');
+        }
+
+        // Photos arrive either as an array or one URL per line from a textarea
+        const photoUrls = (Array.isArray(vehicle.photo_urls)
+            ? vehicle.photo_urls
+            : String(vehicle.photo_urls || '').split('\n'))
+            .map(url => url.trim())
+            .filter(isHttpUrl)
+            .map(url => new URL(url).href);
+
+        return {
+            year: year,
+            body_style: bodyStyle,
+            engine_number: sanitizeInput(vehicle.engine_number || '') || null,
+            color: sanitizeInput(vehicle.color || '') || null,
+            restoration_status: status,
+            photo_urls: photoUrls,
+            notes: sanitizeInput(vehicle.notes || '') || null,
+            show_in_fleet: !!vehicle.show_in_fleet
+        };
+    }
+
+    // ===== VEHICLE OPERATIONS =====
+
+    /**
+     * List a member's vehicles, oldest model year first
+     * Falls back to the car named on the membership application when none are registered
+     * @param {Object} member - members row
+     * @returns {Promise<Array>} - Vehicle records (an application car has id null)
+     */
+    async getMemberVehicles(member) {
+        const { data, error } = await this.getClient()
+            .from(VEHICLE_CONFIG.tableName)
+            .select('*')
+            .eq('member_id', member.id)
+            .order('year', { ascending: true });
+
+        if (error) throw error;
+        const vehicles = data || [];
+
+        if (vehicles.length === 0 && member.model_a_owned && member.model_year) {
+            return [{
+                id: null,
+                member_id: member.id,
+                year: member.model_year,
+                body_style: member.body_style || 'Other',
+                restoration_status: 'original',
+                photo_urls: [],
+                show_in_fleet: false,
+                from_application: true
+            }];
+        }
+
+        return vehicles.sort((a, b) => String(a.year).localeCompare(String(b.year)));
+    }
+
+    /**
+     * Add a vehicle or update an existing one
+     * @param {Object} member - members row of the owner
+     * @param {Object} vehicle - Vehicle fields; include id to update
+     * @returns {Promise<Object>} - Stored vehicle
+     */
+    async saveVehicle(member, vehicle) {
+        const fields = this.normalizeVehicle(vehicle);
+        if (fields.show_in_fleet && member.status !== 'active') {
+            throw new Error('Only active members can show a vehicle in the Club Fleet');
+        }
+
+        const memberId = member.id;
+        const now = new Date().toISOString();
+        const client = this.getClient();
+
+        const query = vehicle.id
+            ? client.from(VEHICLE_CONFIG.tableName)
+                .update({ ...fields, updated_at: now })
+                .eq('id', vehicle.id)
+                .eq('member_id', memberId)
+            : client.from(VEHICLE_CONFIG.tableName)
+                .insert([{ ...fields, member_id: memberId }]);
+
+        const { data, error } = await query.select().single();
+
+        // No row back means the vehicle does not exist or belongs to someone else
+        if (error && error.code === 'PGRST116') throw new Error('Vehicle not found');
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Remove a vehicle from a member's registry
+     * @param {number|string} memberId - Owner's member ID
+     * @param {number|string} vehicleId - ID of the vehicle
+     */
+    async deleteVehicle(memberId, vehicleId) {
+        const { error } = await this.getClient()
+            .from(VEHICLE_CONFIG.tableName)
+            .delete()
+            .eq('id', vehicleId)
+            .eq('member_id', memberId);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Load the public Club Fleet: vehicles whose active owners opted in
+     * Owners are shown by first name and last initial; engine numbers and member IDs are left out
+     * @returns {Promise<Array>} - Vehicle records with an `owner_name` property
+     */
+    async getFleet() {
+        const { data, error } = await this.getClient()
+            .from(VEHICLE_CONFIG.tableName)
+            .select('id, member_id, year, body_style, color, restoration_status, photo_urls, notes')
+            .eq('show_in_fleet', true)
+            .order('year', { ascending: true });
+
+        if (error) throw error;
+
+        const vehicles = data || [];
+        const members = vehicles.length > 0
+            ? await repositories.members.list({
+                columns: 'id, first_name, last_name',
+                filters: { id: [...new Set(vehicles.map(v => v.member_id))], status: 'active' }
+            })
+            : [];
+
+        return vehicles
+            .map(({ member_id, engine_number, ...vehicle }) => ({
+                ...vehicle,
+                owner: members.find(m => String(m.id) === String(member_id))
+            }))
+            .filter(vehicle => vehicle.owner)
+            .map(({ owner, ...vehicle }) => ({
+                ...vehicle,
+                owner_name: `${owner.first_name} ${(owner.last_name || '').charAt(0)}.`
+            }));
+    }
+
+    /**
+     * Short display name for a vehicle, e.g. "1929 Tudor Sedan"
+     * @param {Object} vehicle - Vehicle record
+     * @returns {string}
+     */
+    getVehicleTitle(vehicle) {
+        return `${vehicle.year} ${vehicle.body_style}`;
+    }
+}
+
+// Shared instance used by public and admin pages
+const vehicleRegistry = new VehicleRegistry();
+
+// Export for potential Node.js use, matching config.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VehicleRegistry, VEHICLE_CONFIG };
+}